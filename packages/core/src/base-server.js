@@ -4,18 +4,24 @@
  * Architecture principles:
  * 1. McpServer from @modelcontextprotocol/sdk/server/mcp.js (modern API)
  * 2. Zod schemas for runtime type validation (auto-converted from JSON Schema)
- * 3. RFC 6570 URI templates for resources ({param}, {+path}, {/segment})
+ * 3. RFC 6570 level 4 URI templates for resources (expansion and matching)
  * 4. Factory pattern for creating isolated server instances per HTTP session
- * 5. Stateful session management for StreamableHTTPServerTransport
+ * 5. Stateful session management for StreamableHTTPServerTransport, with idle
+ *    timeout, maximum lifetime and a session cap enforced by a periodic sweep;
+ *    session metadata is kept in a pluggable store so sessions can be rehydrated
  *
  * Transport modes:
  * - Stdio: Single server instance, StdioServerTransport
  * - HTTP: Server instance per session, StreamableHTTPServerTransport
+ *   (or per request with `stateless: true`, for load-balanced replicas)
  *   - POST /mcp: JSON-RPC messages (initialize & subsequent calls)
- *   - GET /mcp: SSE stream for server-initiated messages
+ *   - GET /mcp: SSE stream for server-initiated messages (resumable via
+ *     Last-Event-ID when an event store is configured)
  *   - DELETE /mcp: Session termination
  *   - GET /health: Health check
  *   - GET /info: Server metadata
+ *   - GET /.well-known/oauth-protected-resource: OAuth protected resource
+ *     metadata (with `auth.oauth`)
  *
  * @module @mcp/core
  * @see https://modelcontextprotocol.io
@@ -23,13 +29,38 @@
  */
 
 import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
-import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
-import { z } from 'zod';
+import { completable } from '@modelcontextprotocol/sdk/server/completable.js';
+import {
+  CreateMessageResultSchema,
+  CreateMessageResultWithToolsSchema,
+  ElicitResultSchema,
+  ErrorCode,
+  LATEST_PROTOCOL_VERSION,
+  ListRootsResultSchema,
+  LoggingLevelSchema,
+  McpError,
+  RootsListChangedNotificationSchema,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  SetLevelRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  isInitializeRequest,
+} from '@modelcontextprotocol/sdk/types.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import http from 'node:http';
 import { randomUUID } from 'node:crypto';
-import { Logger } from './middleware/logger.js';
+import { z } from 'zod';
+import { Logger, McpLogTransport, createRequestLogger } from './middleware/logger.js';
+import { createErrorMiddleware } from './middleware/error-handler.js';
+import { compose } from './middleware/compose.js';
+import { Authenticator, PROTECTED_RESOURCE_METADATA_PATH } from './middleware/auth.js';
+import { RateLimiter } from './middleware/rate-limit.js';
+import { jsonSchemaToZod } from './utils/json-schema-to-zod.js';
+import { UriTemplate, matchUriTemplate } from './utils/uri-template.js';
+import { isWithinRoots } from './utils/roots.js';
+import { InMemorySessionStore } from './stores/memory-session-store.js';
+import { ClientCapabilityError } from './errors.js';
 
 /**
  * Transport type enumeration
@@ -40,12 +71,182 @@ export const TransportType = {
   HTTP: 'http',
 };
 
+/**
+ * Session key used for the single stdio client, which has no session ID.
+ * @type {string}
+ */
+const STDIO_SESSION_ID = 'stdio';
+
+/**
+ * MCP tool annotation hints accepted by {@link BaseMCPServer#registerTool}.
+ * @type {string[]}
+ */
+const TOOL_ANNOTATION_HINTS = ['readOnlyHint', 'destructiveHint', 'idempotentHint', 'openWorldHint'];
+
+/**
+ * Default HTTP session limits, overridable through `config.sessions`.
+ * A value of 0 disables the corresponding limit.
+ * @type {{idleTimeoutMs: number, maxLifetimeMs: number, maxSessions: number, onLimit: string, sweepIntervalMs: number}}
+ */
+const DEFAULT_SESSION_LIMITS = {
+  idleTimeoutMs: 30 * 60 * 1000,
+  maxLifetimeMs: 0,
+  maxSessions: 1000,
+  onLimit: 'evict',
+  sweepIntervalMs: 60 * 1000,
+};
+
+/**
+ * Minimum time between writes of a session's `lastActivityAt` to the session store.
+ * @type {number}
+ */
+const SESSION_PERSIST_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Default time a tool handler may run before it is aborted, overridable
+ * through `config.toolTimeoutMs` and per tool with `timeoutMs`.
+ * @type {number}
+ */
+const DEFAULT_TOOL_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Minimum time between two `notifications/progress` for the same request;
+ * intermediate updates are dropped, completion (`progress >= total`) is always sent.
+ * @type {number}
+ */
+const PROGRESS_MIN_INTERVAL_MS = 100;
+
+/**
+ * `maxTokens` of `context.sample()` requests that do not set it.
+ * @type {number}
+ */
+const DEFAULT_SAMPLING_MAX_TOKENS = 1000;
+
+/**
+ * HTTP paths and the endpoint names used to configure authentication for them.
+ * @type {Object<string, string>}
+ */
+const HTTP_ENDPOINTS = { '/mcp': 'mcp', '/info': 'info', '/health': 'health' };
+
+/**
+ * JSON-RPC error code for requests the authenticated principal is not allowed
+ * to make (-32001 is used for missing or invalid credentials).
+ * @type {number}
+ */
+const FORBIDDEN_ERROR_CODE = -32003;
+
+/**
+ * MCP logging levels from least to most severe.
+ * @type {string[]}
+ */
+const LOGGING_LEVELS = LoggingLevelSchema.options;
+
+/**
+ * Namespaces a plugin may be registered under: they prefix tool and prompt
+ * names and must be valid in both names and URI authorities.
+ * @type {RegExp}
+ */
+const PLUGIN_NAMESPACE_PATTERN = /^[A-Za-z0-9-]+$/;
+
+/**
+ * Create an McpError that reaches the client with `message` as is. McpError
+ * prefixes its message with `MCP error <code>: `, the SDK sends that message,
+ * and the client's McpError prefixes it again.
+ *
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message
+ * @param {*} [data]
+ * @returns {McpError}
+ */
+function mcpError(code, message, data) {
+  const error = new McpError(code, message, data);
+  error.message = message;
+  return error;
+}
+
+/**
+ * Context passed as the last argument to every tool, resource, resource
+ * template and prompt handler.
+ *
+ * @typedef {Object} HandlerContext
+ * @property {string|undefined} sessionId - HTTP session ID; undefined over stdio and in
+ *   stateless mode
+ * @property {string|number|undefined} requestId - JSON-RPC ID of the request being handled
+ * @property {{name: string, version: string}|undefined} clientInfo - Client implementation
+ *   reported in `initialize` (undefined in stateless mode)
+ * @property {Object|undefined} clientCapabilities - Capabilities reported by the client
+ * @property {string|undefined} protocolVersion - Negotiated MCP protocol version
+ * @property {Object|undefined} authInfo - SDK AuthInfo of an authenticated HTTP request
+ * @property {Object|undefined} principal - Authenticated caller
+ *   (`{ id, type, scopes, roles, claims }`), undefined without `config.auth`
+ * @property {AbortSignal|undefined} signal - Aborts when the client cancels the request
+ *   (and, for tools, when the tool times out)
+ * @property {Logger} logger - Child of the server logger tagged with `requestId`,
+ *   `sessionId` and the tool, URI or prompt being served
+ * @property {(progress: number, total?: number, message?: string) => Promise<void>}
+ *   reportProgress - Sends `notifications/progress` when the client asked for it
+ * @property {(notification: Object) => Promise<void>} sendNotification - Sends a
+ *   notification on the request's stream (stdio, or the request's SSE stream on HTTP)
+ * @property {(request: Object, options?: {timeoutMs?: number}) => Promise<Object>} sample -
+ *   Asks the client's model for a completion (`sampling/createMessage`); throws
+ *   {@link ClientCapabilityError} when the client does not support sampling
+ * @property {(request: {message: string, requestedSchema: Object}, options?: {timeoutMs?: number})
+ *   => Promise<{action: string, content?: Object}>} elicit - Asks the user for input
+ *   (`elicitation/create`); `content` is validated against `requestedSchema`
+ * @property {() => Promise<Array<{uri: string, name?: string}>>} listRoots - The client's roots
+ *   (`roots/list`), cached per session until the client reports a change
+ * @property {(path: string|URL) => Promise<boolean>} isWithinRoots - Whether a local path lies
+ *   inside one of the client's roots
+ * @property {BaseMCPServer} server - The server handling the request
+ */
+
+/**
+ * Reusable bundle of tools, resources, resource templates and prompts,
+ * registered with {@link BaseMCPServer#registerPlugin}.
+ *
+ * @typedef {Object} Plugin
+ * @property {string} name - Unique plugin name
+ * @property {string} version - Plugin version
+ * @property {(server: PluginServer, options: Object) => void} setup - Registers the plugin's
+ *   items; runs synchronously, once, after the plugins it depends on
+ * @property {string[]} [dependencies] - Names of plugins that must be set up first
+ * @property {string} [namespace] - Default namespace, overridable when registering
+ * @property {Object} [optionsSchema] - JSON Schema the plugin's options are validated against;
+ *   its `default`s are applied
+ */
+
+/**
+ * The server as seen by a {@link Plugin}'s `setup`: the registration methods
+ * of {@link BaseMCPServer}, with names and URIs qualified by the plugin's
+ * namespace (tool `echo` → `text_echo`, URI `stats://calls` → `stats://text/calls`).
+ *
+ * @typedef {Object} PluginServer
+ * @property {string} name - Plugin name
+ * @property {string|null} namespace - Namespace the plugin was registered under
+ * @property {BaseMCPServer} server - The underlying server (names are not qualified there)
+ * @property {Object} config - Server configuration
+ * @property {Logger} logger - Child of the server logger tagged with the plugin name
+ * @property {(name: string) => string} qualifyName - Namespaced tool or prompt name
+ * @property {(uri: string) => string} qualifyUri - Namespaced resource URI or URI template
+ * @property {Function} registerTool - See {@link BaseMCPServer#registerTool}
+ * @property {Function} unregisterTool
+ * @property {Function} registerResource - See {@link BaseMCPServer#registerResource}
+ * @property {Function} unregisterResource
+ * @property {Function} registerResourceTemplate - See
+ *   {@link BaseMCPServer#registerResourceTemplate}; URIs returned by `list` are qualified too
+ * @property {Function} unregisterResourceTemplate
+ * @property {Function} registerPrompt - See {@link BaseMCPServer#registerPrompt}
+ * @property {Function} unregisterPrompt
+ * @property {Function} notifyResourceUpdated - See {@link BaseMCPServer#notifyResourceUpdated}
+ * @property {Function} use - See {@link BaseMCPServer#use} (applies to the whole server)
+ */
+
 /**
  * Base class for all MCP servers in the monorepo.
  * Supports both stdio and streamable HTTP transports.
  *
- * Subclasses must implement {@link setupHandlers} to register tools and resources
- * via {@link registerTool} and {@link registerResource}.
+ * Subclasses must implement {@link setupHandlers} to register tools, resources and
+ * prompts via {@link registerTool}, {@link registerResource} and {@link registerPrompt}.
  *
  * @abstract
  * @example
@@ -67,18 +268,49 @@ export class BaseMCPServer {
    * @param {Object} config - Server configuration
    * @param {string} config.name - Server name
    * @param {string} config.version - Server version
-   * @param {Object} [config.capabilities] - Server capabilities
+   * @param {Object} [config.capabilities] - Server capabilities. With `logging: {}`, server logs
+   *   are forwarded to clients that call `logging/setLevel`
    * @param {string} [config.transport='stdio'] - Transport type ('stdio' or 'http')
    * @param {number} [config.port=3000] - HTTP port (only for http transport)
    * @param {string} [config.host='localhost'] - HTTP host (only for http transport)
    * @param {string} [config.logLevel='info'] - Log level (error | warn | info | debug)
+   * @param {number} [config.toolTimeoutMs=300000] - Default time a tool handler may run before it
+   *   is aborted and the call fails (0 disables; tools may set their own `timeoutMs`)
+   * @param {boolean} [config.stateless=false] - HTTP only: serve every POST with a fresh server
+   *   and transport and no session ID, so any replica can answer any request
+   * @param {Object} [config.sessions] - HTTP session limits (0 disables a limit)
+   * @param {number} [config.sessions.idleTimeoutMs=1800000] - Close sessions without requests for this long
+   * @param {number} [config.sessions.maxLifetimeMs=0] - Close sessions this long after initialization
+   * @param {number} [config.sessions.maxSessions=1000] - Maximum number of concurrent sessions
+   * @param {string} [config.sessions.onLimit='evict'] - At the cap, 'evict' the least recently
+   *   used session or 'reject' the new one with 503
+   * @param {number} [config.sessions.sweepIntervalMs=60000] - How often expired sessions are swept
+   * @param {import('./stores/event-store.js').EventStore} [config.eventStore] - Event store that
+   *   makes SSE streams resumable; shared by all sessions (see {@link InMemoryEventStore},
+   *   {@link FileEventStore})
+   * @param {import('./stores/session-store.js').SessionStore} [config.sessionStore] - Where HTTP
+   *   session metadata is kept so sessions can be rehydrated after eviction, a restart or in
+   *   another process (defaults to {@link InMemorySessionStore}; see {@link FileSessionStore})
+   * @param {Object} [config.auth] - HTTP authentication (API keys, bearer tokens, JWT, OAuth);
+   *   see {@link Authenticator} for the options. `auth.oauth.resource` defaults to the
+   *   server's own `/mcp` URL.
+   * @param {Object} [config.rateLimit] - Token-bucket limits: `global`, `perSession` and `perClient`
+   *   for `/mcp` requests (429 when exceeded), and `tools` per client and tool (`isError` result);
+   *   see {@link RateLimiter} for the options
+   * @param {string[]} [config.logRedactKeys] - Keys whose values are redacted from logs forwarded
+   *   to clients (defaults to {@link DEFAULT_REDACT_KEYS})
+   * @param {Array<Plugin|Array>} [config.plugins] - Plugins to register, each a {@link Plugin} or
+   *   `[plugin, { namespace, options }]`; see {@link registerPlugin}
    */
   constructor(config) {
     this.config = {
       transport: TransportType.STDIO,
       port: 3000,
       host: 'localhost',
+      toolTimeoutMs: DEFAULT_TOOL_TIMEOUT_MS,
       ...config,
+      sessions: { ...DEFAULT_SESSION_LIMITS, ...config?.sessions },
+      sessionStore: config?.sessionStore || new InMemorySessionStore(),
     };
 
     /** @type {Logger} Logger instance — subclasses may replace this before or after super(). */
@@ -90,6 +322,22 @@ export class BaseMCPServer {
     /** @type {http.Server|null} */
     this.httpServer = null;
 
+    if (this.config.auth?.oauth && !this.config.auth.oauth.resource) {
+      this.config.auth = {
+        ...this.config.auth,
+        oauth: {
+          ...this.config.auth.oauth,
+          resource: `http://${this.config.host}:${this.config.port}/mcp`,
+        },
+      };
+    }
+
+    /** @type {Authenticator|null} Authenticates HTTP requests when `config.auth` is set */
+    this.authenticator = this.config.auth ? new Authenticator(this.config.auth) : null;
+
+    /** @type {RateLimiter|null} Limits requests and tool calls when `config.rateLimit` is set */
+    this.rateLimiter = this.config.rateLimit ? new RateLimiter(this.config.rateLimit) : null;
+
     /** @type {Map<string, Object>} Registered tools keyed by name */
     this.tools = new Map();
 
@@ -99,16 +347,125 @@ export class BaseMCPServer {
     /** @type {Map<string, Object>} Registered resource templates keyed by URI template */
     this.resourceTemplates = new Map();
 
+    /** @type {Map<string, Object>} Registered prompts keyed by name */
+    this.prompts = new Map();
+
     /**
-     * Active HTTP sessions keyed by session ID.
-     * Each entry holds { transport: StreamableHTTPServerTransport, server: McpServer }.
-     * @type {Map<string, {transport: StreamableHTTPServerTransport, server: McpServer}>}
+     * Active HTTP sessions keyed by session ID, least recently used first.
+     * Each entry holds the transport and server instance plus the session's
+     * metadata (createdAt, lastActivityAt, protocolVersion, clientInfo,
+     * clientCapabilities) and when that metadata was last persisted.
+     * @type {Map<string, Object>}
      * @private
      */
     this._sessions = new Map();
 
-    // Let the subclass populate this.tools and this.resources
+    /**
+     * Session lifecycle counters reported on /health.
+     * @type {{created: number, rehydrated: number, rejected: number, closed: Object<string, number>}}
+     * @private
+     */
+    this._sessionStats = { created: 0, rehydrated: 0, rejected: 0, closed: {} };
+
+    /** @type {NodeJS.Timeout|null} Periodic expired-session sweep (HTTP only) */
+    this._sweepTimer = null;
+
+    /**
+     * SDK registration handles per McpServer instance, used to replace or remove
+     * individual tools/resources/prompts at runtime.
+     * @type {WeakMap<McpServer, Object<string, Map<string, Object>>>}
+     * @private
+     */
+    this._registrations = new WeakMap();
+
+    /**
+     * Resource subscriptions: session ID (or `'stdio'`) → subscribed URIs.
+     * @type {Map<string, Set<string>>}
+     * @private
+     */
+    this._subscriptions = new Map();
+
+    /**
+     * Protocol version negotiated by each McpServer instance, see {@link _trackProtocolVersion}.
+     * @type {WeakMap<McpServer, string>}
+     * @private
+     */
+    this._protocolVersions = new WeakMap();
+
+    /**
+     * Client roots per McpServer instance (so per session), see {@link _listRoots}.
+     * @type {WeakMap<McpServer, Promise<Object[]>>}
+     * @private
+     */
+    this._roots = new WeakMap();
+
+    /**
+     * MCP log levels set with `logging/setLevel`: session ID (or `'stdio'`) → level.
+     * Only these sessions receive `notifications/message`.
+     * @type {Map<string, string>}
+     * @private
+     */
+    this._logLevels = new Map();
+
+    /**
+     * Forwards log entries to {@link _logLevels} sessions, when the server
+     * declares the `logging` capability.
+     * @type {McpLogTransport|null}
+     * @private
+     */
+    this._logTransport = this.config.capabilities?.logging
+      ? new McpLogTransport({
+        send: (params) => this._forwardLog(params),
+        redactKeys: this.config.logRedactKeys,
+      })
+      : null;
+
+    /**
+     * Middleware registered with {@link use}, outermost first.
+     * @type {Function[]}
+     * @private
+     */
+    this._middleware = [];
+
+    /**
+     * JSON-RPC middleware registered with `use(fn, { rpc: true })`, outermost first.
+     * @type {Function[]}
+     * @private
+     */
+    this._rpcMiddleware = [];
+
+    /**
+     * Middleware run around every tool call and resource read, outside {@link _middleware}.
+     * @type {Function[]}
+     * @private
+     */
+    this._builtinMiddleware = [createErrorMiddleware(), createRequestLogger(this.logger)];
+
+    /**
+     * Registered plugins by name, see {@link registerPlugin}.
+     * @type {Map<string, {plugin: Plugin, namespace: string|null, options: Object,
+     *   ready: boolean, rollback: Function[]|null}>}
+     * @private
+     */
+    this._plugins = new Map();
+
+    /**
+     * Whether plugins are set up as soon as they are registered. Until the
+     * constructor has run {@link setupHandlers}, they are collected and then
+     * set up in dependency order.
+     * @type {boolean}
+     * @private
+     */
+    this._pluginsReady = false;
+
+    for (const entry of this.config.plugins || []) {
+      const [plugin, options] = Array.isArray(entry) ? entry : [entry];
+      this.registerPlugin(plugin, options);
+    }
+
+    // Let the subclass populate this.tools, this.resources and this.prompts
     this.setupHandlers();
+    this._setupPlugins();
 
     // Create the primary Server instance (used for stdio transport).
     // Created AFTER setupHandlers so the tool/resource maps are populated.
@@ -144,122 +501,61 @@ export class BaseMCPServer {
       },
     );
 
-    // Register all tools with McpServer
-    // SDK signature: registerTool(name, config, handler)
-    // inputSchema should be a raw Zod shape object, not wrapped in z.object()
-    for (const [toolName, tool] of this.tools) {
-      const zodSchema = this._jsonSchemaToZod(tool.inputSchema.properties || {});
-      
-      serverInstance.registerTool(
-        toolName,
-        {
-          description: tool.description,
-          inputSchema: zodSchema, // Plain object with Zod properties, NOT z.object() wrapped
-        },
-        async (params) => {
-          this.logger.info('tools/call request', {
-            tool: toolName,
-            params,
-            paramsType: typeof params,
-            paramsKeys: params ? Object.keys(params) : [],
-          });
+    // Register request handlers up front for every declared capability, so that
+    // items added after connect() can still be exposed (the SDK cannot register
+    // capabilities once a transport is connected)
+    const { tools, resources, prompts, completions } = serverInstance.server.getCapabilities();
+    if (tools) {
+      serverInstance.setToolRequestHandlers();
+    }
+    if (resources) {
+      serverInstance.setResourceRequestHandlers();
+      // Subscriptions need a session to deliver updates to
+      if (!this.config.stateless) {
+        this._setSubscriptionHandlers(serverInstance);
+      }
+    }
+    if (this._logTransport && !this.config.stateless) {
+      this._setLoggingHandlers(serverInstance);
+    }
+    if (prompts) {
+      serverInstance.setPromptRequestHandlers();
+    }
+    if (completions) {
+      serverInstance.setCompletionRequestHandler();
+    }
+    this._trackProtocolVersion(serverInstance);
+    this._setRootsHandlers(serverInstance);
+    if (this.authenticator) {
+      this._setAccessControlHandlers(serverInstance);
+    }
+    this._setRpcMiddleware(serverInstance);
 
-          try {
-            const result = await tool.handler(params || {});
-            this.logger.info('tools/call response', {
-              tool: toolName,
-              success: !result.isError,
-            });
-            return result;
-          } catch (error) {
-            this.logger.error(`Error executing tool: ${toolName}`, {
-              error: error.message,
-              stack: error.stack,
-            });
-            return {
-              content: [{ type: 'text', text: `Error: ${error.message}` }],
-              isError: true,
-            };
-          }
-        }
+    this._registrations.set(serverInstance, {
+      tools: new Map(),
+      resources: new Map(),
+      resourceTemplates: new Map(),
+      prompts: new Map(),
+    });
+
+    for (const [toolName, tool] of this.tools) {
+      this._attach(serverInstance, 'tools', toolName, () =>
+        this._attachTool(serverInstance, toolName, tool),
       );
     }
-
-    // Register all static resources
-    // SDK signature: registerResource(name, uri, config, readCallback)
     for (const [uri, resource] of this.resources) {
-      serverInstance.registerResource(
-        resource.name,
-        uri,
-        {
-          description: resource.description,
-          mimeType: resource.mimeType,
-        },
-        async (receivedUri) => {
-          // SDK passes the URI directly as a string, not wrapped in {uri: ...}
-          const requestUri = typeof receivedUri === 'string' ? receivedUri : receivedUri?.uri || uri;
-          this.logger.info('resources/read request', { uri: requestUri });
-
-          try {
-            const result = await resource.handler(requestUri);
-            this.logger.info('resources/read response', { uri: requestUri, success: true });
-            return result;
-          } catch (error) {
-            this.logger.error(`Error reading resource: ${requestUri}`, {
-              error: error.message,
-              stack: error.stack,
-            });
-            throw error;
-          }
-        }
+      this._attach(serverInstance, 'resources', uri, () =>
+        this._attachResource(serverInstance, uri, resource),
       );
     }
-
-    // Register all resource templates
-    // SDK signature: registerResource(name, ResourceTemplate, config, readCallback)
     for (const [uriTemplate, template] of this.resourceTemplates) {
-      const resourceTemplate = new ResourceTemplate(uriTemplate, {});
-      
-      serverInstance.registerResource(
-        template.name,
-        resourceTemplate,
-        {
-          description: template.description,
-          mimeType: template.mimeType,
-        },
-        async (uri) => {
-          // SDK passes the URI directly as a string, not wrapped in {uri: ...}
-          this.logger.info('resources/read RAW', { 
-            uriRaw: uri,
-            uriType: typeof uri,
-            uriValue: JSON.stringify(uri),
-          });
-          const requestUri = typeof uri === 'string' ? uri : uri?.uri || '';
-          this.logger.info('resources/read request', { 
-            uri: requestUri,
-          });
-
-          try {
-            const templateParams = this._matchUriTemplate(uriTemplate, requestUri);
-            if (!templateParams) {
-              throw new Error(`URI does not match template: ${requestUri}`);
-            }
-
-            const result = await template.handler(requestUri, templateParams);
-            this.logger.info('resources/read response (template)', {
-              uri: requestUri,
-              template: uriTemplate,
-              success: true,
-            });
-            return result;
-          } catch (error) {
-            this.logger.error(`Error reading resource from template: ${requestUri}`, {
-              error: error.message,
-              stack: error.stack,
-            });
-            throw error;
-          }
-        }
+      this._attach(serverInstance, 'resourceTemplates', uriTemplate, () =>
+        this._attachResourceTemplate(serverInstance, uriTemplate, template),
+      );
+    }
+    for (const [promptName, prompt] of this.prompts) {
+      this._attach(serverInstance, 'prompts', promptName, () =>
+        this._attachPrompt(serverInstance, promptName, prompt),
       );
     }
 
@@ -267,361 +563,2725 @@ export class BaseMCPServer {
   }
 
   /**
-   * Convert JSON Schema properties to Zod schema object.
-   * Supports basic types: string, number, boolean, object, array.
+   * Register one item on a server instance and remember the SDK handle so the
+   * item can later be replaced or removed.
    *
    * @private
-   * @param {Object} jsonSchema - JSON Schema object
-   * @returns {Object} Zod schema properties
+   * @param {McpServer} serverInstance
+   * @param {string} kind - 'tools' | 'resources' | 'resourceTemplates' | 'prompts'
+   * @param {string} key - Tool name, resource URI, URI template or prompt name
+   * @param {Function} register - `() => RegisteredItem` performing the SDK registration
    */
-  _jsonSchemaToZod(jsonSchema) {
-    const zodProps = {};
-
-    if (!jsonSchema || !jsonSchema.properties) {
-      return zodProps;
+  _attach(serverInstance, kind, key, register) {
+    const handles = this._registrations.get(serverInstance)[kind];
+    handles.get(key)?.remove();
+    handles.delete(key);
+    if (register) {
+      handles.set(key, register());
     }
+  }
 
-    const required = jsonSchema.required || [];
-
-    for (const [key, prop] of Object.entries(jsonSchema.properties)) {
-      let zodType;
+  /**
+   * Register a tool on an McpServer instance.
+   * SDK signature: registerTool(name, config, handler)
+   * inputSchema is the full z.object() converted from the tool's JSON Schema
+   *
+   * @private
+   * @param {McpServer} serverInstance
+   * @param {string} toolName
+   * @param {Object} tool - Tool definition from {@link registerTool}
+   * @returns {Object} SDK RegisteredTool handle
+   */
+  _attachTool(serverInstance, toolName, tool) {
+    const zodSchema = this._jsonSchemaToZod(tool.inputSchema);
 
-      switch (prop.type) {
-      case 'string':
-        zodType = z.string();
-        break;
-      case 'number':
-      case 'integer':
-        zodType = z.number();
-        break;
-      case 'boolean':
-        zodType = z.boolean();
-        break;
-      case 'array':
-        zodType = z.array(z.any());
-        break;
-      case 'object':
-        zodType = z.object({});
-        break;
-      default:
-        zodType = z.any();
-      }
+    return serverInstance.registerTool(
+      toolName,
+      {
+        title: tool.title ?? tool.annotations?.title,
+        description: tool.description,
+        inputSchema: zodSchema,
+        ...(tool.annotations && { annotations: tool.annotations }),
+        ...(tool.outputSchema && { outputSchema: this._jsonSchemaToZod(tool.outputSchema) }),
+      },
+      async (params, extra) => {
+        const ctx = {
+          method: 'tools/call',
+          type: 'tool',
+          name: toolName,
+          params: params || {},
+          definition: tool,
+          context: this._handlerContext(serverInstance, extra, { tool: toolName }),
+          state: {},
+          server: this,
+        };
+        return this._runMiddleware(ctx, async () => {
+          this._takeToolToken(toolName, ctx.context);
+          return this._withTextFallback(
+            await this._runToolHandler(toolName, tool, ctx.params, ctx.context, extra),
+          );
+        });
+      },
+    );
+  }
 
-      // Add description if available
-      if (prop.description) {
-        zodType = zodType.describe(prop.description);
-      }
+  /**
+   * Take a token from the caller's bucket for a tool. Callers are identified
+   * by their principal, then by session; unauthenticated stdio and stateless
+   * calls share one bucket.
+   *
+   * Runs innermost in the middleware chain, so a limited call reaches every
+   * middleware as a failed call.
+   *
+   * @private
+   * @param {string} toolName
+   * @param {HandlerContext} context - Handler context of the call
+   * @throws {Error} When the caller has exhausted the tool's limit
+   */
+  _takeToolToken(toolName, context) {
+    const clientKey = context.principal?.id ?? context.sessionId ?? 'anonymous';
+    const limit = this.rateLimiter?.checkTool(toolName, clientKey);
+    if (!limit || limit.allowed) {
+      return;
+    }
+    const retryAfterSec = Math.ceil(limit.retryAfterMs / 1000);
+    this.logger.warn('Tool rate limit exceeded', { tool: toolName, retryAfterSec });
+    throw Object.assign(
+      new Error(`Rate limit exceeded for tool ${toolName}, retry in ${retryAfterSec}s`),
+      { retryAfterMs: limit.retryAfterMs },
+    );
+  }
 
-      // Make optional if not required
-      if (!required.includes(key)) {
-        zodType = zodType.optional();
-      }
+  /**
+   * Register a static resource on an McpServer instance.
+   * SDK signature: registerResource(name, uri, config, readCallback)
+   *
+   * @private
+   * @param {McpServer} serverInstance
+   * @param {string} uri
+   * @param {Object} resource - Resource definition from {@link registerResource}
+   * @returns {Object} SDK RegisteredResource handle
+   */
+  _attachResource(serverInstance, uri, resource) {
+    return serverInstance.registerResource(
+      resource.name,
+      uri,
+      {
+        description: resource.description,
+        mimeType: resource.mimeType,
+      },
+      async (receivedUri, extra) => {
+        // SDK passes the URI directly as a string, not wrapped in {uri: ...}
+        const requestUri = typeof receivedUri === 'string' ? receivedUri : receivedUri?.uri || uri;
+
+        const ctx = {
+          method: 'resources/read',
+          type: 'resource',
+          name: uri,
+          uri: requestUri,
+          params: {},
+          definition: resource,
+          context: this._handlerContext(serverInstance, extra, { uri: requestUri }),
+          state: {},
+          server: this,
+        };
+        return this._runMiddleware(ctx, () => resource.handler(ctx.uri, ctx.context));
+      },
+    );
+  }
 
-      zodProps[key] = zodType;
+  /**
+   * Register a resource template on an McpServer instance.
+   * SDK signature: registerResource(name, ResourceTemplate, config, readCallback)
+   *
+   * @private
+   * @param {McpServer} serverInstance
+   * @param {string} uriTemplate
+   * @param {Object} template - Template definition from {@link registerResourceTemplate}
+   * @returns {Object} SDK RegisteredResourceTemplate handle
+   */
+  _attachResourceTemplate(serverInstance, uriTemplate, template) {
+    const complete = {};
+    for (const [variable, provider] of Object.entries(template.complete || {})) {
+      complete[variable] = this._toCompleter(provider);
     }
 
-    return zodProps;
+    // Passing a UriTemplate (rather than the raw string) makes the SDK dispatch
+    // resources/read through our RFC 6570 level 4 matcher
+    const resourceTemplate = new ResourceTemplate(new UriTemplate(uriTemplate), {
+      list: template.list && (async () => ({ resources: await this._listTemplate(template) })),
+      complete,
+    });
+
+    return serverInstance.registerResource(
+      template.name,
+      resourceTemplate,
+      {
+        description: template.description,
+        mimeType: template.mimeType,
+      },
+      async (uri, variables, extra) => {
+        // SDK passes a URL object plus the variables extracted by the matcher
+        const requestUri = uri?.href ?? String(uri);
+        const templateParams = variables ?? this._matchUriTemplate(uriTemplate, requestUri);
+        if (!templateParams) {
+          throw new Error(`URI does not match template: ${requestUri}`);
+        }
+
+        const ctx = {
+          method: 'resources/read',
+          type: 'resourceTemplate',
+          name: uriTemplate,
+          uri: requestUri,
+          params: templateParams,
+          definition: template,
+          context: this._handlerContext(serverInstance, extra, { uri: requestUri }),
+          state: {},
+          server: this,
+        };
+        return this._runMiddleware(ctx, () => template.handler(ctx.uri, ctx.params, ctx.context));
+      },
+    );
   }
 
-  // ---------------------------------------------------------------------------
-  // Abstract / subclass API
-  // ---------------------------------------------------------------------------
+  /**
+   * Register a prompt on an McpServer instance.
+   * SDK signature: registerPrompt(name, config, callback)
+   * The SDK calls callback(args, extra) with an argsSchema, or callback(extra) without one
+   *
+   * @private
+   * @param {McpServer} serverInstance
+   * @param {string} promptName
+   * @param {Object} prompt - Prompt definition from {@link registerPrompt}
+   * @returns {Object} SDK RegisteredPrompt handle
+   */
+  _attachPrompt(serverInstance, promptName, prompt) {
+    const argsSchema = this._promptArgumentsToZod(prompt.arguments);
+
+    const getPrompt = async (args, extra) => {
+      this.logger.info('prompts/get request', { prompt: promptName, args });
+
+      try {
+        const result = await this._renderPrompt(
+          prompt,
+          args,
+          this._handlerContext(serverInstance, extra, { prompt: promptName }),
+        );
+        this.logger.info('prompts/get response', {
+          prompt: promptName,
+          messages: result.messages.length,
+        });
+        return result;
+      } catch (error) {
+        this.logger.error(`Error rendering prompt: ${promptName}`, {
+          error: error.message,
+          stack: error.stack,
+        });
+        throw error;
+      }
+    };
+
+    return serverInstance.registerPrompt(
+      promptName,
+      {
+        title: prompt.title,
+        description: prompt.description,
+        argsSchema,
+      },
+      argsSchema ? (args, extra) => getPrompt(args || {}, extra) : (extra) => getPrompt({}, extra),
+    );
+  }
 
   /**
-   * Setup MCP protocol handlers.
+   * Every McpServer instance currently serving clients: the primary (stdio)
+   * instance plus one per active HTTP session.
    *
-   * Subclasses **must** override this method and call {@link registerTool} /
-   * {@link registerResource} to declare their capabilities.
+   * @private
+   * @returns {McpServer[]}
+   */
+  _liveServerInstances() {
+    return [this.server, ...Array.from(this._sessions.values(), (session) => session.server)];
+  }
+
+  /**
+   * Throw unless the server declares the capabilities an item registered after
+   * startup needs. The SDK cannot add capabilities once a transport is
+   * connected, and would only fail after the registries had changed.
    *
-   * **Important:** This is invoked from the constructor *before* `this.server`
-   * exists, so do not access `this.server` inside this method.
+   * Does nothing while {@link setupHandlers} runs.
    *
-   * @abstract
-   * @protected
+   * @private
+   * @param {string} label - Item named in the error, e.g. 'Prompt greet'
+   * @param {string[]} capabilities - Required capabilities, e.g. ['prompts']
    */
-  setupHandlers() {
-    throw new Error('setupHandlers must be implemented by subclass');
-  }
+  _assertCapabilities(label, capabilities) {
+    if (!this.server) {
+      return;
+    }
 
-  // ---------------------------------------------------------------------------
-  // Tool registration & handling
-  // ---------------------------------------------------------------------------
+    const declared = this.server.server.getCapabilities();
+    const missing = capabilities.filter((capability) => !declared[capability]);
+    if (missing.length) {
+      throw new Error(
+        `${label}: the server does not declare the ${missing.join(' and ')} ` +
+          `capabilit${missing.length > 1 ? 'ies' : 'y'} needed to register it at runtime`,
+      );
+    }
+  }
 
   /**
-   * Register a tool with the server.
+   * Apply a registration change to every live server instance. The SDK emits the
+   * matching `list_changed` notification on each connected instance.
    *
-   * @param {Object} tool - Tool definition
-   * @param {string} tool.name - Tool name (unique identifier)
-   * @param {string} tool.description - Human-readable description
-   * @param {Object} tool.inputSchema - JSON Schema for tool inputs
-   * @param {Function} tool.handler - Async function `(params) => CallToolResult`
+   * Does nothing while {@link setupHandlers} runs — instances created afterwards
+   * pick up the registries as a whole.
+   *
+   * @private
+   * @param {string} kind - 'tools' | 'resources' | 'resourceTemplates' | 'prompts'
+   * @param {string} key - Registry key of the changed item
+   * @param {Function|null} attach - `(serverInstance) => RegisteredItem`, or null to remove
    */
-  registerTool(tool) {
-    this.tools.set(tool.name, tool);
-  }
+  _propagateRegistration(kind, key, attach) {
+    if (!this.server) {
+      return;
+    }
 
-  // ---------------------------------------------------------------------------
-  // Resource registration & handling
-  // ---------------------------------------------------------------------------
+    for (const serverInstance of this._liveServerInstances()) {
+      this._attach(serverInstance, kind, key, attach && (() => attach(serverInstance)));
+    }
+    this.logger.info(`Runtime ${kind} change`, {
+      [kind]: key,
+      action: attach ? 'registered' : 'unregistered',
+      sessions: this._sessions.size,
+    });
+  }
 
   /**
-   * Register a resource with the server.
+   * Build the {@link HandlerContext} passed as the last argument to tool,
+   * resource, resource template and prompt handlers.
    *
-   * @param {Object} resource - Resource definition
-   * @param {string} resource.uri - Resource URI
-   * @param {string} resource.name - Human-readable name
-   * @param {string} resource.description - Description
-   * @param {string} [resource.mimeType] - MIME type
-   * @param {Function} resource.handler - Async function `(uri) => ReadResourceResult`
+   * @private
+   * @param {McpServer} serverInstance - Instance that received the request
+   * @param {Object} [extra] - SDK RequestHandlerExtra
+   * @param {Object} [meta] - Extra logger metadata, e.g. `{ tool: 'echo' }`
+   * @returns {HandlerContext}
    */
-  registerResource(resource) {
-    this.resources.set(resource.uri, resource);
+  _handlerContext(serverInstance, extra, meta = {}) {
+    const authInfo = extra?.authInfo;
+    const sessionId = extra?.sessionId;
+    const requestId = extra?.requestId;
+    const session = sessionId && this._sessions.get(sessionId);
+    const context = {
+      sessionId,
+      requestId,
+      clientInfo: session?.clientInfo ?? serverInstance.server.getClientVersion(),
+      clientCapabilities:
+        session?.clientCapabilities ?? serverInstance.server.getClientCapabilities(),
+      protocolVersion:
+        session?.protocolVersion ??
+        extra?.requestInfo?.headers?.['mcp-protocol-version'] ??
+        this._protocolVersions.get(serverInstance),
+      authInfo,
+      principal: authInfo?.extra?.principal,
+      signal: extra?.signal,
+      logger: this.logger.child({ requestId, sessionId, ...meta }),
+      reportProgress: this._progressReporter(extra),
+      sendNotification: extra?.sendNotification ?? (async () => {}),
+      server: this,
+    };
+    context.sample = (request, options) => this._sample(context, extra, request, options);
+    context.elicit = (request, options) => this._elicit(context, extra, request, options);
+    context.listRoots = () => this._listRoots(serverInstance, extra);
+    context.isWithinRoots = async (target) => isWithinRoots(target, await context.listRoots());
+    return context;
   }
 
   /**
-   * Register a resource template with the server.
+   * Send `sampling/createMessage` to the client on behalf of a request. The
+   * request goes out on the request's own stream (stdio, or its SSE stream on
+   * HTTP) and is aborted with the request's `context.signal`.
+   *
+   * Message content may be a plain string, which is sent as text content.
+   *
+   * @example
+   * const { content } = await context.sample({
+   *   messages: [{ role: 'user', content: `Summarize:\n${text}` }],
+   *   systemPrompt: 'You write one-sentence summaries.',
+   *   maxTokens: 200,
+   *   modelPreferences: { hints: [{ name: 'claude-3-haiku' }], speedPriority: 0.8 },
+   * });
+   *
+   * @private
+   * @param {HandlerContext} context - Context of the request that samples
+   * @param {Object} [extra] - SDK RequestHandlerExtra of that request
+   * @param {Object} request - `sampling/createMessage` params
+   * @param {Array<{role: string, content: string|Object}>} request.messages
+   * @param {number} [request.maxTokens=1000]
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Time to wait for the client (SDK default: 60 s)
+   * @returns {Promise<Object>} CreateMessageResult `{ role, content, model, stopReason? }`
+   * @throws {ClientCapabilityError} If the client did not advertise `sampling` (or
+   *   `sampling.tools` when `request.tools` is set), or the server is stateless
+   */
+  async _sample(context, extra, request, { timeoutMs } = {}) {
+    if (this.config.stateless || !extra?.sendRequest) {
+      throw new ClientCapabilityError(
+        'sampling',
+        'Sampling needs a session and is not available in stateless mode',
+      );
+    }
+    const sampling = context.clientCapabilities?.sampling;
+    if (!sampling) {
+      throw new ClientCapabilityError('sampling');
+    }
+    if (request?.tools && !sampling.tools) {
+      throw new ClientCapabilityError('sampling.tools');
+    }
+    if (!Array.isArray(request?.messages) || request.messages.length === 0) {
+      throw new Error('sample() requires at least one message');
+    }
+
+    const params = {
+      ...request,
+      maxTokens: request.maxTokens ?? DEFAULT_SAMPLING_MAX_TOKENS,
+      messages: request.messages.map((message) =>
+        typeof message.content === 'string'
+          ? { ...message, content: { type: 'text', text: message.content } }
+          : message,
+      ),
+    };
+
+    context.logger.debug('sampling/createMessage request', {
+      messages: params.messages.length,
+      maxTokens: params.maxTokens,
+    });
+    const result = await extra.sendRequest(
+      { method: 'sampling/createMessage', params },
+      params.tools ? CreateMessageResultWithToolsSchema : CreateMessageResultSchema,
+      { signal: context.signal, ...(timeoutMs && { timeout: timeoutMs }) },
+    );
+    context.logger.debug('sampling/createMessage response', {
+      model: result.model,
+      stopReason: result.stopReason,
+    });
+    return result;
+  }
+
+  /**
+   * Send a form-mode `elicitation/create` to the client on behalf of a request,
+   * asking the user for the fields of `requestedSchema`. Like {@link _sample},
+   * the request goes out on the request's own stream and aborts with its signal.
+   *
+   * Accepted content is validated with {@link jsonSchemaToZod}, the same
+   * conversion used for tool inputs, so defaults are applied too. Declined and
+   * cancelled requests resolve without content; the handler decides what
+   * those mean.
+   *
+   * @example
+   * const { action, content } = await context.elicit({
+   *   message: `Delete ${count} files?`,
+   *   requestedSchema: {
+   *     type: 'object',
+   *     properties: { confirm: { type: 'boolean', title: 'Delete them' } },
+   *     required: ['confirm'],
+   *   },
+   * });
+   * if (action !== 'accept' || !content.confirm) {
+   *   return { content: [{ type: 'text', text: 'Nothing deleted' }] };
+   * }
+   *
+   * @private
+   * @param {HandlerContext} context - Context of the request that elicits
+   * @param {Object} [extra] - SDK RequestHandlerExtra of that request
+   * @param {Object} request
+   * @param {string} request.message - What to ask the user
+   * @param {Object} request.requestedSchema - Flat object JSON Schema of the fields to fill in
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Time to wait for the user (SDK default: 60 s)
+   * @returns {Promise<{action: 'accept'|'decline'|'cancel', content?: Object}>}
+   * @throws {ClientCapabilityError} If the client did not advertise form elicitation, or the
+   *   server is stateless
+   * @throws {McpError} InvalidParams if accepted content does not match the schema
+   */
+  async _elicit(context, extra, request, { timeoutMs } = {}) {
+    if (this.config.stateless || !extra?.sendRequest) {
+      throw new ClientCapabilityError(
+        'elicitation',
+        'Elicitation needs a session and is not available in stateless mode',
+      );
+    }
+    // An empty `elicitation: {}` means form mode (clients before URL mode existed)
+    const elicitation = context.clientCapabilities?.elicitation;
+    if (!elicitation || (elicitation.url && !elicitation.form)) {
+      throw new ClientCapabilityError('elicitation');
+    }
+    const { message, requestedSchema } = request || {};
+    if (!message) {
+      throw new Error('elicit() requires a message');
+    }
+    if (requestedSchema?.type !== 'object' || !requestedSchema.properties) {
+      throw new Error('elicit() requires an object requestedSchema with properties');
+    }
+    const contentSchema = this._jsonSchemaToZod(requestedSchema);
+
+    context.logger.debug('elicitation/create request', {
+      fields: Object.keys(requestedSchema.properties),
+    });
+    const result = await extra.sendRequest(
+      { method: 'elicitation/create', params: { message, requestedSchema } },
+      ElicitResultSchema,
+      { signal: context.signal, ...(timeoutMs && { timeout: timeoutMs }) },
+    );
+    context.logger.debug('elicitation/create response', { action: result.action });
+
+    if (result.action !== 'accept') {
+      return { action: result.action };
+    }
+    const parsed = contentSchema.safeParse(result.content ?? {});
+    if (!parsed.success) {
+      const problems = parsed.error.issues
+        .map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+        .join('; ');
+      throw mcpError(
+        ErrorCode.InvalidParams,
+        `Elicitation response does not match the requested schema: ${problems}`,
+      );
+    }
+    return { action: 'accept', content: parsed.data };
+  }
+
+  /**
+   * Remember the protocol version an instance negotiated in `initialize`, for
+   * clients without a session record (stdio).
+   *
+   * @private
+   * @param {McpServer} serverInstance
+   */
+  _trackProtocolVersion(serverInstance) {
+    const handlers = serverInstance.server._requestHandlers;
+    const initialize = handlers.get('initialize');
+    handlers.set('initialize', async (request, extra) => {
+      const result = await initialize(request, extra);
+      this._protocolVersions.set(serverInstance, result.protocolVersion);
+      return result;
+    });
+  }
+
+  /**
+   * Create the `reportProgress(progress, total, message)` function for a request.
+   *
+   * It does nothing unless the client asked for progress with a `progressToken`,
+   * skips values that do not increase, and sends at most one notification per
+   * {@link PROGRESS_MIN_INTERVAL_MS}. Notifications follow the request's
+   * transport: stdio, or the request's SSE stream on HTTP.
+   *
+   * @private
+   * @param {Object} [extra] - SDK RequestHandlerExtra
+   * @returns {(progress: number, total?: number, message?: string) => Promise<void>}
+   */
+  _progressReporter(extra) {
+    const progressToken = extra?._meta?.progressToken;
+    if (progressToken === undefined || !extra.sendNotification) {
+      return async () => {};
+    }
+
+    let lastProgress;
+    let lastSentAt = 0;
+    return async (progress, total, message) => {
+      const now = Date.now();
+      const done = total !== undefined && progress >= total;
+      if (lastProgress !== undefined && progress <= lastProgress) {
+        return;
+      }
+      if (!done && now - lastSentAt < PROGRESS_MIN_INTERVAL_MS) {
+        return;
+      }
+      lastProgress = progress;
+      lastSentAt = now;
+
+      try {
+        await extra.sendNotification({
+          method: 'notifications/progress',
+          params: {
+            progressToken,
+            progress,
+            ...(total !== undefined && { total }),
+            ...(message && { message }),
+          },
+        });
+      } catch (error) {
+        this.logger.debug('Failed to send progress notification', { error: error.message });
+      }
+    };
+  }
+
+  /**
+   * Run a tool handler with a signal that aborts when the client cancels the
+   * request (`notifications/cancelled`) or the tool's timeout elapses. The call
+   * fails at that point even if the handler ignores the signal.
+   *
+   * @private
+   * @param {string} toolName
+   * @param {Object} tool - Tool definition from {@link registerTool}
+   * @param {Object} params - Validated tool arguments
+   * @param {HandlerContext} context - Handler context; its `signal` is replaced
+   * @param {Object} [extra] - SDK RequestHandlerExtra
+   * @returns {Promise<Object>} CallToolResult from the handler
+   * @throws {Error} When the call is cancelled or times out
+   */
+  async _runToolHandler(toolName, tool, params, context, extra) {
+    const timeoutMs = tool.timeoutMs ?? this.config.toolTimeoutMs;
+    const controller = new AbortController();
+    const onCancel = () => controller.abort(new Error(`Tool ${toolName} was cancelled`));
+    if (extra?.signal?.aborted) {
+      onCancel();
+    }
+    extra?.signal?.addEventListener('abort', onCancel, { once: true });
+    const timer =
+      timeoutMs > 0 &&
+      setTimeout(() => {
+        this.logger.warn('Tool timed out', { tool: toolName, timeoutMs });
+        controller.abort(new Error(`Tool ${toolName} timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+
+    // Client requests made through the context (e.g. sample()) abort with the tool
+    context.signal = controller.signal;
+
+    const aborted = new Promise((_resolve, reject) => {
+      const rejectWithReason = () => reject(controller.signal.reason);
+      if (controller.signal.aborted) {
+        rejectWithReason();
+      }
+      controller.signal.addEventListener('abort', rejectWithReason, { once: true });
+    });
+
+    try {
+      return await Promise.race([tool.handler(params, context), aborted]);
+    } finally {
+      clearTimeout(timer);
+      extra?.signal?.removeEventListener('abort', onCancel);
+    }
+  }
+
+  /**
+   * Ensure a tool result carries `content` when the handler only returned
+   * `structuredContent`, so clients without structured output support still
+   * get a readable (JSON text) result.
+   *
+   * @private
+   * @param {Object} result - CallToolResult from a tool handler
+   * @returns {Object} CallToolResult with `content` populated
+   */
+  _withTextFallback(result) {
+    if (!result || result.structuredContent === undefined || result.content?.length) {
+      return result;
+    }
+    return {
+      ...result,
+      content: [{ type: 'text', text: JSON.stringify(result.structuredContent, null, 2) }],
+    };
+  }
+
+  /**
+   * Convert a tool's JSON Schema to the Zod schema the SDK validates against.
+   * Tools without an input schema accept any object.
+   *
+   * @private
+   * @param {Object} [jsonSchema] - JSON Schema object (`type: 'object'`)
+   * @returns {import('zod').ZodTypeAny} Zod schema
+   * @see jsonSchemaToZod
+   */
+  _jsonSchemaToZod(jsonSchema) {
+    return jsonSchemaToZod(jsonSchema || { type: 'object' });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Abstract / subclass API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Setup MCP protocol handlers.
+   *
+   * Subclasses **must** override this method and call {@link registerTool} /
+   * {@link registerResource} to declare their capabilities.
+   *
+   * **Important:** This is invoked from the constructor *before* `this.server`
+   * exists, so do not access `this.server` inside this method.
+   *
+   * The register / unregister methods may also be called after {@link start};
+   * changes then propagate to every live session with a `list_changed` notification.
+   *
+   * Servers built from `config.plugins` alone need not override it.
+   *
+   * @abstract
+   * @protected
+   */
+  setupHandlers() {
+    if (!this._plugins.size) {
+      throw new Error('setupHandlers must be implemented by subclass');
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Middleware
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Add middleware to every tool call and resource read (static and template).
+   *
+   * Middleware is `async (ctx, next) => result` (see {@link MiddlewareContext}):
+   * it may inspect or replace `ctx.params`, call `next()` to run the rest of
+   * the chain and the handler, transform the result, or return without calling
+   * `next()` to short-circuit (e.g. a cache hit). Errors thrown for a tool call
+   * become an `isError` result; for a resource read a JSON-RPC error.
+   *
+   * Middleware runs in the order added, inside the built-in error shaping and
+   * request logging. May be called from {@link setupHandlers} or at any time
+   * after; it applies to every session from the next call on.
+   *
+   * With `{ rpc: true }` the middleware instead wraps every incoming JSON-RPC
+   * request (`tools/list`, `resources/read`, `ping`, ...) before the SDK
+   * dispatches it, with `ctx.type` `'rpc'`, `ctx.request` and `ctx.extra`.
+   * Errors thrown there are returned to the client as JSON-RPC errors.
+   *
+   * @example
+   * const cache = new Map();
+   * server.use(async (ctx, next) => {
+   *   if (ctx.type !== 'resource') {
+   *     return next();
+   *   }
+   *   if (!cache.has(ctx.uri)) {
+   *     cache.set(ctx.uri, await next());
+   *   }
+   *   return cache.get(ctx.uri);
+   * });
+   *
+   * @param {Function} middleware - `(ctx, next) => Promise<result>`
+   * @param {Object} [options]
+   * @param {boolean} [options.rpc=false] - Wrap raw JSON-RPC requests instead
+   * @returns {this}
+   */
+  use(middleware, { rpc = false } = {}) {
+    if (typeof middleware !== 'function') {
+      throw new Error('Middleware must be a function');
+    }
+    (rpc ? this._rpcMiddleware : this._middleware).push(middleware);
+    return this;
+  }
+
+  /**
+   * Run a call through the built-in and registered middleware, then the handler.
+   *
+   * @private
+   * @param {import('./middleware/compose.js').MiddlewareContext} ctx
+   * @param {Function} handler - `(ctx) => Promise<result>` run innermost
+   * @returns {Promise<*>} Result of the outermost middleware
+   */
+  _runMiddleware(ctx, handler) {
+    return compose([...this._builtinMiddleware, ...this._middleware])(ctx, handler);
+  }
+
+  /**
+   * Wrap every request handler of a server instance with the `rpc` middleware
+   * from {@link use}. Requests pass straight through while there is none.
+   *
+   * Handlers already installed are wrapped in place; `setRequestHandler` is
+   * hooked so handlers the SDK installs later (e.g. `completion/complete` on
+   * the first completable prompt) are wrapped too.
+   *
+   * @private
+   * @param {McpServer} serverInstance
+   */
+  _setRpcMiddleware(serverInstance) {
+    const server = serverInstance.server;
+    const wrap = (handler) => (request, extra) => {
+      if (!this._rpcMiddleware.length) {
+        return handler(request, extra);
+      }
+      const ctx = {
+        method: request.method,
+        type: 'rpc',
+        name: request.method,
+        params: request.params,
+        request,
+        extra,
+        state: {},
+        server: this,
+      };
+      return compose(this._rpcMiddleware)(ctx, () =>
+        handler({ ...request, params: ctx.params }, extra),
+      );
+    };
+
+    for (const [method, handler] of server._requestHandlers) {
+      server._requestHandlers.set(method, wrap(handler));
+    }
+    const setRequestHandler = server.setRequestHandler.bind(server);
+    server.setRequestHandler = (requestSchema, handler) =>
+      setRequestHandler(requestSchema, wrap(handler));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Plugins
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Register a plugin: a reusable bundle of tools, resources and prompts (see {@link Plugin}).
+   *
+   * Plugins registered from the constructor, through `config.plugins` or in
+   * {@link setupHandlers}, are set up after `setupHandlers` returns, each after
+   * the plugins in its `dependencies`. Plugins registered later are set up
+   * immediately and their dependencies must already be registered.
+   *
+   * With a namespace, the plugin's tool and prompt names become
+   * `<namespace>_<name>` and its resource URIs `<scheme>://<namespace>/<rest>`,
+   * so one plugin can be registered on servers that already use its names.
+   *
+   * @example
+   * server.registerPlugin(textTransforms, { namespace: 'text', options: { maxLength: 1000 } });
+   * // tools: text_reverse, text_uppercase, ...
+   *
+   * @param {Plugin} plugin
+   * @param {Object} [options]
+   * @param {string|null} [options.namespace=plugin.namespace] - Namespace for the plugin's names
+   *   and URIs (letters, digits and `-`); null registers them as they are
+   * @param {Object} [options.options={}] - Plugin configuration passed to `setup`, validated
+   *   against the plugin's `optionsSchema`
+   * @returns {this}
+   * @throws {Error} For an invalid or already registered plugin, invalid options, or (after
+   *   construction) missing dependencies
+   */
+  registerPlugin(plugin, { namespace = plugin?.namespace ?? null, options = {} } = {}) {
+    if (
+      typeof plugin?.name !== 'string' ||
+      typeof plugin.version !== 'string' ||
+      typeof plugin.setup !== 'function'
+    ) {
+      throw new Error('Plugin must have a name, a version and a setup function');
+    }
+    if (this._plugins.has(plugin.name)) {
+      throw new Error(`Plugin already registered: ${plugin.name}`);
+    }
+    if (namespace !== null && !PLUGIN_NAMESPACE_PATTERN.test(namespace)) {
+      throw new Error(
+        `Invalid namespace for plugin ${plugin.name}: ${namespace} (use letters, digits and -)`,
+      );
+    }
+
+    let pluginOptions = options;
+    if (plugin.optionsSchema) {
+      const parsed = jsonSchemaToZod(plugin.optionsSchema).safeParse(options);
+      if (!parsed.success) {
+        const issues = parsed.error.issues
+          .map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+          .join('; ');
+        throw new Error(`Invalid options for plugin ${plugin.name}: ${issues}`);
+      }
+      pluginOptions = parsed.data;
+    }
+
+    const entry = { plugin, namespace, options: pluginOptions, ready: false, rollback: null };
+    if (this._pluginsReady) {
+      const missing = (plugin.dependencies || []).find((name) => !this._plugins.has(name));
+      if (missing) {
+        throw new Error(`Plugin ${plugin.name} depends on ${missing}, which is not registered`);
+      }
+      this._plugins.set(plugin.name, entry);
+      try {
+        this._setupPlugin(entry);
+      } catch (error) {
+        this._plugins.delete(plugin.name);
+        throw error;
+      }
+    } else {
+      this._plugins.set(plugin.name, entry);
+    }
+    return this;
+  }
+
+  /**
+   * Set up the plugins registered during construction, dependencies first.
+   *
+   * @private
+   * @throws {Error} For a missing dependency or a dependency cycle
+   */
+  _setupPlugins() {
+    const ordered = [];
+    const visiting = [];
+
+    const visit = (name, dependent) => {
+      const entry = this._plugins.get(name);
+      if (!entry) {
+        throw new Error(`Plugin ${dependent} depends on ${name}, which is not registered`);
+      }
+      if (ordered.includes(entry)) {
+        return;
+      }
+      if (visiting.includes(name)) {
+        const cycle = [...visiting.slice(visiting.indexOf(name)), name];
+        throw new Error(`Plugin dependency cycle: ${cycle.join(' -> ')}`);
+      }
+      visiting.push(name);
+      for (const dependency of entry.plugin.dependencies || []) {
+        visit(dependency, name);
+      }
+      visiting.pop();
+      ordered.push(entry);
+    };
+
+    for (const name of this._plugins.keys()) {
+      visit(name);
+    }
+
+    this._pluginsReady = true;
+    for (const entry of ordered) {
+      if (!entry.ready) {
+        this._setupPlugin(entry);
+      }
+    }
+  }
+
+  /**
+   * Run a plugin's `setup`. If it throws, everything it registered so far is
+   * rolled back: items it added are removed, items it replaced are restored
+   * and its middleware is dropped.
+   *
+   * @private
+   * @param {{plugin: Plugin, namespace: string|null, options: Object, ready: boolean}} entry
+   * @throws {Error} When `setup` throws or returns a promise
+   */
+  _setupPlugin(entry) {
+    const { plugin, namespace, options } = entry;
+    entry.rollback = [];
+    try {
+      const result = plugin.setup(this._pluginServer(entry), options);
+      if (typeof result?.then === 'function') {
+        throw new Error(`Plugin ${plugin.name}: setup must be synchronous`);
+      }
+    } catch (error) {
+      for (const undo of entry.rollback.reverse()) {
+        undo();
+      }
+      throw error;
+    } finally {
+      entry.rollback = null;
+    }
+    entry.ready = true;
+    this.logger.info('Plugin registered', {
+      plugin: plugin.name,
+      version: plugin.version,
+      ...(namespace && { namespace }),
+    });
+  }
+
+  /**
+   * Build the {@link PluginServer} handed to a plugin's `setup`. While `setup`
+   * runs, each registration pushes its undo onto `entry.rollback`.
+   *
+   * @private
+   * @param {{plugin: Plugin, namespace: string|null, rollback: Function[]|null}} entry
+   * @returns {PluginServer}
+   */
+  _pluginServer(entry) {
+    const { plugin, namespace } = entry;
+    const qualifyName = (name) => (namespace ? `${namespace}_${name}` : name);
+    const qualifyUri = (uri) => {
+      if (!namespace) {
+        return uri;
+      }
+      const match = /^([A-Za-z][A-Za-z0-9+.-]*:\/\/)(.*)$/s.exec(uri);
+      if (!match) {
+        throw new Error(`Plugin ${plugin.name}: cannot namespace URI without an authority: ${uri}`);
+      }
+      const [, prefix, rest] = match;
+      return `${prefix}${namespace}${rest.startsWith('/') ? '' : '/'}${rest}`;
+    };
+
+    // Register an item and, during setup, remember what its key held before
+    const track = (items, item, key, register, unregister) => {
+      const previous = items.get(item[key]);
+      register(item);
+      entry.rollback?.push(() => (previous ? register(previous) : unregister(item[key])));
+    };
+
+    return {
+      name: plugin.name,
+      namespace,
+      server: this,
+      config: this.config,
+      logger: this.logger.child({ plugin: plugin.name }),
+      qualifyName,
+      qualifyUri,
+      registerTool: (tool) =>
+        track(
+          this.tools,
+          { ...tool, name: qualifyName(tool.name) },
+          'name',
+          (item) => this.registerTool(item),
+          (name) => this.unregisterTool(name),
+        ),
+      unregisterTool: (name) => this.unregisterTool(qualifyName(name)),
+      registerResource: (resource) =>
+        track(
+          this.resources,
+          { ...resource, uri: qualifyUri(resource.uri) },
+          'uri',
+          (item) => this.registerResource(item),
+          (uri) => this.unregisterResource(uri),
+        ),
+      unregisterResource: (uri) => this.unregisterResource(qualifyUri(uri)),
+      registerResourceTemplate: (template) =>
+        track(
+          this.resourceTemplates,
+          {
+            ...template,
+            uriTemplate: qualifyUri(template.uriTemplate),
+            ...(template.list && {
+              list: async () =>
+                (await this._listTemplate(template)).map((resource) => ({
+                  ...resource,
+                  uri: qualifyUri(resource.uri),
+                })),
+            }),
+          },
+          'uriTemplate',
+          (item) => this.registerResourceTemplate(item),
+          (uriTemplate) => this.unregisterResourceTemplate(uriTemplate),
+        ),
+      unregisterResourceTemplate: (uriTemplate) =>
+        this.unregisterResourceTemplate(qualifyUri(uriTemplate)),
+      registerPrompt: (prompt) =>
+        track(
+          this.prompts,
+          { ...prompt, name: qualifyName(prompt.name) },
+          'name',
+          (item) => this.registerPrompt(item),
+          (name) => this.unregisterPrompt(name),
+        ),
+      unregisterPrompt: (name) => this.unregisterPrompt(qualifyName(name)),
+      notifyResourceUpdated: (uri) => this.notifyResourceUpdated(qualifyUri(uri)),
+      use: (middleware, options) => {
+        this.use(middleware, options);
+        const chain = options?.rpc ? this._rpcMiddleware : this._middleware;
+        entry.rollback?.push(() => chain.splice(chain.lastIndexOf(middleware), 1));
+        return this;
+      },
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tool registration & handling
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Register a tool with the server.
+   *
+   * Tools with an `outputSchema` return `structuredContent` and may omit
+   * `content`, which then defaults to the JSON-serialized structured result.
+   *
+   * @param {Object} tool - Tool definition
+   * @param {string} tool.name - Tool name (unique identifier)
+   * @param {string} [tool.title] - Display name (defaults to `annotations.title`)
+   * @param {string} tool.description - Human-readable description
+   * @param {Object} tool.inputSchema - JSON Schema for tool inputs
+   * @param {Object} [tool.outputSchema] - JSON Schema (`type: 'object'`) for the tool's
+   *   `structuredContent`; results are validated against it by the SDK
+   * @param {Function} tool.handler - Async function `(params, context) => CallToolResult`,
+   *   where `context` is a {@link HandlerContext}
+   * @param {Object} [tool.annotations] - MCP behavioural hints for clients
+   * @param {string} [tool.annotations.title] - Human-readable title
+   * @param {boolean} [tool.annotations.readOnlyHint] - Tool does not modify its environment
+   * @param {boolean} [tool.annotations.destructiveHint] - Tool may perform destructive updates
+   * @param {boolean} [tool.annotations.idempotentHint] - Repeated calls with the same
+   *   arguments have no additional effect
+   * @param {boolean} [tool.annotations.openWorldHint] - Tool interacts with external entities
+   * @param {number} [tool.timeoutMs] - Abort the handler after this long (defaults to
+   *   `config.toolTimeoutMs`; 0 disables). Handlers should pass `context.signal` on to
+   *   outbound calls, e.g. `httpClient.get(path, { signal: context.signal })`
+   * @param {Object} [tool.access] - Who may list and call the tool (enforced with `config.auth`)
+   * @param {string[]} [tool.access.scopes] - Scopes the principal must all hold
+   * @param {string[]} [tool.access.roles] - Roles of which the principal must hold at least one
+   */
+  registerTool(tool) {
+    if (tool.outputSchema && tool.outputSchema.type !== 'object') {
+      throw new Error(`Tool ${tool.name}: outputSchema must be an object schema`);
+    }
+    // The SDK lists any other root (union, intersection, refinement, default) as an
+    // empty object schema, so tools/list would not show what is enforced
+    for (const key of ['inputSchema', 'outputSchema']) {
+      if (tool[key] && !(this._jsonSchemaToZod(tool[key]) instanceof z.ZodObject)) {
+        throw new Error(
+          `Tool ${tool.name}: ${key} must be a plain object schema at the root ` +
+            '(no root-level allOf, anyOf, oneOf, not, nullable, default or $ref siblings)',
+        );
+      }
+    }
+    for (const hint of TOOL_ANNOTATION_HINTS) {
+      const value = tool.annotations?.[hint];
+      if (value !== undefined && typeof value !== 'boolean') {
+        throw new Error(`Tool ${tool.name}: annotation ${hint} must be a boolean`);
+      }
+    }
+    this._validateAccess(`Tool ${tool.name}`, tool.access);
+    this._assertCapabilities(`Tool ${tool.name}`, ['tools']);
+    this.tools.set(tool.name, tool);
+    this._propagateRegistration('tools', tool.name, (serverInstance) =>
+      this._attachTool(serverInstance, tool.name, tool),
+    );
+  }
+
+  /**
+   * Remove a tool. Live sessions receive `notifications/tools/list_changed`.
+   *
+   * @param {string} name - Tool name
+   * @returns {boolean} True if the tool was registered
+   */
+  unregisterTool(name) {
+    if (!this.tools.delete(name)) {
+      return false;
+    }
+    this._propagateRegistration('tools', name, null);
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Resource registration & handling
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Register a resource with the server.
+   *
+   * @param {Object} resource - Resource definition
+   * @param {string} resource.uri - Resource URI
+   * @param {string} resource.name - Human-readable name
+   * @param {string} resource.description - Description
+   * @param {string} [resource.mimeType] - MIME type
+   * @param {Function} resource.handler - Async function `(uri, context) => ReadResourceResult`
+   * @param {Object} [resource.access] - Who may list, read and subscribe to the resource
+   *   (`{ scopes, roles }`, see {@link registerTool})
+   */
+  registerResource(resource) {
+    this._validateAccess(`Resource ${resource.uri}`, resource.access);
+    this._assertCapabilities(`Resource ${resource.uri}`, ['resources']);
+    this.resources.set(resource.uri, resource);
+    this._propagateRegistration('resources', resource.uri, (serverInstance) =>
+      this._attachResource(serverInstance, resource.uri, resource),
+    );
+  }
+
+  /**
+   * Remove a resource. Live sessions receive `notifications/resources/list_changed`.
+   *
+   * @param {string} uri - Resource URI
+   * @returns {boolean} True if the resource was registered
+   */
+  unregisterResource(uri) {
+    if (!this.resources.delete(uri)) {
+      return false;
+    }
+    this._propagateRegistration('resources', uri, null);
+    return true;
+  }
+
+  /**
+   * Register a resource template with the server.
    *
    * @param {Object} template - Resource template definition
    * @param {string} template.uriTemplate - URI template (e.g., 'file:///{path}')
    * @param {string} template.name - Human-readable name
    * @param {string} template.description - Description
    * @param {string} [template.mimeType] - MIME type
-   * @param {Function} template.handler - Async function `(uri, params) => ReadResourceResult`
+   * @param {Function} template.handler - Async function `(uri, params, context) => ReadResourceResult`
+   * @param {Object<string, Array<string>|Function>} [template.complete] - Completion providers
+   *   per URI variable for `completion/complete`: a list of values (filtered by prefix), or
+   *   `(value, context) => string[]` where `context.arguments` holds already-resolved variables
+   * @param {Function} [template.list] - Async function `() => Resource[]` enumerating concrete
+   *   instances of the template; they are included in `resources/list`
+   * @param {Object} [template.access] - Who may list the template and read, list and subscribe
+   *   to its resources (`{ scopes, roles }`, see {@link registerTool})
+   */
+  registerResourceTemplate(template) {
+    this._validateAccess(`Resource template ${template.uriTemplate}`, template.access);
+    this._assertCapabilities(`Resource template ${template.uriTemplate}`, [
+      'resources',
+      ...(template.complete ? ['completions'] : []),
+    ]);
+    this.resourceTemplates.set(template.uriTemplate, template);
+    this._propagateRegistration('resourceTemplates', template.uriTemplate, (serverInstance) =>
+      this._attachResourceTemplate(serverInstance, template.uriTemplate, template),
+    );
+  }
+
+  /**
+   * Remove a resource template. Live sessions receive `notifications/resources/list_changed`.
+   *
+   * @param {string} uriTemplate - URI template the template was registered with
+   * @returns {boolean} True if the template was registered
+   */
+  unregisterResourceTemplate(uriTemplate) {
+    if (!this.resourceTemplates.delete(uriTemplate)) {
+      return false;
+    }
+    this._propagateRegistration('resourceTemplates', uriTemplate, null);
+    return true;
+  }
+
+  /**
+   * Match a URI against an RFC 6570 URI template and extract its variables.
+   * Full level 4 syntax is supported (all operators, prefix modifiers and
+   * explode); see {@link UriTemplate#match} for how values are decoded.
+   *
+   * @private
+   * @param {string} template - RFC 6570 URI template (e.g., 'file:///{+path}')
+   * @param {string} uri - Actual URI
+   * @returns {Object|null} Extracted variables or null if no match
+   */
+  _matchUriTemplate(template, uri) {
+    return matchUriTemplate(template, uri);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Resource subscriptions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Advertise `resources.subscribe` and handle `resources/subscribe` /
+   * `resources/unsubscribe` on a server instance.
+   *
+   * @private
+   * @param {McpServer} serverInstance
+   */
+  _setSubscriptionHandlers(serverInstance) {
+    serverInstance.server.registerCapabilities({ resources: { subscribe: true } });
+
+    serverInstance.server.setRequestHandler(SubscribeRequestSchema, async (request, extra) => {
+      const { uri } = request.params;
+      if (!this._isKnownResourceUri(uri)) {
+        throw mcpError(ErrorCode.InvalidParams, `Resource ${uri} not found`);
+      }
+
+      const sessionId = extra.sessionId || STDIO_SESSION_ID;
+      if (!this._subscriptions.has(sessionId)) {
+        this._subscriptions.set(sessionId, new Set());
+      }
+      this._subscriptions.get(sessionId).add(uri);
+      this.logger.info('resources/subscribe', { uri, sessionId });
+      await this._persistSessionState(sessionId);
+      return {};
+    });
+
+    serverInstance.server.setRequestHandler(UnsubscribeRequestSchema, async (request, extra) => {
+      const { uri } = request.params;
+      const sessionId = extra.sessionId || STDIO_SESSION_ID;
+      const uris = this._subscriptions.get(sessionId);
+      uris?.delete(uri);
+      if (uris?.size === 0) {
+        this._subscriptions.delete(sessionId);
+      }
+      this.logger.info('resources/unsubscribe', { uri, sessionId });
+      await this._persistSessionState(sessionId);
+      return {};
+    });
+  }
+
+  /**
+   * Whether a URI names a registered resource or matches a resource template.
+   *
+   * @private
+   * @param {string} uri
+   * @returns {boolean}
+   */
+  _isKnownResourceUri(uri) {
+    return Boolean(this._findResource(uri));
+  }
+
+  /**
+   * The registered resource for a URI, or else the first template matching it.
+   *
+   * @private
+   * @param {string} uri
+   * @returns {Object|undefined} Resource or resource template definition
+   */
+  _findResource(uri) {
+    const resource = this.resources.get(uri);
+    if (resource) {
+      return resource;
+    }
+    for (const [uriTemplate, template] of this.resourceTemplates) {
+      if (this._matchUriTemplate(uriTemplate, uri)) {
+        return template;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Notify subscribed clients that a resource changed
+   * (`notifications/resources/updated`).
+   *
+   * Pass either a concrete URI, or a registered URI template to notify every
+   * subscription whose URI matches that template.
+   *
+   * @example
+   * this.notifyResourceUpdated('status://feed');
+   * this.notifyResourceUpdated('file:///{+path}'); // all subscribed files
+   *
+   * @param {string} uri - Resource URI, or the URI template of a registered template
+   * @returns {Promise<number>} Number of notifications sent
+   */
+  async notifyResourceUpdated(uri) {
+    const isTemplate = this.resourceTemplates.has(uri);
+    let sent = 0;
+
+    for (const [sessionId, uris] of this._subscriptions) {
+      const serverInstance =
+        sessionId === STDIO_SESSION_ID ? this.server : this._sessions.get(sessionId)?.server;
+      if (!serverInstance) {
+        continue;
+      }
+
+      const updated = isTemplate
+        ? Array.from(uris).filter((subscribed) => this._matchUriTemplate(uri, subscribed))
+        : [uri].filter((candidate) => uris.has(candidate));
+
+      for (const updatedUri of updated) {
+        try {
+          await serverInstance.server.sendResourceUpdated({ uri: updatedUri });
+          sent++;
+        } catch (error) {
+          this.logger.warn('Failed to send resource update', {
+            uri: updatedUri,
+            sessionId,
+            error: error.message,
+          });
+        }
+      }
+    }
+
+    this.logger.debug('Resource updated', { uri, notified: sent });
+    return sent;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Client roots
+  // ---------------------------------------------------------------------------
+
+  /**
+   * The roots a connected client granted, for use outside of handlers
+   * (handlers use `context.listRoots()`). Over HTTP the request goes out on the
+   * session's standalone SSE stream, so the client must have it open.
+   *
+   * @param {string} [sessionId] - HTTP session ID; omit for the stdio client
+   * @returns {Promise<Array<{uri: string, name?: string}>>}
+   * @throws {ClientCapabilityError} If the client did not advertise `roots`
+   * @throws {Error} If the session does not exist
+   */
+  async listRoots(sessionId) {
+    const serverInstance = sessionId ? this._sessions.get(sessionId)?.server : this.server;
+    if (!serverInstance) {
+      throw new Error(`Unknown session: ${sessionId}`);
+    }
+    return this._listRoots(serverInstance);
+  }
+
+  /**
+   * Called when a client reports that its roots changed
+   * (`notifications/roots/list_changed`), after the cached roots were dropped.
+   * Override to react, e.g. to re-scan files; `listRoots(sessionId)` fetches the
+   * new roots.
+   *
+   * @param {string|undefined} _sessionId - HTTP session ID (undefined for stdio)
+   */
+  onRootsListChanged(_sessionId) {}
+
+  /**
+   * Fetch a client's roots with `roots/list`, or return them from the cache.
+   * Roots are cached per server instance — one per session — until the client
+   * sends `notifications/roots/list_changed`; failed fetches are not cached.
+   *
+   * @private
+   * @param {McpServer} serverInstance - Instance connected to the client
+   * @param {Object} [extra] - SDK RequestHandlerExtra; when given, the request goes out on
+   *   that request's stream
+   * @returns {Promise<Array<{uri: string, name?: string}>>}
+   * @throws {ClientCapabilityError} If the client did not advertise `roots`, or the server
+   *   is stateless
+   */
+  async _listRoots(serverInstance, extra) {
+    if (this.config.stateless) {
+      throw new ClientCapabilityError(
+        'roots',
+        'Roots need a session and are not available in stateless mode',
+      );
+    }
+    if (!serverInstance.server.getClientCapabilities()?.roots) {
+      throw new ClientCapabilityError('roots');
+    }
+
+    let roots = this._roots.get(serverInstance);
+    if (!roots) {
+      const request = { method: 'roots/list' };
+      roots = (
+        extra?.sendRequest
+          ? extra.sendRequest(request, ListRootsResultSchema)
+          : serverInstance.server.request(request, ListRootsResultSchema)
+      ).then((result) => result.roots);
+      this._roots.set(serverInstance, roots);
+      roots.catch(() => {
+        if (this._roots.get(serverInstance) === roots) {
+          this._roots.delete(serverInstance);
+        }
+      });
+    }
+    return roots;
+  }
+
+  /**
+   * Drop a server instance's cached roots when its client reports a change.
+   *
+   * @private
+   * @param {McpServer} serverInstance
+   */
+  _setRootsHandlers(serverInstance) {
+    serverInstance.server.setNotificationHandler(RootsListChangedNotificationSchema, () => {
+      this._roots.delete(serverInstance);
+      const sessionId = Array.from(this._sessions).find(
+        ([, session]) => session.server === serverInstance,
+      )?.[0];
+      this.logger.info('notifications/roots/list_changed', { sessionId });
+      return this.onRootsListChanged(sessionId);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Client logging
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Handle `logging/setLevel` on a server instance: the session opts in to
+   * receiving server logs at or above the given level.
+   *
+   * Replaces the SDK's handler, which would send every message to sessions
+   * that never set a level.
+   *
+   * @private
+   * @param {McpServer} serverInstance
+   */
+  _setLoggingHandlers(serverInstance) {
+    serverInstance.server.setRequestHandler(SetLevelRequestSchema, async (request, extra) => {
+      const { level } = request.params;
+      const sessionId = extra.sessionId || STDIO_SESSION_ID;
+      this._logLevels.set(sessionId, level);
+      this.logger.info('logging/setLevel', { level, sessionId });
+      await this._persistSessionState(sessionId);
+      return {};
+    });
+  }
+
+  /**
+   * Send a log entry from the {@link McpLogTransport} to the session it
+   * belongs to, if the entry meets that session's level. Entries tagged with a
+   * `sessionId` (e.g. from a handler's `context.logger`) only go to that
+   * session; untagged server-wide entries (auth failures, startup) only go to a
+   * stdio client, never to HTTP sessions, so clients never see each other's
+   * activity. Send failures are ignored: logging them would forward them again.
+   *
+   * @private
+   * @param {{level: string, logger?: string, data: Object}} params - `notifications/message` params
+   */
+  _forwardLog(params) {
+    const severity = LOGGING_LEVELS.indexOf(params.level);
+    const owner = params.data?.sessionId;
+
+    for (const [sessionId, level] of this._logLevels) {
+      const isOwner = owner ? owner === sessionId : sessionId === STDIO_SESSION_ID;
+      if (!isOwner || severity < LOGGING_LEVELS.indexOf(level)) {
+        continue;
+      }
+      const serverInstance =
+        sessionId === STDIO_SESSION_ID ? this.server : this._sessions.get(sessionId)?.server;
+      serverInstance?.server
+        .notification({ method: 'notifications/message', params })
+        .catch(() => {});
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Prompt registration & rendering
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Register a prompt template with the server.
+   *
+   * Prompts are either rendered by a `handler`, or declared statically via
+   * `messages` whose strings may contain `{{argument}}` placeholders.
+   * In both cases, `resource` content that only carries a `uri` is resolved
+   * against the registered resources and embedded in the message.
+   *
+   * @example
+   * this.registerPrompt({
+   *   name: 'summarize',
+   *   description: 'Summarize a document',
+   *   arguments: [{ name: 'style', description: 'Summary style', required: false }],
+   *   messages: [
+   *     { role: 'user', content: { type: 'resource', resource: { uri: 'docs://readme' } } },
+   *     { role: 'user', content: 'Summarize the document above in a {{style}} style.' },
+   *   ],
+   * });
+   *
+   * @param {Object} prompt - Prompt definition
+   * @param {string} prompt.name - Prompt name (unique identifier)
+   * @param {string} [prompt.title] - Human-readable title
+   * @param {string} prompt.description - Description
+   * @param {Array<{name: string, description?: string, required?: boolean}>} [prompt.arguments]
+   *   Prompt arguments (always strings, per the MCP spec). An argument may also set
+   *   `complete` — values or a provider, as for {@link registerResourceTemplate}
+   * @param {Array<Object>} [prompt.messages] - Static message templates `{ role, content }`;
+   *   `content` may be a plain string as a shorthand for text content
+   * @param {Function} [prompt.handler] - Async function `(args, context) => GetPromptResult`
+   *   (takes precedence over `messages`)
+   */
+  registerPrompt(prompt) {
+    if (!prompt.handler && !Array.isArray(prompt.messages)) {
+      throw new Error(`Prompt ${prompt.name} must define either a handler or messages`);
+    }
+    this._assertCapabilities(`Prompt ${prompt.name}`, [
+      'prompts',
+      ...(prompt.arguments?.some((arg) => arg.complete) ? ['completions'] : []),
+    ]);
+    this.prompts.set(prompt.name, prompt);
+    this._propagateRegistration('prompts', prompt.name, (serverInstance) =>
+      this._attachPrompt(serverInstance, prompt.name, prompt),
+    );
+  }
+
+  /**
+   * Remove a prompt. Live sessions receive `notifications/prompts/list_changed`.
+   *
+   * @param {string} name - Prompt name
+   * @returns {boolean} True if the prompt was registered
+   */
+  unregisterPrompt(name) {
+    if (!this.prompts.delete(name)) {
+      return false;
+    }
+    this._propagateRegistration('prompts', name, null);
+    return true;
+  }
+
+  /**
+   * Convert MCP prompt argument declarations into the Zod shape the SDK expects.
+   *
+   * @private
+   * @param {Array<Object>} [args] - Prompt argument declarations
+   * @returns {Object|undefined} Raw Zod shape, or undefined when the prompt takes no arguments
+   */
+  _promptArgumentsToZod(args) {
+    if (!args || args.length === 0) {
+      return undefined;
+    }
+
+    const shape = {};
+    for (const arg of args) {
+      let zodType = z.string();
+      if (arg.description) {
+        zodType = zodType.describe(arg.description);
+      }
+      if (!arg.required) {
+        zodType = zodType.optional();
+      }
+      shape[arg.name] = arg.complete ? completable(zodType, this._toCompleter(arg.complete)) : zodType;
+    }
+    return shape;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Argument completion
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Normalize a completion provider into the SDK completer signature.
+   *
+   * - `string[]` — static values, filtered by case-insensitive prefix
+   * - `(value, context) => string[] | Promise<string[]>` — custom provider
+   *
+   * Provider errors are logged and yield no suggestions rather than failing
+   * the `completion/complete` request.
+   *
+   * @private
+   * @param {Array<string>|Function} provider
+   * @returns {Function} `(value, context) => Promise<string[]>`
+   */
+  _toCompleter(provider) {
+    if (Array.isArray(provider)) {
+      return async (value = '') =>
+        provider.filter((candidate) =>
+          String(candidate).toLowerCase().startsWith(value.toLowerCase()),
+        );
+    }
+
+    return async (value = '', context) => {
+      try {
+        const values = await provider(value, context);
+        return Array.from(values || [], String);
+      } catch (error) {
+        this.logger.warn('Completion provider failed', { value, error: error.message });
+        return [];
+      }
+    };
+  }
+
+  /**
+   * Enumerate a resource template's concrete instances for `resources/list`.
+   * Missing names default to the instance URI.
+   *
+   * @private
+   * @param {Object} template - Registered resource template
+   * @returns {Promise<Array<Object>>} Resource descriptors
+   */
+  async _listTemplate(template) {
+    const listed = await template.list();
+    const resources = Array.isArray(listed) ? listed : listed?.resources || [];
+    return resources.map((resource) => ({
+      mimeType: template.mimeType,
+      ...resource,
+      name: resource.name || resource.uri,
+    }));
+  }
+
+  /**
+   * Produce the `prompts/get` result for a prompt: run its handler or fill its
+   * message templates, then embed any referenced resources.
+   *
+   * @private
+   * @param {Object} prompt - Registered prompt definition
+   * @param {Object} args - Validated prompt arguments
+   * @param {HandlerContext} context - Handler context of the prompts/get request
+   * @returns {Promise<Object>} GetPromptResult `{ description?, messages }`
+   */
+  async _renderPrompt(prompt, args, context) {
+    const result = prompt.handler
+      ? await prompt.handler(args, context)
+      : {
+        description: prompt.description,
+        messages: prompt.messages.map((message) => this._fillPromptTemplate(message, args)),
+      };
+
+    const messages = [];
+    for (const message of result.messages || []) {
+      const content =
+        typeof message.content === 'string'
+          ? { type: 'text', text: message.content }
+          : await this._embedPromptResource(message.content, context);
+      messages.push({ ...message, content });
+    }
+
+    return { ...result, messages };
+  }
+
+  /**
+   * Replace `{{argument}}` placeholders in every string of a message template.
+   * Missing optional arguments are replaced with an empty string.
+   *
+   * @private
+   * @param {*} value - Message template (or any nested part of it)
+   * @param {Object} args - Prompt arguments
+   * @returns {*} A copy with placeholders substituted
+   */
+  _fillPromptTemplate(value, args) {
+    if (typeof value === 'string') {
+      return value.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, name) => args[name] ?? '');
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this._fillPromptTemplate(item, args));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this._fillPromptTemplate(item, args)]),
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Resolve `resource` message content that only references a URI by reading
+   * it from the registered resources / resource templates.
+   *
+   * @private
+   * @param {Object} content - Prompt message content
+   * @param {Object} context - Handler context of the prompts/get request
+   * @returns {Promise<Object>} Content with the resource embedded
+   */
+  async _embedPromptResource(content, context) {
+    const resource = content?.resource;
+    if (content?.type !== 'resource' || !resource?.uri) {
+      return content;
+    }
+    if (resource.text !== undefined || resource.blob !== undefined) {
+      return content;
+    }
+
+    const result = await this._readResourceByUri(resource.uri, context);
+    const embedded = result.contents?.[0];
+    if (!embedded) {
+      throw new Error(`Resource returned no contents: ${resource.uri}`);
+    }
+    return { ...content, resource: { ...embedded, uri: embedded.uri || resource.uri } };
+  }
+
+  /**
+   * Read a resource by URI through the registered resource and template handlers.
+   *
+   * @private
+   * @param {string} uri - Resource URI
+   * @param {Object} context - Handler context passed on to the resource handler
+   * @returns {Promise<Object>} ReadResourceResult
+   * @throws {Error} If no registered resource or template matches the URI
+   */
+  async _readResourceByUri(uri, context) {
+    this._assertAccess('resource', uri, this._findResource(uri), context.principal);
+
+    const resource = this.resources.get(uri);
+    if (resource) {
+      return resource.handler(uri, context);
+    }
+
+    for (const [uriTemplate, template] of this.resourceTemplates) {
+      const params = this._matchUriTemplate(uriTemplate, uri);
+      if (params) {
+        return template.handler(uri, params, context);
+      }
+    }
+
+    throw new Error(`Resource not found: ${uri}`);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Access control
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Validate the `access` requirements of a tool, resource or template.
+   *
+   * @private
+   * @param {string} label - Item description for error messages
+   * @param {Object} [access]
+   * @throws {Error} If scopes or roles are not arrays of strings
+   */
+  _validateAccess(label, access) {
+    if (access === undefined) {
+      return;
+    }
+    for (const field of ['scopes', 'roles']) {
+      const values = access?.[field];
+      if (
+        values !== undefined &&
+        !(Array.isArray(values) && values.every((v) => typeof v === 'string'))
+      ) {
+        throw new Error(`${label}: access.${field} must be an array of strings`);
+      }
+    }
+  }
+
+  /**
+   * Check a principal against an item's `access` requirements: all scopes and
+   * at least one of the roles. Requirements only apply with `config.auth`;
+   * requests without a principal (e.g. endpoints left open) fail any of them.
+   *
+   * @private
+   * @param {Object} [item] - Tool, resource or template definition
+   * @param {Object} [principal] - Authenticated principal
+   * @returns {Object|null} null if allowed, otherwise `{ requiredScopes, requiredRoles, missingScopes }`
+   */
+  _accessDenial(item, principal) {
+    const { scopes = [], roles = [] } = item?.access || {};
+    if (!this.authenticator || (scopes.length === 0 && roles.length === 0)) {
+      return null;
+    }
+
+    const missingScopes = scopes.filter((scope) => !principal?.scopes.includes(scope));
+    const hasRole = roles.length === 0 || roles.some((role) => principal?.roles.includes(role));
+    if (principal && missingScopes.length === 0 && hasRole) {
+      return null;
+    }
+    return { requiredScopes: scopes, requiredRoles: roles, missingScopes };
+  }
+
+  /**
+   * @private
+   * @param {string} kind - 'tool' | 'resource'
+   * @param {string} name - Tool name or resource URI
+   * @param {Object} [item] - Tool, resource or template definition
+   * @param {Object} [principal] - Authenticated principal
+   * @throws {McpError} With {@link FORBIDDEN_ERROR_CODE} and the requirements as `data`
+   */
+  _assertAccess(kind, name, item, principal) {
+    const denial = this._accessDenial(item, principal);
+    if (!denial) {
+      return;
+    }
+    this.logger.warn('Access denied', { [kind]: name, principal: principal?.id, ...denial });
+    throw mcpError(FORBIDDEN_ERROR_CODE, `Forbidden: not allowed to access ${kind} ${name}`, {
+      kind,
+      name,
+      ...denial,
+    });
+  }
+
+  /**
+   * Enforce `access` requirements on a server instance: list results are
+   * filtered per principal, and calls, reads and subscriptions to items the
+   * principal may not access fail with {@link FORBIDDEN_ERROR_CODE}.
+   *
+   * Wraps the SDK's registered request handlers (the SDK has no hook for this),
+   * so it must run after they are set up.
+   *
+   * @private
+   * @param {McpServer} serverInstance
+   */
+  _setAccessControlHandlers(serverInstance) {
+    const handlers = serverInstance.server._requestHandlers;
+    const wrap = (method, wrapper) => {
+      const handler = handlers.get(method);
+      if (handler) {
+        handlers.set(method, (request, extra) =>
+          wrapper(request, extra?.authInfo?.extra?.principal, () => handler(request, extra)),
+        );
+      }
+    };
+    const allowed = (item, principal) => !this._accessDenial(item, principal);
+
+    wrap('tools/list', async (_request, principal, next) => {
+      const result = await next();
+      return {
+        ...result,
+        tools: result.tools.filter((tool) => allowed(this.tools.get(tool.name), principal)),
+      };
+    });
+    wrap('tools/call', async (request, principal, next) => {
+      const name = request.params?.name;
+      this._assertAccess('tool', name, this.tools.get(name), principal);
+      return next();
+    });
+    wrap('resources/list', async (_request, principal, next) => {
+      const result = await next();
+      return {
+        ...result,
+        resources: result.resources.filter((resource) =>
+          allowed(this._findResource(resource.uri), principal),
+        ),
+      };
+    });
+    wrap('resources/templates/list', async (_request, principal, next) => {
+      const result = await next();
+      return {
+        ...result,
+        resourceTemplates: result.resourceTemplates.filter((template) =>
+          allowed(this.resourceTemplates.get(template.uriTemplate), principal),
+        ),
+      };
+    });
+    for (const method of ['resources/read', 'resources/subscribe']) {
+      wrap(method, async (request, principal, next) => {
+        const uri = request.params?.uri;
+        this._assertAccess('resource', uri, this._findResource(uri), principal);
+        return next();
+      });
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Stdio transport
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Start the server with stdio transport.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _startStdio() {
+    const transport = new StdioServerTransport();
+    await this.server.connect(transport);
+    this.logger.info('MCP server running on stdio');
+  }
+
+  // ---------------------------------------------------------------------------
+  // HTTP transport — helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Set common CORS headers on the response.
+   * @private
+   * @param {http.ServerResponse} res
+   */
+  _setCorsHeaders(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader(
+      'Access-Control-Allow-Headers',
+      [
+        'Content-Type, mcp-session-id, mcp-protocol-version, Last-Event-ID, Authorization',
+        this.authenticator?.apiKeyHeader || 'x-api-key',
+      ].join(', '),
+    );
+    res.setHeader(
+      'Access-Control-Expose-Headers',
+      'mcp-session-id, WWW-Authenticate, Retry-After',
+    );
+  }
+
+  /**
+   * Read and parse the request body as JSON.
+   * @private
+   * @param {http.IncomingMessage} req
+   * @returns {Promise<any>} Parsed JSON body, or undefined for empty body
+   */
+  _parseRequestBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        try {
+          resolve(body ? JSON.parse(body) : undefined);
+        } catch (err) {
+          reject(new Error(`Invalid JSON: ${err.message}`));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Authenticate a request when `config.auth` protects its endpoint.
+   * On success the principal is attached as `req.auth` (SDK AuthInfo), which the
+   * transport hands to request handlers as `extra.authInfo`. On failure a 401
+   * (or 403 for a token lacking required scopes) with a `WWW-Authenticate`
+   * challenge is sent.
+   *
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {string} endpoint - 'mcp' | 'info' | 'health'
+   * @returns {Promise<boolean>} false if the request was rejected
+   */
+  async _authenticateRequest(req, res, endpoint) {
+    if (!this.authenticator) {
+      return true;
+    }
+
+    try {
+      const principal = await this.authenticator.authenticate(req, endpoint);
+      if (principal) {
+        req.auth = this.authenticator.toAuthInfo(principal);
+        this.logger.debug('Request authenticated', {
+          endpoint,
+          principal: principal.id,
+          type: principal.type,
+        });
+      }
+      return true;
+    } catch (error) {
+      this.logger.warn('Authentication failed', { endpoint, reason: error.message });
+      const forbidden = error.code === 'insufficient_scope';
+      const message = `${forbidden ? 'Forbidden' : 'Unauthorized'}: ${error.message}`;
+      res.writeHead(forbidden ? 403 : 401, {
+        'Content-Type': 'application/json',
+        'WWW-Authenticate': this.authenticator.challenge(error, endpoint),
+      });
+      res.end(
+        JSON.stringify(
+          endpoint === 'mcp'
+            ? { jsonrpc: '2.0', error: { code: -32001, message }, id: null }
+            : { error: message },
+        ),
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Apply the global, per-session and per-client rate limits to an `/mcp`
+   * request. Clients are identified by their principal, or by remote address
+   * without authentication. Runs once the session is resolved (rehydrated
+   * sessions included), and only sessions of this server get a session
+   * bucket, so a made-up `mcp-session-id` cannot buy a fresh quota. When a
+   * limit is exceeded a 429 with `Retry-After` is sent.
+   *
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {string} [sessionId] - ID of the request's resolved session
+   * @returns {boolean} false if the request was rejected
+   */
+  _checkRateLimit(req, res, sessionId) {
+    if (!this.rateLimiter) {
+      return true;
+    }
+
+    const limit = this.rateLimiter.checkRequest({
+      sessionId,
+      clientKey: req.auth?.extra?.principal?.id || req.socket.remoteAddress,
+    });
+    if (limit.allowed) {
+      return true;
+    }
+
+    const retryAfterSec = Math.ceil(limit.retryAfterMs / 1000);
+    this.logger.warn('Rate limit exceeded', { scope: limit.scope, retryAfterSec });
+    res.writeHead(429, {
+      'Content-Type': 'application/json',
+      'Retry-After': String(retryAfterSec),
+    });
+    res.end(
+      JSON.stringify({
+        jsonrpc: '2.0',
+        error: {
+          code: -32000,
+          message: `Too Many Requests: ${limit.scope} rate limit exceeded`,
+          data: { scope: limit.scope, retryAfterMs: limit.retryAfterMs },
+        },
+        id: null,
+      }),
+    );
+    return false;
+  }
+
+  // ---------------------------------------------------------------------------
+  // HTTP transport — /mcp endpoint (POST / GET / DELETE)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Route an incoming /mcp request to the appropriate handler based on method.
+   *
+   * - **POST** — JSON-RPC messages (initialize or subsequent calls)
+   * - **GET**  — open an SSE stream for server-initiated messages
+   * - **DELETE** — terminate a session
+   *
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
    */
-  registerResourceTemplate(template) {
-    this.resourceTemplates.set(template.uriTemplate, template);
+  async _handleMcpRequest(req, res) {
+    if (this.config.stateless) {
+      if (!this._checkRateLimit(req, res)) {
+        return;
+      }
+      return this._handleStatelessRequest(req, res);
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+
+    this.logger.debug('MCP request received', {
+      method: req.method,
+      sessionId: sessionId || 'none',
+      url: req.url,
+    });
+
+    try {
+      const session = sessionId && (await this._resolveSession(sessionId, res));
+      if (res.headersSent) {
+        // Rejected at the session limit while rehydrating
+        return;
+      }
+
+      // A session may only be used by the principal that created it
+      if (session && session.principalId !== req.auth?.extra?.principal?.id) {
+        this.logger.warn('Session used by another principal', { sessionId });
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(
+          JSON.stringify({
+            jsonrpc: '2.0',
+            error: { code: -32000, message: 'Forbidden: session belongs to another principal' },
+            id: null,
+          }),
+        );
+        return;
+      }
+
+      if (!this._checkRateLimit(req, res, session ? sessionId : undefined)) {
+        return;
+      }
+
+      if (req.method === 'POST') {
+        const body = await this._parseRequestBody(req);
+
+        // Log the JSON-RPC method
+        if (body && body.method) {
+          this.logger.info('MCP JSON-RPC request', {
+            method: body.method,
+            params: body.params,
+            id: body.id,
+            sessionId: sessionId || 'new',
+          });
+        }
+
+        if (session) {
+          // Existing session — delegate to stored transport
+          await session.transport.handleRequest(req, res, body);
+        } else if (!sessionId && isInitializeRequest(body)) {
+          // New session — run the initialization handshake, if there is room for it
+          if (await this._reserveSessionSlot(res)) {
+            await this._initializeSession(req, res, body);
+          }
+        } else {
+          // Bad request: unknown session ID or non-initialize without session
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(
+            JSON.stringify({
+              jsonrpc: '2.0',
+              error: {
+                code: -32000,
+                message: 'Bad Request: No valid session ID provided',
+              },
+              id: null,
+            }),
+          );
+        }
+      } else if (req.method === 'GET') {
+        // SSE stream — requires a valid session
+        if (!session) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Invalid or missing session ID' }));
+          return;
+        }
+        await session.transport.handleRequest(req, res);
+      } else if (req.method === 'DELETE') {
+        // Session termination
+        if (!session) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Invalid or missing session ID' }));
+          return;
+        }
+        await session.transport.handleRequest(req, res);
+      } else {
+        res.writeHead(405, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Method not allowed' }));
+      }
+    } catch (error) {
+      this.logger.error('MCP request error', { error: error.message });
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(
+          JSON.stringify({
+            jsonrpc: '2.0',
+            error: { code: -32603, message: error.message },
+            id: null,
+          }),
+        );
+      }
+    }
+  }
+
+  /**
+   * Handle an /mcp request in stateless mode.
+   *
+   * Every POST gets its own server instance and a transport without session
+   * management (`sessionIdGenerator: undefined`), both closed once the response
+   * is sent. Responses are plain JSON rather than SSE. GET and DELETE have no
+   * session to act on and are answered with 405.
+   *
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async _handleStatelessRequest(req, res) {
+    if (req.method !== 'POST') {
+      res.writeHead(405, { 'Content-Type': 'application/json', Allow: 'POST' });
+      res.end(
+        JSON.stringify({
+          jsonrpc: '2.0',
+          error: {
+            code: -32000,
+            message: 'Method not allowed: server is running in stateless mode',
+          },
+          id: null,
+        }),
+      );
+      return;
+    }
+
+    try {
+      const body = await this._parseRequestBody(req);
+      if (body && body.method) {
+        this.logger.info('MCP JSON-RPC request', {
+          method: body.method,
+          params: body.params,
+          id: body.id,
+          sessionId: 'stateless',
+        });
+      }
+
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: undefined,
+        enableJsonResponse: true,
+      });
+      const serverInstance = this._createServerInstance();
+      res.on('close', () => {
+        transport.close();
+        serverInstance.close();
+      });
+
+      await serverInstance.connect(transport);
+      await transport.handleRequest(req, res, body);
+    } catch (error) {
+      this.logger.error('MCP request error', { error: error.message });
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(
+          JSON.stringify({
+            jsonrpc: '2.0',
+            error: { code: -32603, message: error.message },
+            id: null,
+          }),
+        );
+      }
+    }
+  }
+
+  /**
+   * Create a new stateful session: transport + server instance.
+   *
+   * Follows the SDK pattern from the official `simpleStreamableHttp` example:
+   * 1. Create a StreamableHTTPServerTransport with a session-ID generator
+   * 2. Create a fresh Server instance (so each session is isolated)
+   * 3. Connect server ↔ transport
+   * 4. Let the transport handle the initialize request
+   *
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {Object} body - Parsed JSON-RPC initialize request
+   */
+  async _initializeSession(req, res, body) {
+    const requestedVersion = body.params?.protocolVersion;
+    const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion)
+      ? requestedVersion
+      : LATEST_PROTOCOL_VERSION;
+
+    // Generated up front so the event store can be scoped to the session
+    const newSessionId = randomUUID();
+    const { transport, serverInstance } = this._createSessionTransport(
+      newSessionId,
+      (sessionId) => {
+        // Store *after* the SDK assigns the ID — avoids race conditions
+        this.logger.info('Session initialized', { sessionId });
+        const now = Date.now();
+        const session = this._addSession(sessionId, transport, serverInstance, {
+          createdAt: now,
+          lastActivityAt: now,
+          protocolVersion,
+          clientInfo: body.params?.clientInfo,
+          clientCapabilities: body.params?.capabilities,
+          principalId: req.auth?.extra?.principal?.id,
+        });
+        this._sessionStats.created++;
+        return this._persistSession(sessionId, session);
+      },
+    );
+
+    // Connect server ↔ transport BEFORE handling the request
+    await serverInstance.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  /**
+   * Create the transport and server instance for a session.
+   *
+   * @private
+   * @param {string} sessionId
+   * @param {Function} [onsessioninitialized] - Called by the SDK once initialize succeeds
+   * @returns {{transport: StreamableHTTPServerTransport, serverInstance: McpServer}}
+   */
+  _createSessionTransport(sessionId, onsessioninitialized) {
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => sessionId,
+      eventStore: this._sessionEventStore(sessionId),
+      onsessioninitialized,
+    });
+
+    // Clean up when the transport closes (e.g. on DELETE or disconnect)
+    transport.onclose = () => {
+      this._closeSession(sessionId, 'client');
+    };
+
+    // Each session gets its own Server instance (SDK requirement)
+    const serverInstance = this._createServerInstance();
+
+    return { transport, serverInstance };
+  }
+
+  /**
+   * Track a live session, most recently used.
+   *
+   * @private
+   * @param {string} sessionId
+   * @param {StreamableHTTPServerTransport} transport
+   * @param {McpServer} serverInstance
+   * @param {Object} metadata - createdAt, lastActivityAt, protocolVersion, clientInfo,
+   *   clientCapabilities, principalId
+   * @returns {Object} Session entry
+   */
+  _addSession(sessionId, transport, serverInstance, metadata) {
+    const session = { ...metadata, transport, server: serverInstance, persistedAt: 0 };
+    this._sessions.set(sessionId, session);
+    return session;
+  }
+
+  /**
+   * Find the session for a request: a live one, or one rebuilt from the session store.
+   *
+   * @private
+   * @param {string} sessionId
+   * @param {http.ServerResponse} res - Answered with 503 if rehydration hits the session limit
+   * @returns {Promise<Object|undefined>} Session entry, or undefined for an unknown session
+   */
+  async _resolveSession(sessionId, res) {
+    if (this._sessions.has(sessionId)) {
+      return this._getActiveSession(sessionId);
+    }
+    return this._rehydrateSession(sessionId, res);
+  }
+
+  /**
+   * Rebuild a session that is not live in this process (evicted, created before
+   * a restart, or created by another process) from its stored metadata.
+   *
+   * @private
+   * @param {string} sessionId
+   * @param {http.ServerResponse} res
+   * @returns {Promise<Object|undefined>} Session entry, or undefined if unknown or rejected
+   */
+  async _rehydrateSession(sessionId, res) {
+    let record;
+    try {
+      record = await this.config.sessionStore.get(sessionId);
+    } catch (error) {
+      this.logger.warn('Failed to load session', { sessionId, error: error.message });
+      return undefined;
+    }
+    if (!record) {
+      return undefined;
+    }
+
+    if (this._sessionExpiry(record, Date.now())) {
+      await this._forgetSession(sessionId);
+      return undefined;
+    }
+
+    if (!(await this._reserveSessionSlot(res))) {
+      return undefined;
+    }
+
+    // A concurrent request may have rehydrated it while we were waiting
+    if (!this._sessions.has(sessionId)) {
+      const { transport, serverInstance } = this._createSessionTransport(sessionId);
+      this._restoreSessionState(transport, serverInstance, record);
+      this._addSession(sessionId, transport, serverInstance, {
+        createdAt: record.createdAt,
+        lastActivityAt: record.lastActivityAt,
+        protocolVersion: record.protocolVersion,
+        clientInfo: record.clientInfo,
+        clientCapabilities: record.clientCapabilities,
+        principalId: record.principalId,
+      });
+      if (record.subscriptions?.length) {
+        this._subscriptions.set(sessionId, new Set(record.subscriptions));
+      }
+      if (record.logLevel) {
+        this._logLevels.set(sessionId, record.logLevel);
+      }
+      this._sessionStats.rehydrated++;
+      this.logger.info('Session rehydrated', { sessionId, client: record.clientInfo?.name });
+      await serverInstance.connect(transport);
+    }
+
+    return this._getActiveSession(sessionId);
+  }
+
+  /**
+   * Put a freshly created transport and server instance into the state the
+   * initialize handshake would have left them in.
+   *
+   * The SDK has no public API for resuming a session, so this sets the private
+   * fields its initialize handling would have set. package.json pins the exact
+   * SDK version, and test/base-server.test.js fails if an upgrade moves them.
+   *
+   * @private
+   * @param {StreamableHTTPServerTransport} transport
+   * @param {McpServer} serverInstance
+   * @param {import('./stores/session-store.js').SessionRecord} record
+   */
+  _restoreSessionState(transport, serverInstance, record) {
+    const webTransport = transport._webStandardTransport;
+    webTransport.sessionId = record.sessionId;
+    webTransport._initialized = true;
+
+    serverInstance.server._clientCapabilities = record.clientCapabilities;
+    serverInstance.server._clientVersion = record.clientInfo;
+  }
+
+  /**
+   * Write a session's metadata to the session store. Failures are logged, not thrown.
+   *
+   * @private
+   * @param {string} sessionId
+   * @param {Object} session - Session entry
+   * @returns {Promise<void>}
+   */
+  async _persistSession(sessionId, session) {
+    session.persistedAt = Date.now();
+    try {
+      await this.config.sessionStore.set({
+        sessionId,
+        createdAt: session.createdAt,
+        lastActivityAt: session.lastActivityAt,
+        protocolVersion: session.protocolVersion,
+        clientInfo: session.clientInfo,
+        clientCapabilities: session.clientCapabilities,
+        principalId: session.principalId,
+        subscriptions: Array.from(this._subscriptions.get(sessionId) || []),
+        logLevel: this._logLevels.get(sessionId),
+      });
+    } catch (error) {
+      this.logger.warn('Failed to persist session', { sessionId, error: error.message });
+    }
+  }
+
+  /**
+   * Persist a live HTTP session after its subscriptions or log level changed,
+   * so the session keeps them when it is rehydrated. No-op for stdio.
+   *
+   * @private
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  async _persistSessionState(sessionId) {
+    const session = this._sessions.get(sessionId);
+    if (session) {
+      await this._persistSession(sessionId, session);
+    }
+  }
+
+  /**
+   * Remove every trace of a session that has ended for good: its stored
+   * metadata and its stored events. Failures are logged, not thrown.
+   *
+   * @private
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  async _forgetSession(sessionId) {
+    try {
+      await this.config.sessionStore.delete(sessionId);
+    } catch (error) {
+      this.logger.warn('Failed to delete stored session', { sessionId, error: error.message });
+    }
+
+    if (this.config.eventStore) {
+      try {
+        await this.config.eventStore.deleteStreams?.(`${sessionId}/`);
+      } catch (error) {
+        this.logger.warn('Failed to delete stored events', { sessionId, error: error.message });
+      }
+    }
   }
 
   /**
-   * Match a URI against RFC 6570 URI template and extract parameters.
-   * Supports common RFC 6570 operators:
-   * - {param}   - simple string expansion (no reserved chars)
-   * - {+param}  - reserved string expansion (allows /, ?, etc.)
-   * - {/param}  - path segment prefix
+   * View of `config.eventStore` restricted to one session.
+   *
+   * The SDK names every session's standalone GET stream the same way, so stream
+   * IDs are prefixed with the session ID before they reach the shared store,
+   * and event IDs belonging to other sessions are refused on replay.
    *
    * @private
-   * @param {string} template - RFC 6570 URI template (e.g., 'file:///{+path}')
-   * @param {string} uri - Actual URI
-   * @returns {Object|null} Extracted parameters or null if no match
+   * @param {string} sessionId
+   * @returns {Object|undefined} SDK EventStore, or undefined when resumability is off
    */
-  _matchUriTemplate(template, uri) {
-    // Convert RFC 6570 template to regex pattern
-    let pattern = template
-      // {+param} - reserved expansion (allows reserved chars including /)
-      .replace(/\{\+([^}]+)\}/g, (_, name) => `(?<${name}>.+)`)
-      // {/param} - path segment prefix
-      .replace(/\{\/([^}]+)\}/g, (_, name) => `(?:/(?<${name}>[^/]+))?`)
-      // {param} - simple expansion (no reserved chars, no /)
-      .replace(/\{([^}]+)\}/g, (_, name) => `(?<${name}>[^/?#]+)`);
-
-    // Escape special regex chars in non-template parts
-    pattern = pattern
-      .replace(/\./g, '\\.')
-      .replace(/\*/g, '\\*');
+  _sessionEventStore(sessionId) {
+    const store = this.config.eventStore;
+    if (!store) {
+      return undefined;
+    }
 
-    const regex = new RegExp(`^${pattern}$`);
-    const match = uri.match(regex);
+    const prefix = `${sessionId}/`;
+    const unscope = (streamId) =>
+      streamId?.startsWith(prefix) ? streamId.slice(prefix.length) : undefined;
 
-    return match ? match.groups : null;
+    return {
+      storeEvent: (streamId, message) => store.storeEvent(prefix + streamId, message),
+      getStreamIdForEventId: async (eventId) => unscope(await store.getStreamIdForEventId(eventId)),
+      replayEventsAfter: async (lastEventId, { send }) => {
+        if (!unscope(await store.getStreamIdForEventId(lastEventId))) {
+          throw new Error(`Unknown event ID: ${lastEventId}`);
+        }
+        const streamId = unscope(await store.replayEventsAfter(lastEventId, { send }));
+        this.logger.info('SSE stream resumed', { sessionId, lastEventId, streamId });
+        return streamId ?? '';
+      },
+    };
   }
 
   // ---------------------------------------------------------------------------
-  // Stdio transport
+  // HTTP transport — session limits
   // ---------------------------------------------------------------------------
 
   /**
-   * Start the server with stdio transport.
+   * Look up a session for an incoming request and mark it as recently used.
+   * A session that has outlived its idle timeout or lifetime is closed here
+   * rather than waiting for the next sweep, and treated as unknown.
+   *
    * @private
-   * @returns {Promise<void>}
+   * @param {string} sessionId
+   * @returns {Promise<Object|undefined>} Session entry, if still active
    */
-  async _startStdio() {
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
-    this.logger.info('MCP server running on stdio');
-  }
+  async _getActiveSession(sessionId) {
+    const session = this._sessions.get(sessionId);
+    if (!session) {
+      return undefined;
+    }
 
-  // ---------------------------------------------------------------------------
-  // HTTP transport — helpers
-  // ---------------------------------------------------------------------------
+    const now = Date.now();
+    const expired = this._sessionExpiry(session, now);
+    if (expired) {
+      await this._closeSession(sessionId, expired);
+      return undefined;
+    }
+
+    // Re-insert so the Map stays ordered from least to most recently used
+    session.lastActivityAt = now;
+    this._sessions.delete(sessionId);
+    this._sessions.set(sessionId, session);
+
+    if (now - session.persistedAt >= SESSION_PERSIST_INTERVAL_MS) {
+      this._persistSession(sessionId, session);
+    }
+    return session;
+  }
 
   /**
-   * Set common CORS headers on the response.
+   * Why a session should be closed, if it should.
+   *
    * @private
-   * @param {http.ServerResponse} res
+   * @param {Object} session - Session entry
+   * @param {number} now - Current time in ms
+   * @returns {'idle'|'lifetime'|null}
    */
-  _setCorsHeaders(res) {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-    res.setHeader(
-      'Access-Control-Allow-Headers',
-      'Content-Type, mcp-session-id, mcp-protocol-version, Last-Event-ID, Authorization',
-    );
-    res.setHeader('Access-Control-Expose-Headers', 'mcp-session-id');
+  _sessionExpiry(session, now) {
+    const { idleTimeoutMs, maxLifetimeMs } = this.config.sessions;
+    if (maxLifetimeMs > 0 && now - session.createdAt >= maxLifetimeMs) {
+      return 'lifetime';
+    }
+    if (idleTimeoutMs > 0 && now - session.lastActivityAt >= idleTimeoutMs) {
+      return 'idle';
+    }
+    return null;
   }
 
   /**
-   * Read and parse the request body as JSON.
+   * Make room for a new session when `maxSessions` is reached: either evict
+   * the least recently used session or answer 503.
+   *
    * @private
-   * @param {http.IncomingMessage} req
-   * @returns {Promise<any>} Parsed JSON body, or undefined for empty body
+   * @param {http.ServerResponse} res
+   * @returns {Promise<boolean>} false if the request was rejected
    */
-  _parseRequestBody(req) {
-    return new Promise((resolve, reject) => {
-      let body = '';
-      req.on('data', (chunk) => {
-        body += chunk;
-      });
-      req.on('end', () => {
-        try {
-          resolve(body ? JSON.parse(body) : undefined);
-        } catch (err) {
-          reject(new Error(`Invalid JSON: ${err.message}`));
-        }
+  async _reserveSessionSlot(res) {
+    const { maxSessions, onLimit } = this.config.sessions;
+    if (!(maxSessions > 0) || this._sessions.size < maxSessions) {
+      return true;
+    }
+
+    if (onLimit === 'reject') {
+      this._sessionStats.rejected++;
+      this.logger.warn('Session limit reached, rejecting new session', {
+        sessions: this._sessions.size,
+        maxSessions,
       });
-      req.on('error', reject);
-    });
-  }
+      res.writeHead(503, { 'Content-Type': 'application/json', 'Retry-After': '60' });
+      res.end(
+        JSON.stringify({
+          jsonrpc: '2.0',
+          error: {
+            code: -32000,
+            message: 'Service Unavailable: session limit reached',
+          },
+          id: null,
+        }),
+      );
+      return false;
+    }
 
-  // ---------------------------------------------------------------------------
-  // HTTP transport — /mcp endpoint (POST / GET / DELETE)
-  // ---------------------------------------------------------------------------
+    while (this._sessions.size >= maxSessions) {
+      const [oldest] = this._sessions.keys();
+      await this._closeSession(oldest, 'evicted');
+    }
+    return true;
+  }
 
   /**
-   * Route an incoming /mcp request to the appropriate handler based on method.
-   *
-   * - **POST** — JSON-RPC messages (initialize or subsequent calls)
-   * - **GET**  — open an SSE stream for server-initiated messages
-   * - **DELETE** — terminate a session
+   * Close a session and release its transport, server instance and subscriptions.
+   * Safe to call more than once; only the first call has an effect.
    *
    * @private
-   * @param {http.IncomingMessage} req
-   * @param {http.ServerResponse} res
+   * @param {string} sessionId
+   * @param {string} reason - 'client' | 'idle' | 'lifetime' | 'evicted' | 'terminated' | 'shutdown'
+   * @returns {Promise<boolean>} Whether the session was open
    */
-  async _handleMcpRequest(req, res) {
-    const sessionId = req.headers['mcp-session-id'];
+  async _closeSession(sessionId, reason) {
+    const session = this._sessions.get(sessionId);
+    if (!session) {
+      return false;
+    }
 
-    this.logger.debug('MCP request received', {
-      method: req.method,
-      sessionId: sessionId || 'none',
-      url: req.url,
+    // Forget the session first so the transport's onclose is a no-op
+    this._sessions.delete(sessionId);
+    this._subscriptions.delete(sessionId);
+    this._logLevels.delete(sessionId);
+    this.rateLimiter?.forgetSession(sessionId);
+    this._sessionStats.closed[reason] = (this._sessionStats.closed[reason] || 0) + 1;
+    this.logger.info('Session closed', {
+      sessionId,
+      reason,
+      ageMs: Date.now() - session.createdAt,
     });
 
-    try {
-      if (req.method === 'POST') {
-        const body = await this._parseRequestBody(req);
+    if (reason !== 'client') {
+      try {
+        await session.transport.close();
+        await session.server.close();
+      } catch {
+        // Ignore cleanup errors
+      }
+    }
 
-        // Log the JSON-RPC method
-        if (body && body.method) {
-          this.logger.info('MCP JSON-RPC request', {
-            method: body.method,
-            params: body.params,
-            id: body.id,
-            sessionId: sessionId || 'new',
-          });
-        }
+    // Evicted and shut-down sessions can still be rehydrated from the stores
+    if (reason !== 'evicted' && reason !== 'shutdown') {
+      await this._forgetSession(sessionId);
+    }
+    return true;
+  }
 
-        if (sessionId && this._sessions.has(sessionId)) {
-          // Existing session — delegate to stored transport
-          const session = this._sessions.get(sessionId);
-          await session.transport.handleRequest(req, res, body);
-        } else if (!sessionId && isInitializeRequest(body)) {
-          // New session — run the initialization handshake
-          await this._initializeSession(req, res, body);
-        } else {
-          // Bad request: unknown session ID or non-initialize without session
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(
-            JSON.stringify({
-              jsonrpc: '2.0',
-              error: {
-                code: -32000,
-                message: 'Bad Request: No valid session ID provided',
-              },
-              id: null,
-            }),
-          );
-        }
-      } else if (req.method === 'GET') {
-        // SSE stream — requires a valid session
-        if (!sessionId || !this._sessions.has(sessionId)) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Invalid or missing session ID' }));
-          return;
-        }
-        const session = this._sessions.get(sessionId);
-        await session.transport.handleRequest(req, res);
-      } else if (req.method === 'DELETE') {
-        // Session termination
-        if (!sessionId || !this._sessions.has(sessionId)) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Invalid or missing session ID' }));
-          return;
-        }
-        const session = this._sessions.get(sessionId);
-        await session.transport.handleRequest(req, res);
-      } else {
-        res.writeHead(405, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Method not allowed' }));
-      }
+  /**
+   * Close every live session that has exceeded its idle timeout or lifetime, or
+   * that was terminated by another process (its record left the session store),
+   * and forget expired sessions that are only in the session store.
+   *
+   * @private
+   * @returns {Promise<number>} Number of sessions closed or forgotten
+   */
+  async _sweepSessions() {
+    const now = Date.now();
+    let stored = null;
+    try {
+      stored = await this.config.sessionStore.list();
     } catch (error) {
-      this.logger.error('MCP request error', { error: error.message });
-      if (!res.headersSent) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(
-          JSON.stringify({
-            jsonrpc: '2.0',
-            error: { code: -32603, message: error.message },
-            id: null,
-          }),
-        );
+      this.logger.warn('Failed to list stored sessions', { error: error.message });
+    }
+    const storedIds = stored && new Set(stored.map((record) => record.sessionId));
+
+    let closed = 0;
+    for (const [sessionId, session] of Array.from(this._sessions)) {
+      const reason =
+        this._sessionExpiry(session, now) ||
+        (storedIds && session.persistedAt > 0 && !storedIds.has(sessionId) && 'terminated');
+      if (reason && (await this._closeSession(sessionId, reason))) {
+        closed++;
+      }
+    }
+
+    let forgotten = 0;
+    for (const record of stored || []) {
+      if (!this._sessions.has(record.sessionId) && this._sessionExpiry(record, now)) {
+        await this._forgetSession(record.sessionId);
+        forgotten++;
       }
     }
+
+    if (closed > 0 || forgotten > 0) {
+      this.logger.info('Swept expired sessions', {
+        closed,
+        forgotten,
+        active: this._sessions.size,
+      });
+    }
+    return closed + forgotten;
   }
 
+  // ---------------------------------------------------------------------------
+  // HTTP transport — server lifecycle
+  // ---------------------------------------------------------------------------
+
   /**
-   * Create a new stateful session: transport + server instance.
-   *
-   * Follows the SDK pattern from the official `simpleStreamableHttp` example:
-   * 1. Create a StreamableHTTPServerTransport with a session-ID generator
-   * 2. Create a fresh Server instance (so each session is isolated)
-   * 3. Connect server ↔ transport
-   * 4. Let the transport handle the initialize request
+   * Route one HTTP request to the matching endpoint.
    *
    * @private
    * @param {http.IncomingMessage} req
    * @param {http.ServerResponse} res
-   * @param {Object} body - Parsed JSON-RPC initialize request
+   * @returns {Promise<void>}
    */
-  async _initializeSession(req, res, body) {
-    const transport = new StreamableHTTPServerTransport({
-      sessionIdGenerator: () => randomUUID(),
-      onsessioninitialized: (sessionId) => {
-        // Store *after* the SDK assigns the ID — avoids race conditions
-        this.logger.info('Session initialized', { sessionId });
-        this._sessions.set(sessionId, { transport, server: serverInstance });
-      },
-    });
+  async _handleHttpRequest(req, res) {
+    // CORS headers on every response
+    this._setCorsHeaders(res);
+
+    // Preflight
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
 
-    // Clean up when the transport closes (e.g. on DELETE or disconnect)
-    transport.onclose = () => {
-      const sid = transport.sessionId;
-      if (sid && this._sessions.has(sid)) {
-        this.logger.info('Session closed', { sessionId: sid });
-        this._sessions.delete(sid);
+    // OAuth protected resource metadata (RFC 9728)
+    const metadata = this.authenticator?.protectedResourceMetadata();
+    if (metadata && req.url.startsWith(PROTECTED_RESOURCE_METADATA_PATH)) {
+      const resourcePath = new URL(metadata.resource).pathname;
+      const suffix = req.url.slice(PROTECTED_RESOURCE_METADATA_PATH.length);
+      if (suffix === '' || suffix === resourcePath) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(metadata));
+        return;
       }
-    };
+    }
 
-    // Each session gets its own Server instance (SDK requirement)
-    const serverInstance = this._createServerInstance();
+    const endpoint = HTTP_ENDPOINTS[req.url];
+    if (endpoint && !(await this._authenticateRequest(req, res, endpoint))) {
+      return;
+    }
 
-    // Connect server ↔ transport BEFORE handling the request
-    await serverInstance.connect(transport);
-    await transport.handleRequest(req, res, body);
-  }
+    // Health check
+    if (req.url === '/health') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(
+        JSON.stringify({
+          status: 'healthy',
+          name: this.config.name,
+          ...(this.config.stateless
+            ? { stateless: true }
+            : { sessions: this.getSessionStats() }),
+          ...(this.rateLimiter && { rateLimit: this.rateLimiter.getStats() }),
+        }),
+      );
+      return;
+    }
 
-  // ---------------------------------------------------------------------------
-  // HTTP transport — server lifecycle
-  // ---------------------------------------------------------------------------
+    // Info endpoint (dashboard)
+    if (req.url === '/info') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(this.getInfo(req.auth?.extra?.principal)));
+      return;
+    }
+
+    // MCP protocol endpoint
+    if (req.url === '/mcp') {
+      await this._handleMcpRequest(req, res);
+      return;
+    }
+
+    // Not found
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found' }));
+  }
 
   /**
    * Start the server with streamable HTTP transport.
@@ -631,46 +3291,41 @@ export class BaseMCPServer {
    * - `/health` — health check (GET)
    * - `/info`   — server metadata for the dashboard (GET)
    *
+   * With `auth.oauth`, the protected resource metadata is also served (without
+   * authentication) at `/.well-known/oauth-protected-resource`, with and without
+   * the resource path appended.
+   *
    * @private
    * @returns {Promise<void>}
    */
   async _startHttp() {
-    this.httpServer = http.createServer(async (req, res) => {
-      // CORS headers on every response
-      this._setCorsHeaders(res);
-
-      // Preflight
-      if (req.method === 'OPTIONS') {
-        res.writeHead(204);
-        res.end();
-        return;
-      }
-
-      // Health check
-      if (req.url === '/health') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ status: 'healthy', name: this.config.name }));
-        return;
-      }
-
-      // Info endpoint (dashboard)
-      if (req.url === '/info') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(this.getInfo()));
-        return;
-      }
-
-      // MCP protocol endpoint
-      if (req.url === '/mcp') {
-        await this._handleMcpRequest(req, res);
-        return;
-      }
-
-      // Not found
-      res.writeHead(404, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Not found' }));
+    this.httpServer = http.createServer((req, res) => {
+      this._handleHttpRequest(req, res).catch((error) => {
+        this.logger.error('HTTP request failed', {
+          method: req.method,
+          url: req.url,
+          error: error.message,
+          stack: error.stack,
+        });
+        if (!res.headersSent) {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Internal server error' }));
+        } else {
+          res.end();
+        }
+      });
     });
 
+    const { sweepIntervalMs } = this.config.sessions;
+    if (sweepIntervalMs > 0 && !this.config.stateless) {
+      this._sweepTimer = setInterval(() => {
+        this._sweepSessions().catch((error) => {
+          this.logger.error('Session sweep failed', { error: error.message });
+        });
+      }, sweepIntervalMs);
+      this._sweepTimer.unref();
+    }
+
     return new Promise((resolve, reject) => {
       this.httpServer.listen(this.config.port, this.config.host, () => {
         const base = `http://${this.config.host}:${this.config.port}`;
@@ -698,6 +3353,10 @@ export class BaseMCPServer {
   async start(transportType) {
     const transport = transportType || this.config.transport;
 
+    if (this._logTransport) {
+      this.logger.addTransport(this._logTransport);
+    }
+
     switch (transport) {
     case TransportType.STDIO:
       return this._startStdio();
@@ -713,17 +3372,20 @@ export class BaseMCPServer {
    * @returns {Promise<void>}
    */
   async stop() {
+    if (this._sweepTimer) {
+      clearInterval(this._sweepTimer);
+      this._sweepTimer = null;
+    }
+
     // Close every active HTTP session
-    for (const [sessionId, session] of this._sessions) {
-      try {
-        await session.transport.close();
-        await session.server.close();
-        this.logger.debug('Closed session during shutdown', { sessionId });
-      } catch {
-        // Ignore cleanup errors
-      }
+    for (const sessionId of Array.from(this._sessions.keys())) {
+      await this._closeSession(sessionId, 'shutdown');
+    }
+    this._subscriptions.clear();
+    this._logLevels.clear();
+    if (this._logTransport) {
+      this.logger.removeTransport(this._logTransport);
     }
-    this._sessions.clear();
 
     // Close the primary (stdio) server instance
     try {
@@ -749,19 +3411,44 @@ export class BaseMCPServer {
 
   /**
    * Server metadata for the dashboard / info endpoint.
+   * With `config.auth`, tools and resources whose `access` requirements the
+   * principal does not meet are left out, as they are from the list results.
+   *
+   * @param {Object} [principal] - Authenticated principal of the /info request
    * @returns {Object}
    */
-  getInfo() {
+  getInfo(principal) {
+    const allowed = (item) => !this._accessDenial(item, principal);
     return {
       name: this.config.name,
       version: this.config.version,
       transport: this.config.transport,
       ...(this.config.transport === TransportType.HTTP && {
         endpoint: `http://${this.config.host}:${this.config.port}/mcp`,
+        stateless: Boolean(this.config.stateless),
       }),
       capabilities: this.config.capabilities,
-      tools: this.getTools(),
-      resources: this.getResources(),
+      tools: this.getTools().filter(({ name }) => allowed(this.tools.get(name))),
+      resources: this.getResources().filter(({ uri }) => allowed(this.resources.get(uri))),
+      prompts: this.getPrompts(),
+      plugins: this.getPlugins(),
+    };
+  }
+
+  /**
+   * HTTP session counts and limits (reported on /health).
+   * `closed` counts sessions by close reason: client, idle, lifetime, evicted, terminated, shutdown.
+   * @returns {Object}
+   */
+  getSessionStats() {
+    const { idleTimeoutMs, maxLifetimeMs, maxSessions, onLimit } = this.config.sessions;
+    return {
+      active: this._sessions.size,
+      created: this._sessionStats.created,
+      rehydrated: this._sessionStats.rehydrated,
+      rejected: this._sessionStats.rejected,
+      closed: { ...this._sessionStats.closed },
+      limits: { idleTimeoutMs, maxLifetimeMs, maxSessions, onLimit },
     };
   }
 
@@ -773,8 +3460,11 @@ export class BaseMCPServer {
   getTools() {
     return Array.from(this.tools.values()).map((tool) => ({
       name: tool.name,
+      title: tool.title ?? tool.annotations?.title,
       description: tool.description,
       inputSchema: tool.inputSchema,
+      ...(tool.outputSchema && { outputSchema: tool.outputSchema }),
+      ...(tool.annotations && { annotations: tool.annotations }),
     }));
   }
 
@@ -805,4 +3495,34 @@ export class BaseMCPServer {
       mimeType: template.mimeType,
     }));
   }
+
+  /**
+   * Get the list of registered prompts (for prompts/list responses & /info).
+   * @protected
+   * @returns {Array<Object>}
+   */
+  getPrompts() {
+    return Array.from(this.prompts.values()).map((prompt) => ({
+      name: prompt.name,
+      title: prompt.title,
+      description: prompt.description,
+      arguments: (prompt.arguments || []).map(({ name, description, required }) => ({
+        name,
+        description,
+        required,
+      })),
+    }));
+  }
+
+  /**
+   * Get the list of registered plugins (for /info).
+   * @returns {Array<{name: string, version: string, namespace: string|null}>}
+   */
+  getPlugins() {
+    return Array.from(this._plugins.values(), ({ plugin, namespace }) => ({
+      name: plugin.name,
+      version: plugin.version,
+      namespace,
+    }));
+  }
 }
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Errors thrown to handlers by the framework.
+ * @module @mcp/core
+ */
+
+/**
+ * Thrown when a handler asks the client for something it did not advertise in
+ * its `initialize` capabilities, such as `context.sample()` for a client
+ * without `sampling`.
+ *
+ * @example
+ * try {
+ *   const result = await context.sample({ messages, maxTokens: 200 });
+ * } catch (error) {
+ *   if (error instanceof ClientCapabilityError) {
+ *     return { content: [{ type: 'text', text: fallbackSummary(text) }] };
+ *   }
+ *   throw error;
+ * }
+ */
+export class ClientCapabilityError extends Error {
+  /**
+   * @param {string} capability - Missing capability, e.g. `'sampling'` or `'sampling.tools'`
+   * @param {string} [message]
+   */
+  constructor(capability, message = `Client does not support ${capability}`) {
+    super(message);
+    this.name = 'ClientCapabilityError';
+    /** @type {string} */
+    this.capability = capability;
+  }
+}
@@ -5,19 +5,57 @@
 
 // Base server
 export { BaseMCPServer, TransportType } from './base-server.js';
+export { ClientCapabilityError } from './errors.js';
 
 // Middleware
 export {
   withErrorHandling,
   formatError,
   validateParams,
+  createErrorMiddleware,
+  createValidationMiddleware,
+  compose,
+  createTimingMiddleware,
   Logger,
   createLogger,
   createRequestLogger,
+  McpLogTransport,
+  redact,
+  DEFAULT_REDACT_KEYS,
+  Authenticator,
+  verifyJwt,
+  signJwt,
+  RateLimiter,
+  TokenBucket,
 } from './middleware/index.js';
 
+// OAuth
+export { LocalAuthorizationServer } from './oauth/index.js';
+
 // Utilities
-export { HttpClient, formatJSON, formatMarkdown, formatText, truncate } from './utils/index.js';
+export {
+  HttpClient,
+  formatJSON,
+  formatMarkdown,
+  formatText,
+  truncate,
+  jsonSchemaToZod,
+  UriTemplate,
+  expandUriTemplate,
+  matchUriTemplate,
+  isWithinRoots,
+  rootToPath,
+} from './utils/index.js';
+
+// Stores
+export {
+  EventStore,
+  InMemoryEventStore,
+  FileEventStore,
+  SessionStore,
+  InMemorySessionStore,
+  FileSessionStore,
+} from './stores/index.js';
 
 // Validators
 export {
@@ -0,0 +1,636 @@
+/**
+ * @fileoverview Authentication for the HTTP transport.
+ *
+ * Supported credentials:
+ * - Static API keys, sent in a header (`X-API-Key` by default)
+ * - Static bearer tokens (`Authorization: Bearer <token>`)
+ * - JWTs (`Authorization: Bearer <jwt>`) verified against a local JWKS file
+ * - OAuth 2.1 access tokens, as a protected resource per the MCP authorization
+ *   spec: audience and scope checks, token introspection and
+ *   protected resource metadata
+ *
+ * Every successful authentication yields a principal
+ * `{ id, type, scopes, roles, claims }` that is passed on to handlers.
+ *
+ * @module @mcp/core/middleware
+ * @see https://www.rfc-editor.org/rfc/rfc6750 (Bearer tokens)
+ * @see https://www.rfc-editor.org/rfc/rfc7519 (JWT)
+ * @see https://www.rfc-editor.org/rfc/rfc7662 (Token introspection)
+ * @see https://www.rfc-editor.org/rfc/rfc9728 (Protected resource metadata)
+ * @see https://modelcontextprotocol.io/specification/2025-06-18/basic/authorization
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+
+/**
+ * Endpoints that require authentication unless configured otherwise.
+ * @type {Object<string, boolean>}
+ */
+const DEFAULT_ENDPOINTS = { mcp: true, info: false, health: false };
+
+/**
+ * Node.js verification parameters per JWS algorithm.
+ * @type {Object<string, {hash: string|null, kty: string, padding?: number, dsaEncoding?: string}>}
+ */
+const JWS_ALGORITHMS = {
+  RS256: { hash: 'sha256', kty: 'RSA' },
+  RS384: { hash: 'sha384', kty: 'RSA' },
+  RS512: { hash: 'sha512', kty: 'RSA' },
+  PS256: { hash: 'sha256', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { hash: null, kty: 'OKP' },
+  HS256: { hash: 'sha256', kty: 'oct' },
+  HS384: { hash: 'sha384', kty: 'oct' },
+  HS512: { hash: 'sha512', kty: 'oct' },
+};
+
+/**
+ * Well-known path of the OAuth protected resource metadata document.
+ * @type {string}
+ */
+export const PROTECTED_RESOURCE_METADATA_PATH = '/.well-known/oauth-protected-resource';
+
+/**
+ * `error_description` sent in the `WWW-Authenticate` challenge per Bearer error
+ * code. Fixed text, because error messages may quote the (untrusted) token and
+ * header values must stay within quoted-string-safe ASCII.
+ * @type {Object<string, string>}
+ */
+const CHALLENGE_DESCRIPTIONS = {
+  invalid_token: 'The access token is invalid or expired',
+  insufficient_scope: 'The access token does not grant the required scope',
+};
+
+/**
+ * Create an authentication error. `code` is a Bearer error code
+ * (RFC 6750 §3.1) reported in the `WWW-Authenticate` challenge.
+ *
+ * @param {string} message
+ * @param {string} [code='invalid_token']
+ * @returns {Error}
+ */
+function authError(message, code = 'invalid_token') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Compare two secrets in constant time.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Normalize configured API keys or bearer tokens into `{ secret, principal }` entries.
+ * Entries are either plain strings or objects `{ [field], id, scopes, roles }`.
+ *
+ * @param {Array<string|Object>} entries
+ * @param {string} field - 'key' or 'token'
+ * @param {string} type - Principal type
+ * @returns {Array<{secret: string, principal: Object}>}
+ */
+function normalizeCredentials(entries = [], field, type) {
+  return entries.map((entry, index) => {
+    const options = typeof entry === 'string' ? { [field]: entry } : entry;
+    if (!options[field]) {
+      throw new Error(`auth ${type} entry ${index} is missing "${field}"`);
+    }
+    return {
+      secret: options[field],
+      principal: {
+        id: options.id || `${type}-${index}`,
+        type,
+        scopes: options.scopes || [],
+        roles: options.roles || [],
+      },
+    };
+  });
+}
+
+/**
+ * Decode one base64url JWT segment as JSON.
+ *
+ * @param {string} segment
+ * @returns {Object}
+ */
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw authError('Malformed token');
+  }
+}
+
+/**
+ * Verify a JWS signature with a JWK.
+ *
+ * @param {string} alg - JWS algorithm
+ * @param {Object} jwk - Verification key
+ * @param {string} signingInput - `<header>.<payload>`
+ * @param {Buffer} signature
+ * @returns {boolean}
+ */
+function verifySignature(alg, jwk, signingInput, signature) {
+  const params = JWS_ALGORITHMS[alg];
+  if (params.kty === 'oct') {
+    const expected = crypto
+      .createHmac(params.hash, Buffer.from(jwk.k, 'base64url'))
+      .update(signingInput)
+      .digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  const verifyKey = params.padding
+    ? { key, padding: params.padding, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST }
+    : params.dsaEncoding
+      ? { key, dsaEncoding: params.dsaEncoding }
+      : key;
+  return crypto.verify(params.hash, Buffer.from(signingInput), verifyKey, signature);
+}
+
+/**
+ * Verify a compact JWS token and its registered claims.
+ *
+ * @param {string} token - Compact JWT
+ * @param {Object} options
+ * @param {Array<Object>} options.keys - JWKS keys
+ * @param {string[]} [options.algorithms] - Accepted algorithms (default: all asymmetric ones)
+ * @param {string} [options.issuer] - Required `iss`
+ * @param {string|string[]} [options.audience] - Accepted `aud` values (any match)
+ * @param {number} [options.clockToleranceSec=30] - Allowed clock skew for exp/nbf
+ * @returns {Object} Verified payload
+ * @throws {Error} With `code: 'invalid_token'` when the token is not acceptable
+ */
+export function verifyJwt(token, options) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw authError('Malformed token');
+  }
+
+  const header = decodeSegment(parts[0]);
+  const payload = decodeSegment(parts[1]);
+  const algorithms =
+    options.algorithms || Object.keys(JWS_ALGORITHMS).filter((alg) => !alg.startsWith('HS'));
+  if (!JWS_ALGORITHMS[header.alg] || !algorithms.includes(header.alg)) {
+    throw authError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const { kty } = JWS_ALGORITHMS[header.alg];
+  const candidates = options.keys.filter(
+    (key) =>
+      key.kty === kty &&
+      (!key.alg || key.alg === header.alg) &&
+      (!key.use || key.use === 'sig') &&
+      (!header.kid || key.kid === header.kid),
+  );
+  const signature = Buffer.from(parts[2], 'base64url');
+  const signingInput = `${parts[0]}.${parts[1]}`;
+  if (!candidates.some((key) => verifySignature(header.alg, key, signingInput, signature))) {
+    throw authError('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = options.clockToleranceSec ?? 30;
+  if (typeof payload.exp === 'number' && now - tolerance >= payload.exp) {
+    throw authError('Token expired');
+  }
+  if (typeof payload.nbf === 'number' && now + tolerance < payload.nbf) {
+    throw authError('Token not yet valid');
+  }
+  if (options.issuer && payload.iss !== options.issuer) {
+    throw authError('Token issuer mismatch');
+  }
+  if (options.audience) {
+    assertAudience(payload.aud, options.audience);
+  }
+
+  return payload;
+}
+
+/**
+ * Sign a payload as a compact JWS.
+ *
+ * @param {Object} payload - JWT claims
+ * @param {crypto.KeyObject} privateKey - RSA, EC or Ed25519 private key
+ * @param {Object} [options]
+ * @param {string} [options.alg='RS256'] - JWS algorithm matching the key
+ * @param {string} [options.kid] - Key ID placed in the header
+ * @returns {string} Compact JWT
+ */
+export function signJwt(payload, privateKey, options = {}) {
+  const alg = options.alg || 'RS256';
+  const params = JWS_ALGORITHMS[alg];
+  if (!params || params.kty === 'oct') {
+    throw new Error(`Unsupported signing algorithm: ${alg}`);
+  }
+
+  const header = { alg, typ: 'JWT', ...(options.kid && { kid: options.kid }) };
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode(header)}.${encode(payload)}`;
+  const signKey = params.padding
+    ? {
+      key: privateKey,
+      padding: params.padding,
+      saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST,
+    }
+    : params.dsaEncoding
+      ? { key: privateKey, dsaEncoding: params.dsaEncoding }
+      : privateKey;
+  const signature = crypto.sign(params.hash, Buffer.from(signingInput), signKey);
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Check that a token's `aud` claim names one of the accepted audiences.
+ *
+ * @param {string|string[]|undefined} aud - Token audience
+ * @param {string|string[]} accepted
+ * @throws {Error} With `code: 'invalid_token'` on mismatch
+ */
+function assertAudience(aud, accepted) {
+  const acceptedList = [].concat(accepted);
+  if (![].concat(aud ?? []).some((value) => acceptedList.includes(value))) {
+    throw authError('Token audience mismatch');
+  }
+}
+
+/**
+ * Authenticates HTTP requests for {@link BaseMCPServer}.
+ *
+ * @example
+ * const auth = new Authenticator({
+ *   apiKeys: [{ key: process.env.ADMIN_KEY, id: 'admin', roles: ['admin'] }],
+ *   jwt: { jwksFile: './jwks.json', issuer: 'https://auth.example.com', audience: 'mcp' },
+ *   endpoints: { mcp: true, info: true },
+ * });
+ * const principal = await auth.authenticate(req); // throws when credentials are invalid
+ */
+export class Authenticator {
+  /**
+   * @param {Object} config
+   * @param {Array<string|Object>} [config.apiKeys] - API keys: strings or `{ key, id, scopes, roles }`
+   * @param {string} [config.apiKeyHeader='x-api-key'] - Header carrying the API key
+   * @param {Array<string|Object>} [config.bearerTokens] - Static bearer tokens: strings or
+   *   `{ token, id, scopes, roles }`
+   * @param {Object} [config.jwt] - JWT verification
+   * @param {string} [config.jwt.jwksFile] - Path to a JWKS (`{ keys: [...] }`) file
+   * @param {Array<Object>} [config.jwt.keys] - Inline JWKS keys, instead of `jwksFile`
+   * @param {string} [config.jwt.issuer] - Required `iss` claim
+   * @param {string|string[]} [config.jwt.audience] - Accepted `aud` values
+   * @param {string[]} [config.jwt.algorithms] - Accepted algorithms (default: asymmetric ones)
+   * @param {number} [config.jwt.clockToleranceSec=30] - Allowed clock skew
+   * @param {string} [config.jwt.rolesClaim='roles'] - Claim holding the principal's roles
+   * @param {Object<string, boolean|string[]>} [config.endpoints] - Per endpoint (`mcp`, `info`,
+   *   `health`): `true` accepts any configured method, `false` disables auth, or a list of
+   *   accepted methods (`'apiKey'`, `'bearer'`, `'jwt'`, `'introspection'`). Defaults to `/mcp` only.
+   * @param {string} [config.realm='mcp'] - Realm reported in `WWW-Authenticate`
+   * @param {Object} [config.oauth] - Act as an OAuth 2.1 protected resource
+   * @param {string} config.oauth.resource - Canonical URI of the MCP endpoint; tokens must name
+   *   it in `aud` (RFC 8707), and it identifies the resource in the metadata document
+   * @param {string[]} config.oauth.authorizationServers - Issuer URLs of trusted authorization servers
+   * @param {string[]} [config.oauth.requiredScopes] - Scopes every token must carry (403 otherwise)
+   * @param {string[]} [config.oauth.scopesSupported] - Scopes advertised in the metadata
+   * @param {Function} [config.oauth.introspect] - `async (token) => claims` hook for opaque tokens,
+   *   returning RFC 7662 introspection claims (`{ active, sub, scope, aud, exp, client_id }`)
+   * @param {Object} [config.oauth.introspection] - Call an RFC 7662 endpoint instead of `introspect`
+   * @param {string} config.oauth.introspection.endpoint - Introspection endpoint URL
+   * @param {string} [config.oauth.introspection.clientId] - Client ID for HTTP Basic auth
+   * @param {string} [config.oauth.introspection.clientSecret] - Client secret for HTTP Basic auth
+   * @param {string} [config.oauth.resourceName] - Human-readable name for the metadata
+   */
+  constructor(config = {}) {
+    this.apiKeyHeader = (config.apiKeyHeader || 'x-api-key').toLowerCase();
+    this.realm = config.realm || 'mcp';
+    this.endpoints = { ...DEFAULT_ENDPOINTS, ...config.endpoints };
+    this.jwt = config.jwt || null;
+    this.oauth = config.oauth || null;
+
+    /** @private */
+    this._apiKeys = normalizeCredentials(config.apiKeys, 'key', 'apiKey');
+    /** @private */
+    this._bearerTokens = normalizeCredentials(config.bearerTokens, 'token', 'bearer');
+    /**
+     * Cached JWKS keys and the file mtime they were read at.
+     * @type {{mtimeMs: number, keys: Array<Object>}|null}
+     * @private
+     */
+    this._jwks = null;
+
+    if (this.jwt && !this.jwt.jwksFile && !this.jwt.keys) {
+      throw new Error('auth.jwt requires a jwksFile or keys');
+    }
+    if (this.oauth && (!this.oauth.resource || !this.oauth.authorizationServers?.length)) {
+      throw new Error('auth.oauth requires a resource and at least one authorization server');
+    }
+  }
+
+  /**
+   * Methods accepted on an endpoint, or null if the endpoint is open.
+   *
+   * @param {string} endpoint - 'mcp' | 'info' | 'health'
+   * @returns {string[]|null}
+   */
+  methodsFor(endpoint) {
+    const setting = this.endpoints[endpoint];
+    if (!setting) {
+      return null;
+    }
+    const configured = [
+      this._apiKeys.length > 0 && 'apiKey',
+      this._bearerTokens.length > 0 && 'bearer',
+      this.jwt && 'jwt',
+      this._canIntrospect() && 'introspection',
+    ].filter(Boolean);
+    return Array.isArray(setting)
+      ? configured.filter((method) => setting.includes(method))
+      : configured;
+  }
+
+  /**
+   * Authenticate a request for an endpoint.
+   *
+   * @param {http.IncomingMessage} req
+   * @param {string} [endpoint='mcp']
+   * @returns {Promise<Object|null>} Principal, or null if the endpoint is open
+   * @throws {Error} With a Bearer error `code` ('invalid_request' for missing
+   *   credentials, 'invalid_token' for rejected ones, 'insufficient_scope' when
+   *   a token lacks `oauth.requiredScopes`)
+   */
+  async authenticate(req, endpoint = 'mcp') {
+    const methods = this.methodsFor(endpoint);
+    if (!methods) {
+      return null;
+    }
+
+    const apiKey = req.headers[this.apiKeyHeader];
+    if (apiKey && methods.includes('apiKey')) {
+      const match = this._apiKeys.find((entry) => safeEqual(entry.secret, apiKey));
+      if (!match) {
+        throw authError('Invalid API key');
+      }
+      return { ...match.principal, claims: {} };
+    }
+
+    const [scheme, token] = (req.headers.authorization || '').split(/\s+/, 2);
+    if (scheme?.toLowerCase() === 'bearer' && token) {
+      const principal = await this.authenticateToken(token, methods);
+      this._assertRequiredScopes(principal);
+      return principal;
+    }
+
+    throw authError('Authentication required', 'invalid_request');
+  }
+
+  /**
+   * Authenticate a bearer token against the static tokens, then as a JWT, then
+   * through introspection. With `oauth`, JWTs must be issued for `oauth.resource`
+   * unless `jwt.audience` says otherwise.
+   *
+   * @param {string} token
+   * @param {string[]} [methods=['bearer', 'jwt', 'introspection']] - Accepted methods
+   * @returns {Promise<Object>} Principal
+   * @throws {Error} With `code: 'invalid_token'`
+   */
+  async authenticateToken(token, methods = ['bearer', 'jwt', 'introspection']) {
+    if (methods.includes('bearer')) {
+      const match = this._bearerTokens.find((entry) => safeEqual(entry.secret, token));
+      if (match) {
+        return { ...match.principal, claims: {}, token };
+      }
+    }
+
+    let jwtError;
+    if (methods.includes('jwt') && this.jwt) {
+      try {
+        const claims = verifyJwt(token, {
+          audience: this.oauth?.resource,
+          ...this.jwt,
+          keys: await this._loadJwks(),
+        });
+        return this.principalFromClaims(claims, token);
+      } catch (error) {
+        jwtError = error;
+      }
+    }
+
+    if (methods.includes('introspection') && this._canIntrospect()) {
+      return this.principalFromClaims(await this._introspect(token), token, 'introspection');
+    }
+
+    throw jwtError || authError('Invalid bearer token');
+  }
+
+  /**
+   * Build a principal from verified JWT claims.
+   * Scopes come from `scope` (space separated) or `scp`; roles from `rolesClaim`.
+   *
+   * @param {Object} claims
+   * @param {string} token
+   * @param {string} [type='jwt'] - Principal type
+   * @returns {Object} Principal
+   */
+  principalFromClaims(claims, token, type = 'jwt') {
+    const scopes =
+      typeof claims.scope === 'string' ? claims.scope.split(' ').filter(Boolean) : claims.scp;
+    const roles = claims[this.jwt?.rolesClaim || 'roles'];
+    return {
+      id: claims.sub || claims.client_id || claims.azp || 'anonymous',
+      type,
+      scopes: Array.isArray(scopes) ? scopes : [],
+      roles: Array.isArray(roles) ? roles : [],
+      claims,
+      token,
+    };
+  }
+
+  /**
+   * `WWW-Authenticate` header value for a failed authentication.
+   *
+   * @param {Error} error - Error thrown by {@link authenticate}
+   * @param {string} [endpoint='mcp']
+   * @returns {string}
+   */
+  challenge(error, endpoint = 'mcp') {
+    const methods = this.methodsFor(endpoint) || [];
+    const challenges = [];
+    if (methods.some((method) => method !== 'apiKey')) {
+      const params = [`realm="${this.realm}"`];
+      if (CHALLENGE_DESCRIPTIONS[error?.code]) {
+        params.push(
+          `error="${error.code}"`,
+          `error_description="${CHALLENGE_DESCRIPTIONS[error.code]}"`,
+        );
+      }
+      if (error?.code === 'insufficient_scope') {
+        params.push(`scope="${this.oauth.requiredScopes.join(' ')}"`);
+      }
+      if (this.oauth) {
+        params.push(`resource_metadata="${this.resourceMetadataUrl()}"`);
+      }
+      challenges.push(`Bearer ${params.join(', ')}`);
+    }
+    if (methods.includes('apiKey')) {
+      challenges.push(`ApiKey realm="${this.realm}", header="${this.apiKeyHeader}"`);
+    }
+    return challenges.join(', ');
+  }
+
+  /**
+   * SDK `AuthInfo` for a principal, passed to the transport as `req.auth`
+   * so it reaches handlers as `extra.authInfo`.
+   *
+   * @param {Object} principal
+   * @returns {Object}
+   */
+  toAuthInfo(principal) {
+    return {
+      token: principal.token || '',
+      clientId: principal.claims?.client_id || principal.claims?.azp || principal.id,
+      scopes: principal.scopes,
+      ...(typeof principal.claims?.exp === 'number' && { expiresAt: principal.claims.exp }),
+      extra: { principal },
+    };
+  }
+
+  /**
+   * URL of the protected resource metadata document for `oauth.resource`:
+   * the well-known path inserted between its origin and path (RFC 9728 §3.1).
+   *
+   * @returns {string|null} null without `oauth`
+   */
+  resourceMetadataUrl() {
+    if (!this.oauth) {
+      return null;
+    }
+    const { origin, pathname } = new URL(this.oauth.resource);
+    return `${origin}${PROTECTED_RESOURCE_METADATA_PATH}${pathname === '/' ? '' : pathname}`;
+  }
+
+  /**
+   * OAuth protected resource metadata document (RFC 9728).
+   *
+   * @returns {Object|null} null without `oauth`
+   */
+  protectedResourceMetadata() {
+    if (!this.oauth) {
+      return null;
+    }
+    return {
+      resource: this.oauth.resource,
+      authorization_servers: this.oauth.authorizationServers,
+      bearer_methods_supported: ['header'],
+      ...(this.oauth.scopesSupported && { scopes_supported: this.oauth.scopesSupported }),
+      ...(this.oauth.resourceName && { resource_name: this.oauth.resourceName }),
+    };
+  }
+
+  /**
+   * @private
+   * @returns {boolean} Whether opaque tokens can be introspected
+   */
+  _canIntrospect() {
+    return Boolean(this.oauth?.introspect || this.oauth?.introspection?.endpoint);
+  }
+
+  /**
+   * Introspect an opaque token and check that it is active and meant for this resource.
+   *
+   * @private
+   * @param {string} token
+   * @returns {Promise<Object>} Introspection claims
+   * @throws {Error} With `code: 'invalid_token'`
+   */
+  async _introspect(token) {
+    let claims;
+    try {
+      claims = this.oauth.introspect
+        ? await this.oauth.introspect(token)
+        : await this._callIntrospectionEndpoint(token);
+    } catch (error) {
+      throw authError(`Token introspection failed: ${error.message}`);
+    }
+
+    if (!claims?.active) {
+      throw authError('Token is not active');
+    }
+    if (typeof claims.exp === 'number' && Math.floor(Date.now() / 1000) >= claims.exp) {
+      throw authError('Token expired');
+    }
+    assertAudience(claims.aud, this.oauth.resource);
+    return claims;
+  }
+
+  /**
+   * POST a token to the configured RFC 7662 introspection endpoint.
+   *
+   * @private
+   * @param {string} token
+   * @returns {Promise<Object>} Introspection response
+   */
+  async _callIntrospectionEndpoint(token) {
+    const { endpoint, clientId, clientSecret } = this.oauth.introspection;
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json',
+    };
+    if (clientId) {
+      const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret || '')}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: new URLSearchParams({ token, token_type_hint: 'access_token' }),
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * @private
+   * @param {Object} principal
+   * @throws {Error} With `code: 'insufficient_scope'` when `oauth.requiredScopes` are missing
+   */
+  _assertRequiredScopes(principal) {
+    const required = this.oauth?.requiredScopes || [];
+    const missing = required.filter((scope) => !principal.scopes.includes(scope));
+    if (principal.type !== 'apiKey' && principal.type !== 'bearer' && missing.length > 0) {
+      throw authError(`Missing required scopes: ${missing.join(' ')}`, 'insufficient_scope');
+    }
+  }
+
+  /**
+   * Read the JWKS file, re-reading it whenever it changes on disk.
+   * Inline `jwt.keys` are returned as they are.
+   *
+   * @private
+   * @returns {Promise<Array<Object>>}
+   */
+  async _loadJwks() {
+    if (this.jwt.keys) {
+      return this.jwt.keys;
+    }
+    const { mtimeMs } = await fs.stat(this.jwt.jwksFile);
+    if (!this._jwks || this._jwks.mtimeMs !== mtimeMs) {
+      const jwks = JSON.parse(await fs.readFile(this.jwt.jwksFile, 'utf8'));
+      this._jwks = { mtimeMs, keys: jwks.keys || [] };
+    }
+    return this._jwks.keys;
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Koa-style middleware composition for tool calls and resource reads.
+ *
+ * A middleware is `async (ctx, next) => result`. Code before `await next()`
+ * runs on the way in, code after it on the way out; returning without calling
+ * `next()` short-circuits the chain (e.g. a cache hit).
+ *
+ * @module @mcp/core/middleware
+ */
+
+/**
+ * Context passed through a middleware chain by {@link BaseMCPServer#use}.
+ *
+ * @typedef {Object} MiddlewareContext
+ * @property {string} method - JSON-RPC method, e.g. `'tools/call'` or `'resources/read'`
+ * @property {string} type - `'tool'` | `'resource'` | `'resourceTemplate'` | `'rpc'`
+ * @property {string} name - Tool name, resource URI or URI template (the method for `'rpc'`)
+ * @property {string} [uri] - URI being read (resources and templates)
+ * @property {Object} params - Tool arguments, template variables or JSON-RPC params;
+ *   middleware may replace them before calling `next()`
+ * @property {Object} [definition] - Registered tool, resource or template definition
+ * @property {import('../base-server.js').HandlerContext} [context] - Handler context
+ *   (not for `'rpc'`)
+ * @property {Object} [request] - Raw JSON-RPC request (`'rpc'` only)
+ * @property {Object} [extra] - SDK RequestHandlerExtra (`'rpc'` only)
+ * @property {Object} state - Scratch space shared by the middleware of one call
+ * @property {BaseMCPServer} server - The server handling the call
+ */
+
+/**
+ * Compose middleware into a single function.
+ *
+ * @example
+ * const run = compose([
+ *   async (ctx, next) => {
+ *     const result = await next();
+ *     return { ...result, _meta: { cached: false } };
+ *   },
+ * ]);
+ * const result = await run(ctx, () => handler(ctx.params));
+ *
+ * @param {Function[]} middleware - `(ctx, next) => Promise<result>` functions, outermost first
+ * @returns {(ctx: MiddlewareContext, handler: Function) => Promise<*>} Runs the chain and
+ *   then `handler(ctx)`, resolving with the outermost middleware's result
+ */
+export function compose(middleware) {
+  return (ctx, handler) => {
+    let index = -1;
+
+    const dispatch = (i) => {
+      if (i <= index) {
+        return Promise.reject(new Error('next() called multiple times'));
+      }
+      index = i;
+      const fn = i < middleware.length ? middleware[i] : handler;
+      try {
+        return Promise.resolve(fn(ctx, () => dispatch(i + 1)));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    };
+
+    return dispatch(0);
+  };
+}
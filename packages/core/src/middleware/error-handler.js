@@ -3,6 +3,9 @@
  * @module @mcp/core/middleware
  */
 
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+import { jsonSchemaToZod } from '../utils/json-schema-to-zod.js';
+
 /**
  * Standard error response
  * @typedef {Object} ErrorResponse
@@ -77,3 +80,91 @@ export function validateParams(params, schema) {
 
   return true;
 }
+
+/**
+ * Create middleware that shapes errors thrown further down the chain.
+ *
+ * Tool errors become `isError` results (`Error: <message>`), which is what
+ * MCP clients expect from a failing tool. Other errors are rethrown as
+ * JSON-RPC errors; `McpError`s pass through unchanged. Messages go through
+ * {@link formatError}, so e.g. `ECONNREFUSED` reads as
+ * `Connection refused: Service is not available`.
+ *
+ * {@link BaseMCPServer} runs this as the outermost middleware of every call.
+ *
+ * @returns {Function} Middleware `(ctx, next) => Promise<result>`
+ */
+export function createErrorMiddleware() {
+  return async (ctx, next) => {
+    try {
+      return await next();
+    } catch (error) {
+      const { message } = formatError(error);
+      if (ctx.type === 'tool') {
+        return {
+          content: [{ type: 'text', text: `Error: ${message}` }],
+          isError: true,
+        };
+      }
+      if (error instanceof McpError || message === error.message) {
+        throw error;
+      }
+      throw Object.assign(new Error(message, { cause: error }), { code: error.code });
+    }
+  };
+}
+
+/**
+ * Create middleware that validates `ctx.params` before the handler runs.
+ *
+ * Validators are keyed by tool name, resource URI or URI template (`'*'`
+ * applies to every call without its own entry). A validator is either a
+ * function that throws (e.g. using the validators from `@mcp/core/validators`)
+ * or a JSON Schema, checked with {@link jsonSchemaToZod} like tool inputs.
+ *
+ * @example
+ * server.use(createValidationMiddleware({
+ *   'users://{id}': { type: 'object', properties: { id: { type: 'string', pattern: '^\\d+$' } } },
+ *   send_email: (params) => validateEmail(params.to),
+ * }));
+ *
+ * @param {Object<string, Function|Object>} validators - `(params, ctx) => void` or JSON Schema
+ *   per name
+ * @returns {Function} Middleware `(ctx, next) => Promise<result>`
+ * @throws {Error} From the middleware, naming the invalid parameters
+ */
+export function createValidationMiddleware(validators) {
+  const checks = new Map(
+    Object.entries(validators).map(([name, validator]) => {
+      if (typeof validator === 'function') {
+        return [name, validator];
+      }
+      const schema = jsonSchemaToZod(validator);
+      return [
+        name,
+        (params) => {
+          const parsed = schema.safeParse(params);
+          if (!parsed.success) {
+            throw new Error(
+              parsed.error.issues
+                .map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+                .join('; '),
+            );
+          }
+        },
+      ];
+    }),
+  );
+
+  return async (ctx, next) => {
+    const check = checks.get(ctx.name) || checks.get('*');
+    if (check) {
+      try {
+        await check(ctx.params, ctx);
+      } catch (error) {
+        throw new Error(`Invalid parameters for ${ctx.name}: ${error.message}`, { cause: error });
+      }
+    }
+    return next();
+  };
+}
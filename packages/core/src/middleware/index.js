@@ -3,5 +3,22 @@
  * @module @mcp/core/middleware
  */
 
-export { withErrorHandling, formatError, validateParams } from './error-handler.js';
-export { Logger, createLogger, createRequestLogger } from './logger.js';
+export {
+  withErrorHandling,
+  formatError,
+  validateParams,
+  createErrorMiddleware,
+  createValidationMiddleware,
+} from './error-handler.js';
+export {
+  Logger,
+  createLogger,
+  createRequestLogger,
+  McpLogTransport,
+  redact,
+  DEFAULT_REDACT_KEYS,
+} from './logger.js';
+export { Authenticator, verifyJwt, signJwt } from './auth.js';
+export { RateLimiter, TokenBucket } from './rate-limit.js';
+export { compose } from './compose.js';
+export { createTimingMiddleware } from './timing.js';
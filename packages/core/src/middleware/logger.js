@@ -22,6 +22,156 @@ const readableFormat = printf(({ timestamp: ts, level, message, component, ...me
   return `${ts} [${level.toUpperCase()}]${comp} ${message}${metaStr}`;
 });
 
+/**
+ * Object keys whose values are replaced by {@link redact}. Keys are compared
+ * case-insensitively, ignoring `-` and `_` (so `apiKey` also covers `api_key`).
+ * @type {string[]}
+ */
+export const DEFAULT_REDACT_KEYS = [
+  'password',
+  'passwd',
+  'secret',
+  'clientSecret',
+  'token',
+  'accessToken',
+  'refreshToken',
+  'idToken',
+  'apiKey',
+  'authorization',
+  'cookie',
+  'setCookie',
+  'privateKey',
+];
+
+/**
+ * Replacement for redacted values.
+ * @type {string}
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Winston levels mapped to MCP logging levels (RFC 5424 names).
+ * @type {Object<string, string>}
+ */
+const MCP_LOG_LEVELS = {
+  error: 'error',
+  warn: 'warning',
+  info: 'info',
+  http: 'debug',
+  verbose: 'debug',
+  debug: 'debug',
+  silly: 'debug',
+};
+
+/**
+ * @param {string} key
+ * @returns {string} Lowercased key without `-` and `_`
+ */
+function normalizeKey(key) {
+  return key.toLowerCase().replace(/[-_]/g, '');
+}
+
+/**
+ * Copy a log payload with sensitive values removed: values of sensitive keys
+ * are replaced, and bearer tokens inside strings are masked.
+ *
+ * @example
+ * redact({ user: 'ana', password: 'hunter2', headers: { Authorization: 'Bearer abc' } });
+ * // → { user: 'ana', password: '[REDACTED]', headers: { Authorization: '[REDACTED]' } }
+ *
+ * @param {*} value - Log message or metadata
+ * @param {string[]} [redactKeys=DEFAULT_REDACT_KEYS] - Keys whose values are replaced
+ * @returns {*} Redacted copy (circular references become `'[Circular]'`)
+ */
+export function redact(value, redactKeys = DEFAULT_REDACT_KEYS) {
+  const keys = new Set(redactKeys.map(normalizeKey));
+  const seen = new WeakSet();
+
+  const visit = (item) => {
+    if (typeof item === 'string') {
+      return item.replace(/\bBearer\s+[\w.~+/-]+=*/gi, `Bearer ${REDACTED}`);
+    }
+    if (!item || typeof item !== 'object') {
+      return item;
+    }
+    if (item instanceof Error) {
+      return visit({ message: item.message, stack: item.stack });
+    }
+    if (seen.has(item)) {
+      return '[Circular]';
+    }
+    seen.add(item);
+    if (Array.isArray(item)) {
+      return item.map(visit);
+    }
+    return Object.fromEntries(
+      Object.entries(item).map(([key, entry]) => [
+        key,
+        keys.has(normalizeKey(key)) ? REDACTED : visit(entry),
+      ]),
+    );
+  };
+
+  return visit(value);
+}
+
+/**
+ * Winston transport that hands log entries to MCP clients as
+ * `notifications/message` params. Which clients receive them (and at which
+ * level) is up to the `send` callback; see {@link BaseMCPServer}, which
+ * forwards to sessions that called `logging/setLevel`.
+ *
+ * Entries are redacted with {@link redact} before they leave the process, and
+ * stack traces are left out. Entries logged while `send` runs are not forwarded, so failures to send
+ * cannot loop back into the transport.
+ *
+ * @example
+ * logger.addTransport(new McpLogTransport({
+ *   send: (params) => server.server.sendLoggingMessage(params),
+ * }));
+ */
+export class McpLogTransport extends winston.Transport {
+  /**
+   * @param {Object} options
+   * @param {(params: {level: string, logger?: string, data: Object}) => void} options.send -
+   *   Called for every entry with the `notifications/message` params
+   * @param {string[]} [options.redactKeys=DEFAULT_REDACT_KEYS] - Keys whose values are redacted
+   * @param {string} [options.level] - Minimum winston level to forward (default: the logger's)
+   */
+  constructor({ send, redactKeys = DEFAULT_REDACT_KEYS, ...options }) {
+    super(options);
+    /** @private */
+    this._send = send;
+    /** @private */
+    this._redactKeys = redactKeys;
+    /** @private */
+    this._sending = false;
+  }
+
+  /**
+   * @param {Object} info - Winston log entry
+   * @param {Function} callback
+   */
+  log(info, callback) {
+    if (!this._sending) {
+      const { level, message, component, ...meta } = info;
+      // Stack traces reveal internal paths and code to clients
+      delete meta.stack;
+      this._sending = true;
+      try {
+        this._send({
+          level: MCP_LOG_LEVELS[level] || 'debug',
+          ...(component && { logger: component }),
+          data: redact({ message, ...meta }, this._redactKeys),
+        });
+      } finally {
+        this._sending = false;
+      }
+    }
+    callback();
+  }
+}
+
 /**
  * Build the array of winston transports from a config object.
  *
@@ -123,6 +273,25 @@ export class Logger {
     return childLogger;
   }
 
+  /**
+   * Add a winston transport, e.g. an {@link McpLogTransport}. Child loggers
+   * (including ones created earlier) write to it too.
+   *
+   * @param {winston.transport} transport
+   */
+  addTransport(transport) {
+    this._winston.add(transport);
+  }
+
+  /**
+   * Remove a transport added with {@link Logger#addTransport}.
+   *
+   * @param {winston.transport} transport
+   */
+  removeTransport(transport) {
+    this._winston.remove(transport);
+  }
+
   /**
    * Log an error message.
    * @param {string} message
@@ -194,24 +363,39 @@ export function createLogger(config) {
 }
 
 /**
- * Create request logging middleware.
+ * Create request logging middleware. Logs each call on the way in and its
+ * outcome and duration on the way out, through the call's correlated
+ * `context.logger` when there is one (see {@link BaseMCPServer#use}).
+ *
+ * {@link BaseMCPServer} runs this for every tool call and resource read.
  *
- * @param {Logger} logger - Logger instance
+ * @param {Logger} logger - Logger for calls without a handler context
  * @returns {Function} Middleware function `(req, next) => Promise<result>`
  */
 export function createRequestLogger(logger) {
   return async (req, next) => {
     const start = Date.now();
-    logger.info(`Incoming request: ${req.method}`);
+    const log = req.context?.logger || logger;
+    const meta = req.name && req.name !== req.method ? { name: req.name } : {};
+    log.info(`Incoming request: ${req.method}`, meta);
 
     try {
       const result = await next();
       const duration = Date.now() - start;
-      logger.info('Request completed', { durationMs: duration });
+      log.info('Request completed', {
+        ...meta,
+        durationMs: duration,
+        ...(result?.isError && { isError: true }),
+      });
       return result;
     } catch (error) {
       const duration = Date.now() - start;
-      logger.error('Request failed', { durationMs: duration, error: error.message });
+      log.error('Request failed', {
+        ...meta,
+        durationMs: duration,
+        error: error.message,
+        stack: error.stack,
+      });
       throw error;
     }
   };
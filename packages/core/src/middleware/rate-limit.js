@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Token-bucket rate limiting for HTTP requests and tool calls.
+ *
+ * Buckets hold up to `capacity` tokens and regain `refillRate` tokens per
+ * second; each request or tool call takes one. A full bucket therefore allows
+ * a burst of `capacity` calls, and `refillRate` calls per second sustained.
+ *
+ * @module @mcp/core/middleware
+ */
+
+/**
+ * Idle buckets are pruned at most this often.
+ * @type {number}
+ */
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Validate a bucket limit `{ capacity, refillRate }`.
+ *
+ * @param {string} label - Limit name for error messages
+ * @param {Object} limit
+ * @returns {{capacity: number, refillRate: number}}
+ * @throws {Error} If capacity or refillRate is not a positive number
+ */
+function validateLimit(label, limit) {
+  if (!(limit?.capacity > 0) || !(limit?.refillRate > 0)) {
+    throw new Error(`rateLimit.${label} requires a positive capacity and refillRate`);
+  }
+  return { capacity: limit.capacity, refillRate: limit.refillRate };
+}
+
+/**
+ * A single token bucket.
+ */
+export class TokenBucket {
+  /**
+   * @param {Object} limit
+   * @param {number} limit.capacity - Maximum number of tokens (burst size)
+   * @param {number} limit.refillRate - Tokens regained per second
+   * @param {number} [now=Date.now()] - Creation time in ms
+   */
+  constructor(limit, now = Date.now()) {
+    this.capacity = limit.capacity;
+    this.refillRate = limit.refillRate;
+    this.tokens = limit.capacity;
+    this.updatedAt = now;
+  }
+
+  /**
+   * Add the tokens regained since the last update.
+   *
+   * @param {number} [now=Date.now()]
+   * @returns {number} Tokens available
+   */
+  refill(now = Date.now()) {
+    const elapsedSec = Math.max(0, now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSec * this.refillRate);
+    this.updatedAt = now;
+    return this.tokens;
+  }
+
+  /**
+   * @param {number} [now=Date.now()]
+   * @returns {number} Milliseconds until a token is available (0 if one is)
+   */
+  retryAfterMs(now = Date.now()) {
+    const missing = 1 - this.refill(now);
+    return missing <= 0 ? 0 : Math.ceil((missing / this.refillRate) * 1000);
+  }
+
+  /**
+   * Take a token if one is available.
+   *
+   * @param {number} [now=Date.now()]
+   * @returns {boolean} Whether a token was taken
+   */
+  take(now = Date.now()) {
+    if (this.refill(now) < 1) {
+      return false;
+    }
+    this.tokens -= 1;
+    return true;
+  }
+}
+
+/**
+ * Rate limiter for {@link BaseMCPServer}, configured through `config.rateLimit`.
+ *
+ * HTTP requests to `/mcp` are checked against the global, per-session and
+ * per-client buckets; tool calls against the calling client's bucket for the tool. A request only
+ * takes tokens when every bucket that applies to it has one.
+ *
+ * @example
+ * const server = new MyServer({
+ *   transport: 'http',
+ *   rateLimit: {
+ *     global: { capacity: 200, refillRate: 100 },
+ *     perSession: { capacity: 20, refillRate: 5 },
+ *     perClient: { capacity: 50, refillRate: 10 },
+ *     tools: {
+ *       '*': { capacity: 10, refillRate: 2 },
+ *       expensive_report: { capacity: 1, refillRate: 0.1 },
+ *     },
+ *   },
+ * });
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} config - Limits as `{ capacity, refillRate }`; omitted limits are not enforced
+   * @param {Object} [config.global] - All `/mcp` requests together
+   * @param {Object} [config.perSession] - Requests per live session
+   * @param {Object} [config.perClient] - Requests per authenticated principal, or per remote
+   *   address without authentication
+   * @param {Object<string, Object>} [config.tools] - Calls per client and tool name; `'*'` applies
+   *   to every tool without its own entry (each tool still gets its own buckets)
+   */
+  constructor(config = {}) {
+    /** @private */
+    this._limits = {
+      global: config.global && validateLimit('global', config.global),
+      session: config.perSession && validateLimit('perSession', config.perSession),
+      client: config.perClient && validateLimit('perClient', config.perClient),
+    };
+
+    /** @private */
+    this._toolLimits = new Map(
+      Object.entries(config.tools || {}).map(([name, limit]) => [
+        name,
+        validateLimit(`tools.${name}`, limit),
+      ]),
+    );
+
+    /**
+     * Buckets per scope, keyed by session ID, client key or client key and tool name.
+     * @type {{global: Map<string, TokenBucket>, session: Map<string, TokenBucket>,
+     *   client: Map<string, TokenBucket>, tool: Map<string, TokenBucket>}}
+     * @private
+     */
+    this._buckets = { global: new Map(), session: new Map(), client: new Map(), tool: new Map() };
+
+    /** @private */
+    this._stats = {
+      requests: { allowed: 0, limited: 0 },
+      toolCalls: { allowed: 0, limited: 0 },
+      limitedBy: { global: 0, session: 0, client: 0, tool: 0 },
+    };
+
+    /** @private */
+    this._prunedAt = Date.now();
+  }
+
+  /**
+   * Check an HTTP request and take a token from each bucket that applies.
+   *
+   * @param {Object} request
+   * @param {string} [request.sessionId] - `mcp-session-id` header
+   * @param {string} [request.clientKey] - Principal ID or remote address
+   * @returns {{allowed: boolean, scope?: string, retryAfterMs?: number}} `scope` is the
+   *   exhausted bucket ('global' | 'session' | 'client') when not allowed
+   */
+  checkRequest({ sessionId, clientKey } = {}) {
+    return this._check('requests', [
+      ['global', 'global', this._limits.global],
+      ['session', sessionId, this._limits.session],
+      ['client', clientKey, this._limits.client],
+    ]);
+  }
+
+  /**
+   * Check a tool call and take a token from the caller's bucket for the tool.
+   * Every client gets its own bucket per tool, so one client cannot use up
+   * another's quota.
+   *
+   * @param {string} toolName
+   * @param {string} clientKey - Principal ID, session ID or another caller identity
+   * @returns {{allowed: boolean, scope?: string, retryAfterMs?: number}}
+   */
+  checkTool(toolName, clientKey) {
+    const limit = this._toolLimits.get(toolName) || this._toolLimits.get('*');
+    return this._check('toolCalls', [['tool', `${clientKey}\u0000${toolName}`, limit]]);
+  }
+
+  /**
+   * Drop the bucket of a closed session.
+   *
+   * @param {string} sessionId
+   */
+  forgetSession(sessionId) {
+    this._buckets.session.delete(sessionId);
+  }
+
+  /**
+   * Counters for `/health`.
+   *
+   * @returns {{requests: Object, toolCalls: Object, limitedBy: Object<string, number>,
+   *   buckets: Object<string, number>}} Allowed and limited counts, limited counts per
+   *   exhausted bucket scope, and live bucket counts per scope
+   */
+  getStats() {
+    return {
+      requests: { ...this._stats.requests },
+      toolCalls: { ...this._stats.toolCalls },
+      limitedBy: { ...this._stats.limitedBy },
+      buckets: Object.fromEntries(
+        Object.entries(this._buckets).map(([scope, buckets]) => [scope, buckets.size]),
+      ),
+    };
+  }
+
+  /**
+   * @private
+   * @param {string} kind - 'requests' | 'toolCalls', for the counters
+   * @param {Array<[string, string|undefined, Object|undefined]>} checks - `[scope, key, limit]`;
+   *   entries without a key or limit are skipped
+   * @returns {{allowed: boolean, scope?: string, retryAfterMs?: number}}
+   */
+  _check(kind, checks) {
+    const now = Date.now();
+    this._prune(now);
+
+    const buckets = [];
+    for (const [scope, key, limit] of checks) {
+      if (!key || !limit) {
+        continue;
+      }
+      let bucket = this._buckets[scope].get(key);
+      if (!bucket) {
+        bucket = new TokenBucket(limit, now);
+        this._buckets[scope].set(key, bucket);
+      }
+      const retryAfterMs = bucket.retryAfterMs(now);
+      if (retryAfterMs > 0) {
+        this._stats[kind].limited += 1;
+        this._stats.limitedBy[scope] += 1;
+        return { allowed: false, scope, retryAfterMs };
+      }
+      buckets.push(bucket);
+    }
+
+    for (const bucket of buckets) {
+      bucket.take(now);
+    }
+    this._stats[kind].allowed += 1;
+    return { allowed: true };
+  }
+
+  /**
+   * Remove buckets that have refilled completely; they are recreated full on demand.
+   *
+   * @private
+   * @param {number} now
+   */
+  _prune(now) {
+    if (now - this._prunedAt < PRUNE_INTERVAL_MS) {
+      return;
+    }
+    this._prunedAt = now;
+    for (const buckets of Object.values(this._buckets)) {
+      for (const [key, bucket] of buckets) {
+        if (bucket.refill(now) >= bucket.capacity) {
+          buckets.delete(key);
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Timing middleware: measures tool calls and resource reads.
+ * @module @mcp/core/middleware
+ */
+
+/**
+ * Create middleware that measures how long each call takes, keeps running
+ * totals per tool / resource, and optionally reports every call.
+ *
+ * The duration is also left in `ctx.state.durationMs` for outer middleware.
+ *
+ * @example
+ * const timing = createTimingMiddleware({
+ *   onTiming: ({ name, durationMs }) => metrics.histogram('mcp.call', durationMs, { name }),
+ * });
+ * server.use(timing);
+ * // later: timing.getStats() → [{ type: 'tool', name: 'search', count: 12, avgMs: 84.1, ... }]
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.onTiming] - Called after every call with
+ *   `{ method, type, name, durationMs, ok }`; `ok` is false for thrown errors and
+ *   `isError` results
+ * @returns {Function} Middleware `(ctx, next) => Promise<result>` with a `getStats()` method
+ *   returning `{ type, name, count, errors, totalMs, maxMs, avgMs }[]`
+ */
+export function createTimingMiddleware({ onTiming } = {}) {
+  const stats = new Map();
+
+  const middleware = async (ctx, next) => {
+    const start = performance.now();
+    let ok = false;
+    try {
+      const result = await next();
+      ok = !result?.isError;
+      return result;
+    } finally {
+      const durationMs = Math.round((performance.now() - start) * 100) / 100;
+      ctx.state.durationMs = durationMs;
+
+      const key = `${ctx.type}:${ctx.name}`;
+      let entry = stats.get(key);
+      if (!entry) {
+        entry = { type: ctx.type, name: ctx.name, count: 0, errors: 0, totalMs: 0, maxMs: 0 };
+        stats.set(key, entry);
+      }
+      entry.count += 1;
+      entry.errors += ok ? 0 : 1;
+      entry.totalMs += durationMs;
+      entry.maxMs = Math.max(entry.maxMs, durationMs);
+
+      onTiming?.({ method: ctx.method, type: ctx.type, name: ctx.name, durationMs, ok });
+    }
+  };
+
+  middleware.getStats = () =>
+    Array.from(stats.values(), (entry) => ({
+      ...entry,
+      totalMs: Math.round(entry.totalMs * 100) / 100,
+      avgMs: Math.round((entry.totalMs / entry.count) * 100) / 100,
+    }));
+
+  return middleware;
+}
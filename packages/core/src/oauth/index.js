@@ -0,0 +1,6 @@
+/**
+ * @fileoverview OAuth exports
+ * @module @mcp/core/oauth
+ */
+
+export { LocalAuthorizationServer } from './local-authorization-server.js';
@@ -0,0 +1,686 @@
+/**
+ * @fileoverview Minimal OAuth 2.1 authorization server for development and tests.
+ *
+ * Implements just enough of the authorization server side of the MCP
+ * authorization spec for MCP clients to complete the full flow against a
+ * {@link BaseMCPServer} configured with `auth.oauth`:
+ * - Authorization server metadata (RFC 8414)
+ * - Dynamic client registration (RFC 7591)
+ * - Authorization code grant with PKCE (S256 only), approved automatically
+ * - Client credentials and refresh token grants
+ * - Resource indicators (RFC 8707): the `resource` parameter becomes the token audience
+ * - Token introspection (RFC 7662) and a JWKS for local JWT verification
+ *
+ * Access tokens are RS256 JWTs signed with a key generated at startup. State is
+ * kept in memory, there is no login or consent screen, and every authorization
+ * request is granted — never expose this server to untrusted networks.
+ *
+ * @module @mcp/core/oauth
+ * @see https://www.rfc-editor.org/rfc/rfc8414 (Authorization server metadata)
+ * @see https://www.rfc-editor.org/rfc/rfc7591 (Dynamic client registration)
+ * @see https://www.rfc-editor.org/rfc/rfc7636 (PKCE)
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { Logger } from '../middleware/logger.js';
+import { signJwt, verifyJwt } from '../middleware/auth.js';
+
+/**
+ * Lifetime of authorization codes in seconds.
+ * @type {number}
+ */
+const AUTHORIZATION_CODE_TTL_SEC = 60;
+
+/**
+ * Create an OAuth error response (RFC 6749 §5.2).
+ *
+ * @param {number} status - HTTP status
+ * @param {string} code - OAuth error code
+ * @param {string} description
+ * @returns {Error}
+ */
+function oauthError(status, code, description) {
+  const error = new Error(description);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * @param {number} [bytes=32]
+ * @returns {string} Random base64url string
+ */
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Authorization server for local development and automated tests.
+ *
+ * @example
+ * const authServer = new LocalAuthorizationServer({ port: 9000, scopesSupported: ['mcp:tools'] });
+ * await authServer.start();
+ *
+ * const server = new MyServer({
+ *   transport: 'http',
+ *   auth: {
+ *     jwt: { keys: authServer.jwks.keys, issuer: authServer.issuer },
+ *     oauth: { authorizationServers: [authServer.issuer], requiredScopes: ['mcp:tools'] },
+ *   },
+ * });
+ *
+ * // In tests, skip the browser flow:
+ * const { access_token } = authServer.issueToken({
+ *   subject: 'alice',
+ *   scope: 'mcp:tools',
+ *   resource: 'http://localhost:3000/mcp',
+ * });
+ */
+export class LocalAuthorizationServer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.port=9000] - HTTP port (0 picks a free port)
+   * @param {string} [options.host='localhost'] - HTTP host
+   * @param {string} [options.issuer] - Issuer URL (defaults to `http://<host>:<port>`)
+   * @param {string[]} [options.scopesSupported=[]] - Known scopes; when set, requests are narrowed to them
+   * @param {string} [options.subject='dev-user'] - Subject of tokens from the authorization code
+   *   flow (overridable per request with `login_hint`)
+   * @param {string} [options.audience] - Token audience when a client sends no `resource`
+   * @param {number} [options.accessTokenTtlSec=3600] - Access token lifetime
+   * @param {number} [options.refreshTokenTtlSec=86400] - Refresh token lifetime
+   * @param {Array<Object>} [options.clients=[]] - Pre-registered clients:
+   *   `{ clientId, clientSecret, redirectUris, grantTypes, scope, name }`; clients
+   *   without a secret are public and must use PKCE
+   * @param {boolean} [options.allowRegistration=true] - Enable dynamic client registration
+   * @param {string} [options.logLevel='info'] - Log level
+   */
+  constructor(options = {}) {
+    this.options = {
+      port: 9000,
+      host: 'localhost',
+      scopesSupported: [],
+      subject: 'dev-user',
+      accessTokenTtlSec: 3600,
+      refreshTokenTtlSec: 86400,
+      allowRegistration: true,
+      ...options,
+    };
+
+    /** @type {Logger} */
+    this.logger = new Logger({
+      level: this.options.logLevel || 'info',
+      component: 'oauth-dev',
+    });
+
+    /** @type {http.Server|null} */
+    this.httpServer = null;
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    /** @private */
+    this._privateKey = privateKey;
+
+    /** @private */
+    this._publicJwk = {
+      ...publicKey.export({ format: 'jwk' }),
+      kid: randomToken(8),
+      alg: 'RS256',
+      use: 'sig',
+    };
+
+    /**
+     * Registered clients keyed by client ID, in RFC 7591 form.
+     * @type {Map<string, Object>}
+     * @private
+     */
+    this._clients = new Map();
+
+    /**
+     * Pending authorization codes.
+     * @type {Map<string, Object>}
+     * @private
+     */
+    this._codes = new Map();
+
+    /**
+     * Active refresh tokens.
+     * @type {Map<string, Object>}
+     * @private
+     */
+    this._refreshTokens = new Map();
+
+    for (const client of this.options.clients || []) {
+      this._addClient({
+        client_id: client.clientId,
+        client_secret: client.clientSecret,
+        client_name: client.name,
+        redirect_uris: client.redirectUris || [],
+        grant_types:
+          client.grantTypes ||
+          (client.clientSecret
+            ? ['authorization_code', 'refresh_token', 'client_credentials']
+            : ['authorization_code', 'refresh_token']),
+        token_endpoint_auth_method: client.clientSecret ? 'client_secret_basic' : 'none',
+        scope: client.scope,
+      });
+    }
+  }
+
+  /**
+   * Issuer URL, also the base URL of every endpoint.
+   * @type {string}
+   */
+  get issuer() {
+    if (this.options.issuer) {
+      return this.options.issuer;
+    }
+    const port = this.httpServer?.address()?.port || this.options.port;
+    return `http://${this.options.host}:${port}`;
+  }
+
+  /**
+   * Public signing keys, for `auth.jwt.keys` of a resource server.
+   * @type {{keys: Array<Object>}}
+   */
+  get jwks() {
+    return { keys: [{ ...this._publicJwk }] };
+  }
+
+  /**
+   * Authorization server metadata (RFC 8414).
+   *
+   * @returns {Object}
+   */
+  metadata() {
+    const issuer = this.issuer;
+    return {
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      introspection_endpoint: `${issuer}/introspect`,
+      jwks_uri: `${issuer}/jwks.json`,
+      ...(this.options.allowRegistration && { registration_endpoint: `${issuer}/register` }),
+      ...(this.options.scopesSupported.length > 0 && {
+        scopes_supported: this.options.scopesSupported,
+      }),
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code', 'refresh_token', 'client_credentials'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      introspection_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    };
+  }
+
+  /**
+   * Register a client, as the registration endpoint does.
+   *
+   * @param {Object} metadata - RFC 7591 client metadata
+   * @returns {Object} Client information, including `client_id` and `client_secret`
+   * @throws {Error} With an OAuth error `code` for invalid metadata
+   */
+  registerClient(metadata = {}) {
+    const authMethod = metadata.token_endpoint_auth_method || 'client_secret_basic';
+    if (!['client_secret_basic', 'client_secret_post', 'none'].includes(authMethod)) {
+      throw oauthError(400, 'invalid_client_metadata', `Unsupported auth method: ${authMethod}`);
+    }
+
+    const redirectUris = metadata.redirect_uris || [];
+    if (!Array.isArray(redirectUris) || redirectUris.some((uri) => !URL.canParse(uri))) {
+      throw oauthError(400, 'invalid_redirect_uri', 'redirect_uris must be absolute URLs');
+    }
+
+    const grantTypes = metadata.grant_types || ['authorization_code', 'refresh_token'];
+    if (grantTypes.includes('authorization_code') && redirectUris.length === 0) {
+      throw oauthError(400, 'invalid_redirect_uri', 'redirect_uris are required');
+    }
+
+    const client = this._addClient({
+      ...metadata,
+      client_id: randomToken(16),
+      client_secret: authMethod === 'none' ? undefined : randomToken(),
+      client_id_issued_at: Math.floor(Date.now() / 1000),
+      redirect_uris: redirectUris,
+      grant_types: grantTypes,
+      token_endpoint_auth_method: authMethod,
+    });
+    this.logger.info('Client registered', { clientId: client.client_id, name: client.client_name });
+    return {
+      ...client,
+      ...(client.client_secret && { client_secret_expires_at: 0 }),
+    };
+  }
+
+  /**
+   * Issue an access token (and optionally a refresh token) without going through
+   * an endpoint. Useful in tests.
+   *
+   * @param {Object} params
+   * @param {string} [params.subject] - `sub` claim (defaults to `options.subject`)
+   * @param {string} [params.clientId='local-dev'] - `client_id` claim
+   * @param {string} [params.scope=''] - Space-separated scopes
+   * @param {string} [params.resource] - Audience (defaults to `options.audience`)
+   * @param {number} [params.expiresIn] - Lifetime in seconds (defaults to `options.accessTokenTtlSec`)
+   * @param {boolean} [params.refresh=false] - Also issue a refresh token
+   * @returns {{access_token: string, token_type: string, expires_in: number, scope: string, refresh_token?: string}}
+   */
+  issueToken(params = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const expiresIn = params.expiresIn ?? this.options.accessTokenTtlSec;
+    const claims = {
+      iss: this.issuer,
+      sub: params.subject || this.options.subject,
+      aud: params.resource || this.options.audience,
+      client_id: params.clientId || 'local-dev',
+      scope: params.scope || '',
+      iat: now,
+      exp: now + expiresIn,
+      jti: randomToken(12),
+    };
+
+    const response = {
+      access_token: signJwt(claims, this._privateKey, { kid: this._publicJwk.kid }),
+      token_type: 'Bearer',
+      expires_in: expiresIn,
+      scope: claims.scope,
+    };
+    if (params.refresh) {
+      response.refresh_token = randomToken();
+      this._refreshTokens.set(response.refresh_token, {
+        subject: claims.sub,
+        clientId: claims.client_id,
+        scope: claims.scope,
+        resource: claims.aud,
+        expiresAt: Date.now() + this.options.refreshTokenTtlSec * 1000,
+      });
+    }
+    return response;
+  }
+
+  /**
+   * Introspect a token issued by this server (RFC 7662).
+   *
+   * @param {string} token
+   * @returns {Object} `{ active: false }` or the token claims with `active: true`
+   */
+  introspect(token) {
+    try {
+      const claims = verifyJwt(token, {
+        keys: this.jwks.keys,
+        issuer: this.issuer,
+        clockToleranceSec: 0,
+      });
+      return { active: true, token_type: 'Bearer', ...claims };
+    } catch {
+      return { active: false };
+    }
+  }
+
+  /**
+   * Start listening.
+   *
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.httpServer = http.createServer((req, res) => {
+      this._handleRequest(req, res).catch((error) => {
+        this.logger.error('Request failed', { url: req.url, error: error.message });
+        if (!res.headersSent) {
+          this._sendJson(res, 500, { error: 'server_error', error_description: error.message });
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.listen(this.options.port, this.options.host, () => {
+        this.logger.info(`Local authorization server running on ${this.issuer}`, {
+          metadata: `${this.issuer}/.well-known/oauth-authorization-server`,
+        });
+        resolve();
+      });
+      this.httpServer.on('error', reject);
+    });
+  }
+
+  /**
+   * Stop listening.
+   *
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.httpServer) {
+      return;
+    }
+    await new Promise((resolve) => this.httpServer.close(resolve));
+    this.httpServer = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Endpoints
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @returns {Promise<void>}
+   */
+  async _handleRequest(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, this.issuer);
+    const route = `${req.method} ${url.pathname}`;
+    try {
+      switch (route) {
+      case 'GET /.well-known/oauth-authorization-server':
+      case 'GET /.well-known/openid-configuration':
+        this._sendJson(res, 200, this.metadata());
+        return;
+      case 'GET /jwks.json':
+        this._sendJson(res, 200, this.jwks);
+        return;
+      case 'GET /authorize':
+        this._authorize(url.searchParams, res);
+        return;
+      case 'POST /token':
+        this._sendJson(res, 200, this._token(req, await this._readBody(req)));
+        return;
+      case 'POST /introspect':
+        this._sendJson(res, 200, this._introspectRequest(req, await this._readBody(req)));
+        return;
+      case 'POST /register':
+        if (!this.options.allowRegistration) {
+          break;
+        }
+        this._sendJson(res, 201, this.registerClient(Object.fromEntries(await this._readBody(req))));
+        return;
+      }
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      this.logger.warn('OAuth request rejected', {
+        route,
+        error: error.code,
+        reason: error.message,
+      });
+      this._sendJson(res, error.status, { error: error.code, error_description: error.message });
+      return;
+    }
+
+    this._sendJson(res, 404, { error: 'Not found' });
+  }
+
+  /**
+   * Authorization endpoint: validates the request and grants it immediately.
+   *
+   * @private
+   * @param {URLSearchParams} params
+   * @param {http.ServerResponse} res
+   */
+  _authorize(params, res) {
+    const client = this._clients.get(params.get('client_id'));
+    if (!client) {
+      throw oauthError(400, 'invalid_client', 'Unknown client_id');
+    }
+    const redirectUri = params.get('redirect_uri') || client.redirect_uris[0];
+    if (!client.redirect_uris.includes(redirectUri)) {
+      throw oauthError(400, 'invalid_request', 'redirect_uri is not registered for this client');
+    }
+
+    // From here on, errors are reported to the client through the redirect
+    const redirect = new URL(redirectUri);
+    if (params.has('state')) {
+      redirect.searchParams.set('state', params.get('state'));
+    }
+    try {
+      if (params.get('response_type') !== 'code') {
+        throw oauthError(400, 'unsupported_response_type', 'response_type must be "code"');
+      }
+      if (!params.get('code_challenge') || params.get('code_challenge_method') !== 'S256') {
+        throw oauthError(400, 'invalid_request', 'PKCE with S256 code challenge is required');
+      }
+
+      const code = randomToken();
+      this._codes.set(code, {
+        clientId: client.client_id,
+        redirectUri,
+        codeChallenge: params.get('code_challenge'),
+        scope: this._resolveScope(params.get('scope'), client),
+        resource: params.get('resource') || undefined,
+        subject: params.get('login_hint') || this.options.subject,
+        expiresAt: Date.now() + AUTHORIZATION_CODE_TTL_SEC * 1000,
+      });
+      redirect.searchParams.set('code', code);
+      this.logger.info('Authorization granted', { clientId: client.client_id });
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      redirect.searchParams.set('error', error.code);
+      redirect.searchParams.set('error_description', error.message);
+    }
+
+    res.writeHead(302, { Location: redirect.href });
+    res.end();
+  }
+
+  /**
+   * Token endpoint.
+   *
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {URLSearchParams} params
+   * @returns {Object} Token response
+   */
+  _token(req, params) {
+    const client = this._authenticateClient(req, params);
+    const grantType = params.get('grant_type');
+    if (!client.grant_types.includes(grantType)) {
+      throw oauthError(400, 'unauthorized_client', `Grant type not allowed: ${grantType}`);
+    }
+
+    switch (grantType) {
+    case 'authorization_code': {
+      const code = this._codes.get(params.get('code'));
+      this._codes.delete(params.get('code'));
+      if (!code || code.expiresAt < Date.now() || code.clientId !== client.client_id) {
+        throw oauthError(400, 'invalid_grant', 'Invalid or expired authorization code');
+      }
+      if (params.has('redirect_uri') && params.get('redirect_uri') !== code.redirectUri) {
+        throw oauthError(400, 'invalid_grant', 'redirect_uri mismatch');
+      }
+      const verifier = params.get('code_verifier') || '';
+      const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+      if (challenge !== code.codeChallenge) {
+        throw oauthError(400, 'invalid_grant', 'PKCE verification failed');
+      }
+      const resource = params.get('resource') || code.resource;
+      if (code.resource && resource !== code.resource) {
+        throw oauthError(400, 'invalid_target', 'resource differs from the authorization request');
+      }
+      return this.issueToken({
+        subject: code.subject,
+        clientId: client.client_id,
+        scope: code.scope,
+        resource,
+        refresh: client.grant_types.includes('refresh_token'),
+      });
+    }
+
+    case 'refresh_token': {
+      const refresh = this._refreshTokens.get(params.get('refresh_token'));
+      this._refreshTokens.delete(params.get('refresh_token'));
+      if (!refresh || refresh.expiresAt < Date.now() || refresh.clientId !== client.client_id) {
+        throw oauthError(400, 'invalid_grant', 'Invalid or expired refresh token');
+      }
+      // A refresh token only mints tokens for the audience it was granted for
+      const resource = params.get('resource') || refresh.resource;
+      if (resource !== refresh.resource) {
+        throw oauthError(400, 'invalid_target', 'resource differs from the original grant');
+      }
+      return this.issueToken({
+        subject: refresh.subject,
+        clientId: client.client_id,
+        scope: refresh.scope,
+        resource,
+        refresh: true,
+      });
+    }
+
+    case 'client_credentials':
+      if (!client.client_secret) {
+        throw oauthError(400, 'unauthorized_client', 'client_credentials requires a secret');
+      }
+      return this.issueToken({
+        subject: client.client_id,
+        clientId: client.client_id,
+        scope: this._resolveScope(params.get('scope'), client),
+        resource: params.get('resource') || undefined,
+      });
+
+    default:
+      throw oauthError(400, 'unsupported_grant_type', `Unsupported grant type: ${grantType}`);
+    }
+  }
+
+  /**
+   * Introspection endpoint; callers must be registered confidential clients.
+   *
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {URLSearchParams} params
+   * @returns {Object} Introspection response
+   */
+  _introspectRequest(req, params) {
+    const client = this._authenticateClient(req, params);
+    if (!client.client_secret) {
+      throw oauthError(401, 'invalid_client', 'Client authentication required');
+    }
+    return this.introspect(params.get('token') || '');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @private
+   * @param {Object} client - RFC 7591 client information
+   * @returns {Object} The stored client
+   */
+  _addClient(client) {
+    if (!client.client_id) {
+      throw new Error('OAuth clients require a clientId');
+    }
+    this._clients.set(client.client_id, client);
+    return client;
+  }
+
+  /**
+   * Identify the client from HTTP Basic credentials or `client_id`/`client_secret`
+   * parameters, checking the secret of confidential clients.
+   *
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {URLSearchParams} params
+   * @returns {Object} Client
+   */
+  _authenticateClient(req, params) {
+    let clientId = params.get('client_id');
+    let clientSecret = params.get('client_secret');
+
+    const [scheme, credentials] = (req.headers.authorization || '').split(/\s+/, 2);
+    if (scheme?.toLowerCase() === 'basic' && credentials) {
+      const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      try {
+        clientId = decodeURIComponent(decoded.slice(0, separator));
+        clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+      } catch {
+        throw oauthError(401, 'invalid_client', 'Malformed client credentials');
+      }
+    }
+
+    const client = this._clients.get(clientId);
+    if (!client) {
+      throw oauthError(401, 'invalid_client', 'Unknown client');
+    }
+    if (client.client_secret) {
+      const expected = crypto.createHash('sha256').update(client.client_secret).digest();
+      const actual = crypto.createHash('sha256').update(clientSecret || '').digest();
+      if (!crypto.timingSafeEqual(expected, actual)) {
+        throw oauthError(401, 'invalid_client', 'Invalid client credentials');
+      }
+    }
+    return client;
+  }
+
+  /**
+   * Resolve the granted scope: the requested scopes narrowed to those allowed
+   * (the client's registered scope, or every supported scope), or all allowed
+   * scopes when none are requested.
+   *
+   * @private
+   * @param {string|null} requested - Space-separated scopes
+   * @param {Object} client
+   * @returns {string}
+   * @throws {Error} With `code: 'invalid_scope'` when none of the requested scopes is allowed
+   */
+  _resolveScope(requested, client) {
+    const allowed = client.scope ? client.scope.split(' ') : this.options.scopesSupported;
+    if (!requested) {
+      return allowed.join(' ');
+    }
+
+    const scopes = requested.split(' ').filter(Boolean);
+    const granted = allowed.length > 0 ? scopes.filter((scope) => allowed.includes(scope)) : scopes;
+    if (scopes.length > 0 && granted.length === 0) {
+      throw oauthError(400, 'invalid_scope', `Scope not allowed: ${scopes.join(' ')}`);
+    }
+    return granted.join(' ');
+  }
+
+  /**
+   * Read a form-encoded or JSON request body.
+   *
+   * @private
+   * @param {http.IncomingMessage} req
+   * @returns {Promise<URLSearchParams|Map<string, *>>} Parameters with a `get`/`has` interface
+   */
+  async _readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const body = Buffer.concat(chunks).toString('utf8');
+
+    if ((req.headers['content-type'] || '').includes('application/json')) {
+      try {
+        return new Map(Object.entries(JSON.parse(body || '{}')));
+      } catch {
+        throw oauthError(400, 'invalid_request', 'Malformed JSON body');
+      }
+    }
+    return new URLSearchParams(body);
+  }
+
+  /**
+   * @private
+   * @param {http.ServerResponse} res
+   * @param {number} status
+   * @param {Object} body
+   */
+  _sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+  }
+}
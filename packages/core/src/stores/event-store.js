@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Event store interface for resumable SSE streams.
+ *
+ * An event store records every JSON-RPC message the server writes to an SSE
+ * stream so a client that reconnects with `Last-Event-ID` can replay what it
+ * missed. Implementations plug into `StreamableHTTPServerTransport` through
+ * `config.eventStore` on {@link BaseMCPServer}.
+ *
+ * @module @mcp/core/stores
+ */
+
+/**
+ * Base class for event stores, matching the SDK's `EventStore` interface.
+ *
+ * Event IDs have the form `<streamId>_<sequence>` (see {@link EventStore.formatEventId}),
+ * so the stream an event belongs to can be recovered from the ID alone.
+ *
+ * @abstract
+ * @example
+ * class MyEventStore extends EventStore {
+ *   async storeEvent(streamId, message) { ... }
+ *   async replayEventsAfter(lastEventId, { send }) { ... }
+ * }
+ */
+export class EventStore {
+  /**
+   * Store a message sent on a stream.
+   *
+   * @abstract
+   * @param {string} _streamId - Stream the message was sent on
+   * @param {Object} _message - JSON-RPC message
+   * @returns {Promise<string>} Event ID
+   */
+  async storeEvent(_streamId, _message) {
+    throw new Error('storeEvent() must be implemented by subclass');
+  }
+
+  /**
+   * Replay the messages stored after `lastEventId` on the same stream.
+   *
+   * @abstract
+   * @param {string} _lastEventId - Last event ID the client received
+   * @param {Object} _options
+   * @param {Function} _options.send - `(eventId, message) => Promise<void>`
+   * @returns {Promise<string>} ID of the replayed stream
+   */
+  async replayEventsAfter(_lastEventId, _options) {
+    throw new Error('replayEventsAfter() must be implemented by subclass');
+  }
+
+  /**
+   * Stream an event belongs to.
+   *
+   * @param {string} eventId
+   * @returns {Promise<string|undefined>} Stream ID, or undefined for a malformed ID
+   */
+  async getStreamIdForEventId(eventId) {
+    return EventStore.parseEventId(eventId)?.streamId;
+  }
+
+  /**
+   * Drop every stream whose ID starts with `prefix`, e.g. when a session ends.
+   *
+   * @param {string} _prefix
+   * @returns {Promise<void>}
+   */
+  async deleteStreams(_prefix) {}
+
+  /**
+   * Build an event ID from a stream ID and a sequence number.
+   *
+   * @param {string} streamId
+   * @param {number} sequence
+   * @returns {string}
+   */
+  static formatEventId(streamId, sequence) {
+    return `${streamId}_${sequence}`;
+  }
+
+  /**
+   * Split an event ID into its stream ID and sequence number.
+   *
+   * @param {string} eventId
+   * @returns {{streamId: string, sequence: number}|null} null for a malformed ID
+   */
+  static parseEventId(eventId) {
+    const match = /^(.+)_(\d+)$/.exec(eventId || '');
+    return match ? { streamId: match[1], sequence: Number(match[2]) } : null;
+  }
+}
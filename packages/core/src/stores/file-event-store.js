@@ -0,0 +1,259 @@
+/**
+ * @fileoverview File-backed event store for resumable SSE streams.
+ * @module @mcp/core/stores
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { EventStore } from './event-store.js';
+
+/**
+ * Persists events as one JSON Lines file per stream, so streams can be resumed
+ * after a server restart.
+ *
+ * Writes to the same stream are serialized. Each file is compacted down to the
+ * newest `maxEventsPerStream` events once it holds twice that many.
+ *
+ * @example
+ * const server = new MyServer({
+ *   transport: 'http',
+ *   eventStore: new FileEventStore({ directory: './data/events' }),
+ * });
+ */
+export class FileEventStore extends EventStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory for the stream files (created on demand)
+   * @param {number} [options.maxEventsPerStream=1000] - Events kept per stream
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.directory) {
+      throw new Error('FileEventStore requires a directory');
+    }
+    this.directory = options.directory;
+    this.maxEventsPerStream = options.maxEventsPerStream || 1000;
+
+    /**
+     * Last sequence number and line count per stream, loaded lazily from disk.
+     * @type {Map<string, {sequence: number, count: number}>}
+     * @private
+     */
+    this._streams = new Map();
+
+    /**
+     * Pending operation per stream, used to serialize writes.
+     * @type {Map<string, Promise<any>>}
+     * @private
+     */
+    this._queues = new Map();
+  }
+
+  /**
+   * Store a message sent on a stream.
+   *
+   * @param {string} streamId
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<string>} Event ID
+   */
+  async storeEvent(streamId, message) {
+    return this._enqueue(streamId, async () => {
+      const stream = await this._loadStream(streamId);
+      const sequence = stream.sequence + 1;
+
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.appendFile(this._filePath(streamId), `${JSON.stringify({ sequence, message })}\n`);
+      stream.sequence = sequence;
+      stream.count++;
+
+      if (stream.count >= this.maxEventsPerStream * 2) {
+        await this._compact(streamId, stream);
+      }
+
+      return EventStore.formatEventId(streamId, sequence);
+    });
+  }
+
+  /**
+   * Replay the events stored after `lastEventId` on the same stream.
+   * If older events were already compacted away, replay starts at the oldest one kept.
+   *
+   * @param {string} lastEventId
+   * @param {Object} options
+   * @param {Function} options.send - `(eventId, message) => Promise<void>`
+   * @returns {Promise<string>} Stream ID, or '' if the event ID is unknown
+   */
+  async replayEventsAfter(lastEventId, { send }) {
+    const parsed = EventStore.parseEventId(lastEventId);
+    if (!parsed) {
+      return '';
+    }
+
+    const events = await this._enqueue(parsed.streamId, () => this._readEvents(parsed.streamId));
+    if (!events) {
+      return '';
+    }
+
+    for (const event of events) {
+      // Priming events carry no message, only an ID to resume from
+      if (event.sequence > parsed.sequence && event.message?.jsonrpc) {
+        await send(EventStore.formatEventId(parsed.streamId, event.sequence), event.message);
+      }
+    }
+    return parsed.streamId;
+  }
+
+  /**
+   * Delete the files of every stream whose ID starts with `prefix`.
+   *
+   * @param {string} prefix
+   * @returns {Promise<void>}
+   */
+  async deleteStreams(prefix) {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    for (const file of files) {
+      if (!file.endsWith('.jsonl')) {
+        continue;
+      }
+      const streamId = decodeURIComponent(file.slice(0, -'.jsonl'.length));
+      if (streamId.startsWith(prefix)) {
+        await this._enqueue(streamId, async () => {
+          await fs.rm(this._filePath(streamId), { force: true });
+          this._streams.delete(streamId);
+        });
+      }
+    }
+  }
+
+  /**
+   * Run `operation` after any pending operation on the same stream.
+   *
+   * @private
+   * @param {string} streamId
+   * @param {Function} operation - Async function
+   * @returns {Promise<any>} Result of `operation`
+   */
+  _enqueue(streamId, operation) {
+    const previous = this._queues.get(streamId) || Promise.resolve();
+    const result = previous.catch(() => {}).then(operation);
+    this._queues.set(streamId, result);
+    result
+      .catch(() => {})
+      .then(() => {
+        if (this._queues.get(streamId) === result) {
+          this._queues.delete(streamId);
+        }
+      });
+    return result;
+  }
+
+  /**
+   * @private
+   * @param {string} streamId
+   * @returns {string} Path of the stream's file
+   */
+  _filePath(streamId) {
+    return path.join(this.directory, `${encodeURIComponent(streamId)}.jsonl`);
+  }
+
+  /**
+   * Get the in-memory state of a stream, reading it from disk on first use.
+   * A partly written last line is terminated, so the next event starts on a
+   * line of its own.
+   *
+   * @private
+   * @param {string} streamId
+   * @returns {Promise<{sequence: number, count: number}>}
+   */
+  async _loadStream(streamId) {
+    if (!this._streams.has(streamId)) {
+      const content = await this._readFile(streamId);
+      if (content && !content.endsWith('\n')) {
+        await fs.appendFile(this._filePath(streamId), '\n');
+      }
+      const events = content === null ? [] : this._parseEvents(content);
+      this._streams.set(streamId, {
+        sequence: events.length > 0 ? events[events.length - 1].sequence : 0,
+        count: events.length,
+      });
+    }
+    return this._streams.get(streamId);
+  }
+
+  /**
+   * Read the stored events of a stream.
+   *
+   * @private
+   * @param {string} streamId
+   * @returns {Promise<Array<{sequence: number, message: Object}>|null>} null if the stream has no file
+   */
+  async _readEvents(streamId) {
+    const content = await this._readFile(streamId);
+    return content === null ? null : this._parseEvents(content);
+  }
+
+  /**
+   * @private
+   * @param {string} streamId
+   * @returns {Promise<string|null>} Contents of the stream's file, or null if it has none
+   */
+  async _readFile(streamId) {
+    try {
+      return await fs.readFile(this._filePath(streamId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a stream file. Lines that fail to parse (e.g. a write interrupted by
+   * a crash) are skipped.
+   *
+   * @private
+   * @param {string} content - JSON Lines
+   * @returns {Array<{sequence: number, message: Object}>}
+   */
+  _parseEvents(content) {
+    const events = [];
+    for (const line of content.split('\n')) {
+      if (!line) {
+        continue;
+      }
+      try {
+        events.push(JSON.parse(line));
+      } catch {
+        // Skip partial lines
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Rewrite a stream's file with only its newest `maxEventsPerStream` events.
+   *
+   * @private
+   * @param {string} streamId
+   * @param {{sequence: number, count: number}} stream
+   * @returns {Promise<void>}
+   */
+  async _compact(streamId, stream) {
+    const events = ((await this._readEvents(streamId)) || []).slice(-this.maxEventsPerStream);
+    const filePath = this._filePath(streamId);
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, events.map((event) => `${JSON.stringify(event)}\n`).join(''));
+    await fs.rename(tmpPath, filePath);
+    stream.count = events.length;
+  }
+}
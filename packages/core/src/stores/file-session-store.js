@@ -0,0 +1,116 @@
+/**
+ * @fileoverview File-backed session store.
+ * @module @mcp/core/stores
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { SessionStore } from './session-store.js';
+
+/**
+ * Persists each session as a JSON file, so sessions survive restarts and can be
+ * shared by several processes on the same filesystem.
+ *
+ * Files are written to a temporary name and renamed into place, so readers in
+ * other processes never see a partial record.
+ *
+ * @example
+ * const server = new MyServer({
+ *   transport: 'http',
+ *   sessionStore: new FileSessionStore({ directory: './data/sessions' }),
+ * });
+ */
+export class FileSessionStore extends SessionStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory for the session files (created on demand)
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.directory) {
+      throw new Error('FileSessionStore requires a directory');
+    }
+    this.directory = options.directory;
+  }
+
+  /**
+   * @param {string} sessionId
+   * @returns {Promise<import('./session-store.js').SessionRecord|undefined>}
+   */
+  async get(sessionId) {
+    return this._read(this._filePath(sessionId));
+  }
+
+  /**
+   * @param {import('./session-store.js').SessionRecord} record
+   * @returns {Promise<void>}
+   */
+  async set(record) {
+    const filePath = this._filePath(record.sessionId);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(record));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  /**
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  async delete(sessionId) {
+    await fs.rm(this._filePath(sessionId), { force: true });
+  }
+
+  /**
+   * @returns {Promise<import('./session-store.js').SessionRecord[]>}
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const records = [];
+    for (const file of files) {
+      if (file.endsWith('.json')) {
+        const record = await this._read(path.join(this.directory, file));
+        if (record) {
+          records.push(record);
+        }
+      }
+    }
+    return records;
+  }
+
+  /**
+   * @private
+   * @param {string} sessionId
+   * @returns {string} Path of the session's file
+   */
+  _filePath(sessionId) {
+    return path.join(this.directory, `${encodeURIComponent(sessionId)}.json`);
+  }
+
+  /**
+   * Read a record, treating a missing or unreadable file as no record.
+   *
+   * @private
+   * @param {string} filePath
+   * @returns {Promise<import('./session-store.js').SessionRecord|undefined>}
+   */
+  async _read(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+}
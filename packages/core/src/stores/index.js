@@ -0,0 +1,11 @@
+/**
+ * @fileoverview Store exports
+ * @module @mcp/core/stores
+ */
+
+export { EventStore } from './event-store.js';
+export { InMemoryEventStore } from './memory-event-store.js';
+export { FileEventStore } from './file-event-store.js';
+export { SessionStore } from './session-store.js';
+export { InMemorySessionStore } from './memory-session-store.js';
+export { FileSessionStore } from './file-session-store.js';
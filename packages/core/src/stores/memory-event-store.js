@@ -0,0 +1,107 @@
+/**
+ * @fileoverview In-memory event store for resumable SSE streams.
+ * @module @mcp/core/stores
+ */
+
+import { EventStore } from './event-store.js';
+
+/**
+ * Keeps the most recent events of each stream in memory.
+ *
+ * Both dimensions are bounded: each stream keeps at most `maxEventsPerStream`
+ * events, and once `maxStreams` streams exist the least recently written one is
+ * dropped. Events are lost when the process exits; use {@link FileEventStore}
+ * to survive restarts.
+ *
+ * @example
+ * const server = new MyServer({
+ *   transport: 'http',
+ *   eventStore: new InMemoryEventStore({ maxEventsPerStream: 200 }),
+ * });
+ */
+export class InMemoryEventStore extends EventStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEventsPerStream=100] - Events kept per stream
+   * @param {number} [options.maxStreams=1000] - Streams kept before the oldest is dropped
+   */
+  constructor(options = {}) {
+    super();
+    this.maxEventsPerStream = options.maxEventsPerStream || 100;
+    this.maxStreams = options.maxStreams || 1000;
+
+    /**
+     * Streams ordered from least to most recently written.
+     * @type {Map<string, {sequence: number, events: Array<{sequence: number, message: Object}>}>}
+     * @private
+     */
+    this._streams = new Map();
+  }
+
+  /**
+   * Store a message sent on a stream.
+   *
+   * @param {string} streamId
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<string>} Event ID
+   */
+  async storeEvent(streamId, message) {
+    const stream = this._streams.get(streamId) || { sequence: 0, events: [] };
+
+    // Re-insert so the Map stays ordered by last write
+    this._streams.delete(streamId);
+    this._streams.set(streamId, stream);
+
+    stream.sequence++;
+    stream.events.push({ sequence: stream.sequence, message });
+    if (stream.events.length > this.maxEventsPerStream) {
+      stream.events.shift();
+    }
+
+    while (this._streams.size > this.maxStreams) {
+      const [oldest] = this._streams.keys();
+      this._streams.delete(oldest);
+    }
+
+    return EventStore.formatEventId(streamId, stream.sequence);
+  }
+
+  /**
+   * Replay the events stored after `lastEventId` on the same stream.
+   * If older events were already dropped, replay starts at the oldest one kept.
+   *
+   * @param {string} lastEventId
+   * @param {Object} options
+   * @param {Function} options.send - `(eventId, message) => Promise<void>`
+   * @returns {Promise<string>} Stream ID, or '' if the event ID is unknown
+   */
+  async replayEventsAfter(lastEventId, { send }) {
+    const parsed = EventStore.parseEventId(lastEventId);
+    const stream = parsed && this._streams.get(parsed.streamId);
+    if (!stream) {
+      return '';
+    }
+
+    for (const event of stream.events) {
+      // Priming events carry no message, only an ID to resume from
+      if (event.sequence > parsed.sequence && event.message?.jsonrpc) {
+        await send(EventStore.formatEventId(parsed.streamId, event.sequence), event.message);
+      }
+    }
+    return parsed.streamId;
+  }
+
+  /**
+   * Drop every stream whose ID starts with `prefix`.
+   *
+   * @param {string} prefix
+   * @returns {Promise<void>}
+   */
+  async deleteStreams(prefix) {
+    for (const streamId of Array.from(this._streams.keys())) {
+      if (streamId.startsWith(prefix)) {
+        this._streams.delete(streamId);
+      }
+    }
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview In-memory session store.
+ * @module @mcp/core/stores
+ */
+
+import { SessionStore } from './session-store.js';
+
+/**
+ * Keeps session records in a Map. This is the default store: sessions survive
+ * being evicted from the live session cap, but not a restart.
+ */
+export class InMemorySessionStore extends SessionStore {
+  constructor() {
+    super();
+
+    /**
+     * @type {Map<string, import('./session-store.js').SessionRecord>}
+     * @private
+     */
+    this._records = new Map();
+  }
+
+  /**
+   * @param {string} sessionId
+   * @returns {Promise<import('./session-store.js').SessionRecord|undefined>}
+   */
+  async get(sessionId) {
+    const record = this._records.get(sessionId);
+    return record && { ...record };
+  }
+
+  /**
+   * @param {import('./session-store.js').SessionRecord} record
+   * @returns {Promise<void>}
+   */
+  async set(record) {
+    this._records.set(record.sessionId, { ...record });
+  }
+
+  /**
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  async delete(sessionId) {
+    this._records.delete(sessionId);
+  }
+
+  /**
+   * @returns {Promise<import('./session-store.js').SessionRecord[]>}
+   */
+  async list() {
+    return Array.from(this._records.values(), (record) => ({ ...record }));
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Session store interface for HTTP session metadata.
+ *
+ * A session store keeps what the initialize handshake negotiated for each HTTP
+ * session, so a session can be rebuilt after a restart or by another process
+ * sharing the store. Configured through `config.sessionStore` on {@link BaseMCPServer}.
+ *
+ * @module @mcp/core/stores
+ */
+
+/**
+ * Session metadata persisted by a {@link SessionStore}.
+ *
+ * @typedef {Object} SessionRecord
+ * @property {string} sessionId - Session ID (the `mcp-session-id` header)
+ * @property {number} createdAt - Initialization time in ms
+ * @property {number} lastActivityAt - Time of the last request in ms (updated periodically)
+ * @property {string} protocolVersion - Negotiated protocol version
+ * @property {Object} [clientInfo] - `{ name, version }` reported by the client
+ * @property {Object} [clientCapabilities] - Capabilities reported by the client
+ * @property {string} [principalId] - ID of the authenticated principal that owns the session
+ * @property {string[]} [subscriptions] - Resource URIs the session subscribed to
+ * @property {string} [logLevel] - Level the session set with `logging/setLevel`
+ */
+
+/**
+ * Base class for session stores.
+ *
+ * @abstract
+ * @example
+ * class RedisSessionStore extends SessionStore {
+ *   async get(sessionId) { ... }
+ *   async set(record) { ... }
+ *   async delete(sessionId) { ... }
+ *   async list() { ... }
+ * }
+ */
+export class SessionStore {
+  /**
+   * Look up a session.
+   *
+   * @abstract
+   * @param {string} _sessionId
+   * @returns {Promise<SessionRecord|undefined>}
+   */
+  async get(_sessionId) {
+    throw new Error('get() must be implemented by subclass');
+  }
+
+  /**
+   * Create or replace a session record.
+   *
+   * @abstract
+   * @param {SessionRecord} _record
+   * @returns {Promise<void>}
+   */
+  async set(_record) {
+    throw new Error('set() must be implemented by subclass');
+  }
+
+  /**
+   * Remove a session.
+   *
+   * @abstract
+   * @param {string} _sessionId
+   * @returns {Promise<void>}
+   */
+  async delete(_sessionId) {
+    throw new Error('delete() must be implemented by subclass');
+  }
+
+  /**
+   * All stored sessions, used to sweep expired ones.
+   *
+   * @abstract
+   * @returns {Promise<SessionRecord[]>}
+   */
+  async list() {
+    throw new Error('list() must be implemented by subclass');
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview In-process MCP client that answers sampling and elicitation
+ * requests with canned responses, for testing tools that call
+ * `context.sample()` or `context.elicit()`.
+ *
+ * @module @mcp/core/testing
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import {
+  CreateMessageRequestSchema,
+  ElicitRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * Model name reported in canned completions.
+ * @type {string}
+ */
+const FAKE_MODEL = 'fake-model';
+
+/**
+ * Turn a responder's return value into a CreateMessageResult.
+ *
+ * @param {string|Object} response - Completion text, or a (partial) CreateMessageResult
+ * @returns {Object} CreateMessageResult
+ */
+function toCreateMessageResult(response) {
+  if (typeof response === 'string') {
+    return {
+      role: 'assistant',
+      content: { type: 'text', text: response },
+      model: FAKE_MODEL,
+      stopReason: 'endTurn',
+    };
+  }
+  return { role: 'assistant', model: FAKE_MODEL, ...response };
+}
+
+/**
+ * MCP client that advertises the `sampling` capability and connects to a
+ * {@link BaseMCPServer} in the same process. Every `sampling/createMessage`
+ * request is recorded and answered by `respond`. With an `elicit` responder the
+ * client also advertises form elicitation and answers `elicitation/create`.
+ *
+ * @example
+ * const client = new FakeSamplingClient({
+ *   respond: ({ messages }) => `Summary of ${messages.length} message(s)`,
+ * });
+ * await client.connect(new MyServer({ name: 'my-server', version: '1.0.0' }));
+ *
+ * const result = await client.callTool('summarize', { text: 'A long text' });
+ * assert.equal(client.requests[0].maxTokens, 200);
+ * await client.close();
+ */
+export class FakeSamplingClient {
+  /**
+   * @param {Object} [options]
+   * @param {string|Function} [options.respond] - Completion text, or
+   *   `(params) => string | CreateMessageResult` (may be async; throwing fails the request).
+   *   Defaults to echoing the last message's text
+   * @param {Object|Function} [options.elicit] - ElicitResult (`{ action, content? }`), or
+   *   `(params) => ElicitResult` (may be async)
+   * @param {Object} [options.capabilities] - Client capabilities to advertise (default:
+   *   `sampling`, plus `elicitation` when `elicit` is given)
+   * @param {{name: string, version: string}} [options.clientInfo]
+   */
+  constructor({
+    respond = ({ messages }) => `Echo: ${messages.at(-1)?.content?.text ?? ''}`,
+    elicit,
+    capabilities = { sampling: {}, ...(elicit && { elicitation: {} }) },
+    clientInfo = { name: 'fake-sampling-client', version: '1.0.0' },
+  } = {}) {
+    /** @type {Object[]} Params of every `sampling/createMessage` request received */
+    this.requests = [];
+
+    /** @type {Object[]} Params of every `elicitation/create` request received */
+    this.elicitations = [];
+
+    /** @type {Client} Underlying SDK client */
+    this.client = new Client(clientInfo, { capabilities });
+
+    if (capabilities.sampling) {
+      this.client.setRequestHandler(CreateMessageRequestSchema, async (request) => {
+        this.requests.push(request.params);
+        const response = typeof respond === 'function' ? await respond(request.params) : respond;
+        return toCreateMessageResult(response);
+      });
+    }
+
+    if (capabilities.elicitation && elicit) {
+      this.client.setRequestHandler(ElicitRequestSchema, async (request) => {
+        this.elicitations.push(request.params);
+        return typeof elicit === 'function' ? elicit(request.params) : elicit;
+      });
+    }
+  }
+
+  /**
+   * Connect to a server's primary instance over an in-memory transport.
+   * The server must not be started with stdio at the same time.
+   *
+   * @param {BaseMCPServer} server
+   * @returns {Promise<void>}
+   */
+  async connect(server) {
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.server.connect(serverTransport);
+    await this.client.connect(clientTransport);
+  }
+
+  /**
+   * Call a tool.
+   *
+   * @param {string} name
+   * @param {Object} [args={}]
+   * @returns {Promise<Object>} CallToolResult
+   */
+  async callTool(name, args = {}) {
+    return this.client.callTool({ name, arguments: args });
+  }
+
+  /**
+   * Close the connection (and with it the server's primary instance).
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.client.close();
+  }
+}
@@ -0,0 +1,6 @@
+/**
+ * @fileoverview Testing exports
+ * @module @mcp/core/testing
+ */
+
+export { FakeSamplingClient } from './fake-sampling-client.js';
@@ -3,6 +3,27 @@
  * @module @mcp/core/utils
  */
 
+/**
+ * Wait for a delay, rejecting early when the signal aborts.
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
 /**
  * Simple HTTP client with retry logic
  */
@@ -23,29 +44,35 @@ export class HttpClient {
 
   /**
    * Make HTTP request
+   *
+   * Every attempt gets its own `timeout`; backoff between retries does not count against it.
+   *
    * @param {string} method - HTTP method
    * @param {string} path - Request path
    * @param {Object} [options] - Request options
+   * @param {Object} [options.headers] - Extra headers
+   * @param {Object} [options.body] - JSON request body
+   * @param {AbortSignal} [options.signal] - Aborts the request and any pending retries
+   *   (e.g. the `signal` a tool handler receives in its context)
    * @returns {Promise<Object>} Response data
    */
   async request(method, path, options = {}) {
     const url = `${this.baseURL}${path}`;
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const { signal } = options;
+    signal?.throwIfAborted();
 
     let lastError;
 
     for (let attempt = 0; attempt <= this.retries; attempt++) {
+      const timeoutSignal = AbortSignal.timeout(this.timeout);
       try {
         const response = await fetch(url, {
           method,
           headers: { ...this.headers, ...options.headers },
           body: options.body ? JSON.stringify(options.body) : undefined,
-          signal: controller.signal,
+          signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal,
         });
 
-        clearTimeout(timeoutId);
-
         if (!response.ok) {
           throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
@@ -57,14 +84,15 @@ export class HttpClient {
 
         return await response.text();
       } catch (error) {
+        // Cancelled by the caller: no point retrying
+        signal?.throwIfAborted();
         lastError = error;
         if (attempt < this.retries) {
-          await new Promise((resolve) => setTimeout(resolve, 1000 * Math.pow(2, attempt)));
+          await sleep(1000 * Math.pow(2, attempt), signal);
         }
       }
     }
 
-    clearTimeout(timeoutId);
     throw lastError;
   }
 
@@ -5,3 +5,6 @@
 
 export { HttpClient } from './http-client.js';
 export { formatJSON, formatMarkdown, formatText, truncate } from './formatters.js';
+export { jsonSchemaToZod } from './json-schema-to-zod.js';
+export { UriTemplate, expandUriTemplate, matchUriTemplate } from './uri-template.js';
+export { isWithinRoots, rootToPath } from './roots.js';
@@ -0,0 +1,565 @@
+/**
+ * @fileoverview JSON Schema → Zod converter.
+ *
+ * Tools declare their inputs as plain JSON Schema (what `/info` advertises),
+ * while the SDK's McpServer validates `tools/call` arguments with Zod. This
+ * module bridges the two so that both sides describe exactly the same shape.
+ *
+ * Supported keywords:
+ * - `type` (single or array), `nullable`, `enum`, `const`, `default`, `description`
+ * - strings: `minLength`, `maxLength`, `pattern`, `format`
+ * - numbers: `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`, `multipleOf`
+ * - arrays: `items` (schema or tuple), `prefixItems`, `minItems`, `maxItems`, `uniqueItems`
+ * - objects: `properties`, `required`, `additionalProperties`
+ * - composition: `oneOf`, `anyOf`, `allOf` (together with the keywords next to them), `not`
+ * - references: local `$ref` into `$defs` / `definitions` (recursive refs via `z.lazy`);
+ *   keywords next to a `$ref` are merged into the referenced schema
+ *
+ * Unknown `format` values are treated as annotations, as the JSON Schema spec allows.
+ *
+ * @module @mcp/core/utils
+ */
+
+import { z } from 'zod';
+
+/**
+ * Regex for RFC 1123 host names (used for `format: 'hostname'`).
+ * @type {RegExp}
+ */
+const HOSTNAME_REGEX =
+  /^(?=.{1,253}$)[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+
+/**
+ * Keywords that do not constrain the type of a node: annotations, plus those
+ * {@link convert} applies around every node.
+ * @type {string[]}
+ */
+const NON_TYPE_KEYWORDS = [
+  '$schema',
+  '$id',
+  '$comment',
+  '$defs',
+  'definitions',
+  'title',
+  'examples',
+  'description',
+  'default',
+  'not',
+  'nullable',
+];
+
+/**
+ * Convert a JSON Schema into an equivalent Zod schema.
+ *
+ * @example
+ * const schema = jsonSchemaToZod({
+ *   type: 'object',
+ *   properties: { text: { type: 'string', minLength: 1 } },
+ *   required: ['text'],
+ * });
+ * schema.parse({ text: 'hello' });
+ *
+ * @param {Object|boolean} schema - JSON Schema (draft-07 / 2019-09 / 2020-12 subset)
+ * @returns {import('zod').ZodTypeAny}
+ * @throws {Error} If the schema contains an unresolvable or non-local `$ref`
+ */
+export function jsonSchemaToZod(schema) {
+  const ctx = {
+    root: schema,
+    refs: new Map(),
+    resolving: new Set(),
+  };
+  return convert(schema, ctx);
+}
+
+/**
+ * Convert a schema node, applying the keywords shared by every type.
+ *
+ * @private
+ * @param {Object|boolean} schema
+ * @param {Object} ctx - Conversion context (root document and `$ref` cache)
+ * @returns {import('zod').ZodTypeAny}
+ */
+function convert(schema, ctx) {
+  if (schema === true || schema === undefined || schema === null) {
+    return z.any();
+  }
+  if (schema === false) {
+    return z.never();
+  }
+
+  let zodType = convertNode(schema, ctx);
+
+  if (schema.not !== undefined) {
+    const forbidden = convert(schema.not, ctx);
+    zodType = zodType.refine((value) => !forbidden.safeParse(value).success, {
+      message: 'Value must not match the "not" schema',
+    });
+  }
+
+  if (schema.nullable === true) {
+    zodType = zodType.nullable();
+  }
+
+  if (schema.description) {
+    zodType = zodType.describe(schema.description);
+  }
+
+  if (schema.default !== undefined) {
+    zodType = zodType.default(schema.default);
+  }
+
+  return zodType;
+}
+
+/**
+ * Convert the type-specific part of a schema node.
+ *
+ * @private
+ * @param {Object} schema
+ * @param {Object} ctx
+ * @returns {import('zod').ZodTypeAny}
+ */
+function convertNode(schema, ctx) {
+  if (schema.$ref) {
+    return convertRefWithSiblings(schema, ctx);
+  }
+
+  if (schema.const !== undefined) {
+    return literal(schema.const);
+  }
+
+  if (Array.isArray(schema.enum)) {
+    return convertEnum(schema.enum);
+  }
+
+  if (Array.isArray(schema.allOf) && schema.allOf.length > 0) {
+    return convertAllOf(schema, ctx);
+  }
+
+  if (Array.isArray(schema.anyOf) && schema.anyOf.length > 0) {
+    const anyOf = union(schema.anyOf.map((sub) => convert(sub, ctx)));
+    return withSiblings(anyOf, schema, 'anyOf', ctx);
+  }
+
+  if (Array.isArray(schema.oneOf) && schema.oneOf.length > 0) {
+    return withSiblings(convertOneOf(schema.oneOf, ctx), schema, 'oneOf', ctx);
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : [inferType(schema)];
+  const options = types.filter(Boolean).map((type) => convertType(type, schema, ctx));
+
+  if (options.length === 0) {
+    return z.any();
+  }
+  return union(options);
+}
+
+/**
+ * Guess a type for schemas that omit `type` but use type-specific keywords.
+ *
+ * @private
+ * @param {Object} schema
+ * @returns {string|undefined}
+ */
+function inferType(schema) {
+  if (schema.type) {
+    return schema.type;
+  }
+  if (schema.properties || schema.additionalProperties !== undefined || schema.required) {
+    return 'object';
+  }
+  if (schema.items || schema.prefixItems) {
+    return 'array';
+  }
+  return undefined;
+}
+
+/**
+ * Convert a schema node for one concrete JSON Schema type.
+ *
+ * @private
+ * @param {string} type
+ * @param {Object} schema
+ * @param {Object} ctx
+ * @returns {import('zod').ZodTypeAny}
+ */
+function convertType(type, schema, ctx) {
+  switch (type) {
+  case 'string':
+    return convertString(schema);
+  case 'number':
+  case 'integer':
+    return convertNumber(schema, type === 'integer');
+  case 'boolean':
+    return z.boolean();
+  case 'null':
+    return z.null();
+  case 'array':
+    return convertArray(schema, ctx);
+  case 'object':
+    return convertObject(schema, ctx);
+  default:
+    return z.any();
+  }
+}
+
+/**
+ * @private
+ * @param {Object} schema
+ * @returns {import('zod').ZodTypeAny}
+ */
+function convertString(schema) {
+  let zodType = z.string();
+
+  if (schema.minLength !== undefined) {
+    zodType = zodType.min(schema.minLength);
+  }
+  if (schema.maxLength !== undefined) {
+    zodType = zodType.max(schema.maxLength);
+  }
+  if (schema.pattern) {
+    zodType = zodType.regex(new RegExp(schema.pattern, 'u'));
+  }
+
+  switch (schema.format) {
+  case 'email':
+    return zodType.email();
+  case 'uri':
+  case 'url':
+    return zodType.url();
+  case 'uuid':
+    return zodType.uuid();
+  case 'date-time':
+    return zodType.datetime({ offset: true });
+  case 'date':
+    return zodType.date();
+  case 'time':
+    return zodType.time();
+  case 'ipv4':
+    return zodType.ip({ version: 'v4' });
+  case 'ipv6':
+    return zodType.ip({ version: 'v6' });
+  case 'hostname':
+    return zodType.regex(HOSTNAME_REGEX, { message: 'Invalid hostname' });
+  default:
+    return zodType;
+  }
+}
+
+/**
+ * @private
+ * @param {Object} schema
+ * @param {boolean} integer - Whether the JSON type was `integer`
+ * @returns {import('zod').ZodTypeAny}
+ */
+function convertNumber(schema, integer) {
+  let zodType = z.number();
+
+  if (integer) {
+    zodType = zodType.int();
+  }
+
+  // Draft-04 uses boolean exclusive flags alongside minimum/maximum
+  if (schema.minimum !== undefined) {
+    zodType =
+      schema.exclusiveMinimum === true ? zodType.gt(schema.minimum) : zodType.gte(schema.minimum);
+  }
+  if (schema.maximum !== undefined) {
+    zodType =
+      schema.exclusiveMaximum === true ? zodType.lt(schema.maximum) : zodType.lte(schema.maximum);
+  }
+  if (typeof schema.exclusiveMinimum === 'number') {
+    zodType = zodType.gt(schema.exclusiveMinimum);
+  }
+  if (typeof schema.exclusiveMaximum === 'number') {
+    zodType = zodType.lt(schema.exclusiveMaximum);
+  }
+  if (schema.multipleOf !== undefined) {
+    zodType = zodType.multipleOf(schema.multipleOf);
+  }
+
+  return zodType;
+}
+
+/**
+ * @private
+ * @param {Object} schema
+ * @param {Object} ctx
+ * @returns {import('zod').ZodTypeAny}
+ */
+function convertArray(schema, ctx) {
+  // Tuple form: `prefixItems` (2020-12) or array-valued `items` (draft-07)
+  const tupleItems = schema.prefixItems || (Array.isArray(schema.items) ? schema.items : null);
+
+  let zodType;
+  if (tupleItems) {
+    const rest = schema.prefixItems ? schema.items : schema.additionalItems;
+    zodType = z.tuple(tupleItems.map((item) => convert(item, ctx)));
+    if (rest !== false) {
+      zodType = zodType.rest(convert(rest, ctx));
+    }
+  } else {
+    zodType = z.array(convert(schema.items, ctx));
+  }
+
+  if (zodType instanceof z.ZodArray) {
+    if (schema.minItems !== undefined) {
+      zodType = zodType.min(schema.minItems);
+    }
+    if (schema.maxItems !== undefined) {
+      zodType = zodType.max(schema.maxItems);
+    }
+  } else if (schema.minItems !== undefined || schema.maxItems !== undefined) {
+    const { minItems = 0, maxItems = Infinity } = schema;
+    zodType = zodType.refine((items) => items.length >= minItems && items.length <= maxItems, {
+      message: `Array must contain between ${minItems} and ${maxItems} item(s)`,
+    });
+  }
+  if (schema.uniqueItems === true) {
+    zodType = zodType.refine(
+      (items) => new Set(items.map((item) => JSON.stringify(item))).size === items.length,
+      { message: 'Array items must be unique' },
+    );
+  }
+
+  return zodType;
+}
+
+/**
+ * @private
+ * @param {Object} schema
+ * @param {Object} ctx
+ * @returns {import('zod').ZodTypeAny}
+ */
+function convertObject(schema, ctx) {
+  const required = schema.required || [];
+  const shape = {};
+
+  for (const [key, prop] of Object.entries(schema.properties || {})) {
+    let zodType = convert(prop, ctx);
+    // A default already makes the key optional on input
+    if (!required.includes(key) && prop?.default === undefined) {
+      zodType = zodType.optional();
+    }
+    shape[key] = zodType;
+  }
+
+  // Required keys without a property schema must be present, with any value
+  for (const key of required) {
+    if (!(key in shape)) {
+      shape[key] = z.any().refine((value) => value !== undefined, { message: 'Required' });
+    }
+  }
+
+  const zodType = z.object(shape);
+
+  if (schema.additionalProperties === false) {
+    return zodType.strict();
+  }
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    return zodType.catchall(convert(schema.additionalProperties, ctx));
+  }
+  // JSON Schema allows unknown keys by default — keep them instead of stripping
+  return zodType.passthrough();
+}
+
+/**
+ * @private
+ * @param {Array<*>} values
+ * @returns {import('zod').ZodTypeAny}
+ */
+function convertEnum(values) {
+  if (values.length > 0 && values.every((value) => typeof value === 'string')) {
+    return z.enum(values);
+  }
+  return union(values.map(literal));
+}
+
+/**
+ * `allOf` — every subschema must match.
+ *
+ * @private
+ * @param {Object} schema
+ * @param {Object} ctx
+ * @returns {import('zod').ZodTypeAny}
+ */
+function convertAllOf(schema, ctx) {
+  const parts = schema.allOf.map((sub) => convert(sub, ctx));
+
+  // Sibling keywords (e.g. `properties` next to `allOf`) form one more constraint
+  const rest = siblingKeywords(schema, 'allOf');
+  if (Object.keys(rest).length > 0) {
+    parts.push(convertNode(rest, ctx));
+  }
+
+  return parts.reduce((acc, part) => z.intersection(acc, part));
+}
+
+/**
+ * `$ref` — keywords next to it (e.g. `maxLength`) are merged into the
+ * referenced schema. Recursive references keep them as a separate constraint.
+ *
+ * @private
+ * @param {Object} schema
+ * @param {Object} ctx
+ * @returns {import('zod').ZodTypeAny}
+ */
+function convertRefWithSiblings(schema, ctx) {
+  const rest = siblingKeywords(schema, '$ref');
+  if (Object.keys(rest).length === 0) {
+    return convertRef(schema.$ref, ctx);
+  }
+  if (ctx.resolving.has(schema.$ref)) {
+    return z.intersection(convertRef(schema.$ref, ctx), convertNode(rest, ctx));
+  }
+
+  ctx.resolving.add(schema.$ref);
+  const zodType = convert({ ...resolvePointer(ctx.root, schema.$ref), ...rest }, ctx);
+  ctx.resolving.delete(schema.$ref);
+  return zodType;
+}
+
+/**
+ * The type-constraining keywords next to `keyword` in a schema node.
+ *
+ * @private
+ * @param {Object} schema
+ * @param {string} keyword - '$ref' | 'allOf'
+ * @returns {Object} Schema of the sibling keywords
+ */
+function siblingKeywords(schema, keyword) {
+  const rest = { ...schema };
+  for (const key of [keyword, ...NON_TYPE_KEYWORDS]) {
+    delete rest[key];
+  }
+  return rest;
+}
+
+/**
+ * Constrain a composition (`anyOf`, `oneOf`) by the keywords next to it, e.g.
+ * `properties` shared by every alternative.
+ *
+ * @private
+ * @param {import('zod').ZodTypeAny} zodType - The converted composition
+ * @param {Object} schema
+ * @param {string} keyword - The composition keyword
+ * @param {Object} ctx
+ * @returns {import('zod').ZodTypeAny}
+ */
+function withSiblings(zodType, schema, keyword, ctx) {
+  const rest = siblingKeywords(schema, keyword);
+  if (Object.keys(rest).length === 0) {
+    return zodType;
+  }
+  return z.intersection(zodType, convertNode(rest, ctx));
+}
+
+/**
+ * `oneOf` — exactly one subschema must match.
+ *
+ * @private
+ * @param {Array<Object>} subschemas
+ * @param {Object} ctx
+ * @returns {import('zod').ZodTypeAny}
+ */
+function convertOneOf(subschemas, ctx) {
+  const options = subschemas.map((sub) => convert(sub, ctx));
+  if (options.length === 1) {
+    return options[0];
+  }
+
+  return union(options).superRefine((value, refineCtx) => {
+    const matches = options.filter((option) => option.safeParse(value).success).length;
+    if (matches > 1) {
+      refineCtx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Value matches ${matches} "oneOf" subschemas, expected exactly one`,
+      });
+    }
+  });
+}
+
+/**
+ * Resolve a local `$ref` (JSON Pointer into the root document).
+ * Self-referencing schemas are wired up lazily.
+ *
+ * @private
+ * @param {string} ref - e.g. `#/$defs/node`
+ * @param {Object} ctx
+ * @returns {import('zod').ZodTypeAny}
+ */
+function convertRef(ref, ctx) {
+  if (ctx.refs.has(ref)) {
+    return ctx.refs.get(ref);
+  }
+  if (ctx.resolving.has(ref)) {
+    return z.lazy(() => ctx.refs.get(ref));
+  }
+
+  ctx.resolving.add(ref);
+  const zodType = convert(resolvePointer(ctx.root, ref), ctx);
+  ctx.resolving.delete(ref);
+  ctx.refs.set(ref, zodType);
+  return zodType;
+}
+
+/**
+ * Walk a JSON Pointer fragment (`#/a/b`) through a document.
+ *
+ * @private
+ * @param {Object} root
+ * @param {string} ref
+ * @returns {Object}
+ * @throws {Error} If the reference is not local or cannot be resolved
+ */
+function resolvePointer(root, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Unsupported $ref (only local references are allowed): ${ref}`);
+  }
+
+  const segments = ref
+    .slice(1)
+    .split('/')
+    .slice(1)
+    .map((segment) => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  let node = root;
+  for (const segment of segments) {
+    if (node === null || typeof node !== 'object' || !(segment in node)) {
+      throw new Error(`Unresolvable $ref: ${ref}`);
+    }
+    node = node[segment];
+  }
+  return node;
+}
+
+/**
+ * @private
+ * @param {*} value
+ * @returns {import('zod').ZodTypeAny}
+ */
+function literal(value) {
+  if (value === null) {
+    return z.null();
+  }
+  if (typeof value === 'object') {
+    // Zod literals only cover primitives — compare structured constants by value
+    const expected = JSON.stringify(value);
+    return z.any().refine((candidate) => JSON.stringify(candidate) === expected, {
+      message: `Value must equal ${expected}`,
+    });
+  }
+  return z.literal(value);
+}
+
+/**
+ * Build a union, collapsing the single-option case (Zod requires ≥ 2 options).
+ *
+ * @private
+ * @param {Array<import('zod').ZodTypeAny>} options
+ * @returns {import('zod').ZodTypeAny}
+ */
+function union(options) {
+  return options.length === 1 ? options[0] : z.union(options);
+}
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Helpers for MCP client roots (`roots/list`).
+ *
+ * Clients grant a server access to directories as `file://` root URIs. These
+ * helpers check local paths against those roots.
+ *
+ * @module @mcp/core/utils
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Local directory of a root, or null for roots that are not `file://` URIs.
+ *
+ * @param {{uri: string, name?: string}} root - Root from `roots/list`
+ * @returns {string|null} Absolute path
+ */
+export function rootToPath(root) {
+  try {
+    return fileURLToPath(root.uri);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a path lies inside (or is) one of the given roots.
+ *
+ * The check is lexical: `..` segments are resolved, symbolic links are not.
+ * Pass `fs.realpath()` results to stop links from escaping a root.
+ *
+ * @example
+ * const roots = [{ uri: 'file:///home/ana/project' }];
+ * isWithinRoots('/home/ana/project/src/index.js', roots); // true
+ * isWithinRoots('/home/ana/project/../secrets', roots);   // false
+ *
+ * @param {string|URL} target - Absolute path, or a `file://` URL
+ * @param {Array<{uri: string, name?: string}>} roots - Roots from `roots/list`
+ * @returns {boolean}
+ */
+export function isWithinRoots(target, roots) {
+  const targetPath = path.resolve(
+    target instanceof URL || String(target).startsWith('file:')
+      ? fileURLToPath(target)
+      : String(target),
+  );
+
+  return roots.some((root) => {
+    const rootPath = rootToPath(root);
+    if (!rootPath) {
+      return false;
+    }
+    const relative = path.relative(path.resolve(rootPath), targetPath);
+    return (
+      relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative)
+    );
+  });
+}
@@ -0,0 +1,647 @@
+/**
+ * @fileoverview RFC 6570 URI Templates (level 4): expansion and matching.
+ *
+ * Supports every operator (`{x}`, `{+x}`, `{#x}`, `{.x}`, `{/x}`, `{;x}`,
+ * `{?x}`, `{&x}`) with multiple variables per expression, the explode (`*`)
+ * and prefix (`:n`) modifiers, and list / associative-array values.
+ *
+ * Matching is the inverse of expansion: values are percent-decoded, comma
+ * separated lists become arrays (except in a lone `{var}`, which always reads
+ * as a string), exploded key=value pairs become objects and query parameters
+ * may appear in any order. Prefixed values (`:n`) longer than their prefix do
+ * not match, and neither do simple (`{var}`) values that decode to something
+ * containing `/` or to a `.` / `..` segment — use `{+var}` for paths. Because expansion is not always
+ * reversible (e.g. `{+x}` values may contain separators), matching returns the
+ * most natural reading of the URI.
+ *
+ * @module @mcp/core/utils
+ * @see https://www.rfc-editor.org/rfc/rfc6570
+ */
+
+/**
+ * Expansion behaviour per operator (RFC 6570, Appendix A).
+ * @type {Object<string, {first: string, sep: string, named: boolean, ifemp: string, reserved: boolean}>}
+ */
+const OPERATORS = {
+  '': { first: '', sep: ',', named: false, ifemp: '', reserved: false },
+  '+': { first: '', sep: ',', named: false, ifemp: '', reserved: true },
+  '#': { first: '#', sep: ',', named: false, ifemp: '', reserved: true },
+  '.': { first: '.', sep: '.', named: false, ifemp: '', reserved: false },
+  '/': { first: '/', sep: '/', named: false, ifemp: '', reserved: false },
+  ';': { first: ';', sep: ';', named: true, ifemp: '', reserved: false },
+  '?': { first: '?', sep: '&', named: true, ifemp: '=', reserved: false },
+  '&': { first: '&', sep: '&', named: true, ifemp: '=', reserved: false },
+};
+
+/**
+ * Characters an expansion may contain for each operator when matching, and
+ * whether it may be empty.
+ * @type {Object<string, {chars: string, optional: boolean}>}
+ */
+const MATCH_PATTERNS = {
+  '': { chars: '[^/?#&]', optional: false },
+  '+': { chars: '.', optional: false },
+  '#': { chars: '.', optional: true },
+  '.': { chars: '[^/?#]', optional: true },
+  '/': { chars: '[^?#]', optional: true },
+  ';': { chars: '[^/?#]', optional: true },
+  '?': { chars: '[^#]', optional: true },
+  '&': { chars: '[^#]', optional: true },
+};
+
+/**
+ * One character of an expansion when matching: a character percent-encoded as
+ * up to four UTF-8 bytes, or a literal one.
+ * @type {string}
+ */
+const PCT_ENCODED_CHAR = '(?:%[0-9A-Fa-f]{2}){1,4}';
+
+const UNRESERVED = /^[A-Za-z0-9\-._~]$/;
+const RESERVED = /^[:/?#[\]@!$&'()*+,;=]$/;
+const PCT_TRIPLET = /^%[0-9A-Fa-f]{2}$/;
+const VARNAME = /^(?:[A-Za-z0-9_]|%[0-9A-Fa-f]{2})(?:\.?(?:[A-Za-z0-9_]|%[0-9A-Fa-f]{2}))*$/;
+
+/**
+ * A parsed RFC 6570 URI template.
+ *
+ * Instances are compatible with the SDK's `UriTemplate` (`match`, `toString`,
+ * `variableNames`), so they can be passed to `new ResourceTemplate(...)`.
+ *
+ * @example
+ * const template = new UriTemplate('file:///{+path}{?lines,encoding}');
+ * template.expand({ path: 'src/index.js', lines: [1, 20] });
+ * // → 'file:///src/index.js?lines=1,20'
+ * template.match('file:///src/index.js?encoding=utf8&lines=1,20');
+ * // → { path: 'src/index.js', lines: ['1', '20'], encoding: 'utf8' }
+ */
+export class UriTemplate {
+  /**
+   * @param {string} template - RFC 6570 URI template
+   * @throws {Error} If the template is malformed
+   */
+  constructor(template) {
+    /** @type {string} */
+    this.template = template;
+
+    /** @type {Array<string|Object>} Literal strings and parsed expressions */
+    this.parts = parseTemplate(template);
+
+    /** @type {RegExp|null} Compiled lazily by {@link UriTemplate#match} */
+    this._regex = null;
+  }
+
+  /**
+   * Names of every variable in the template, in order of appearance.
+   * @type {string[]}
+   */
+  get variableNames() {
+    return this.parts.flatMap((part) =>
+      typeof part === 'string' ? [] : part.varspecs.map((varspec) => varspec.name),
+    );
+  }
+
+  /**
+   * @returns {string} The original template string
+   */
+  toString() {
+    return this.template;
+  }
+
+  /**
+   * Expand the template with the given variables.
+   * Undefined / null variables and empty lists or objects are omitted.
+   *
+   * @param {Object<string, string|number|boolean|Array|Object>} [variables={}]
+   * @returns {string} Expanded URI
+   */
+  expand(variables = {}) {
+    return this.parts
+      .map((part) => (typeof part === 'string' ? part : expandExpression(part, variables)))
+      .join('');
+  }
+
+  /**
+   * Match a URI against the template and extract (decoded) variable values.
+   *
+   * @param {string} uri - URI to match
+   * @returns {Object<string, string|Array<string>|Object<string, string>>|null}
+   *   Variables present in the URI, or null if the URI does not match
+   */
+  match(uri) {
+    if (!this._regex) {
+      this._regex = new RegExp(`^${this.parts.map(partToPattern).join('')}$`);
+    }
+
+    const match = this._regex.exec(uri);
+    if (!match) {
+      return null;
+    }
+
+    const expressions = this.parts.filter((part) => typeof part !== 'string');
+    const variables = {};
+    try {
+      for (const [index, expression] of expressions.entries()) {
+        const raw = match[index + 1];
+        if (raw === undefined) {
+          continue;
+        }
+        const decoded = decodeExpression(expression, raw);
+        if (!decoded) {
+          return null;
+        }
+        Object.assign(variables, decoded);
+      }
+    } catch {
+      // Malformed percent-encoding — not a valid instance of this template
+      return null;
+    }
+    return variables;
+  }
+}
+
+/**
+ * Parsed templates, keyed by template string.
+ * @type {Map<string, UriTemplate>}
+ */
+const templateCache = new Map();
+
+/**
+ * Get a (cached) parsed template.
+ *
+ * @private
+ * @param {string} template
+ * @returns {UriTemplate}
+ */
+function getTemplate(template) {
+  if (!templateCache.has(template)) {
+    templateCache.set(template, new UriTemplate(template));
+  }
+  return templateCache.get(template);
+}
+
+/**
+ * Expand an RFC 6570 URI template.
+ *
+ * @example
+ * expandUriTemplate('echo://data/{format}/{name}', { format: 'json', name: 'demo' });
+ * // → 'echo://data/json/demo'
+ *
+ * @param {string} template - URI template
+ * @param {Object} [variables={}] - Variable values
+ * @returns {string} Expanded URI
+ */
+export function expandUriTemplate(template, variables = {}) {
+  return getTemplate(template).expand(variables);
+}
+
+/**
+ * Match a URI against an RFC 6570 URI template.
+ *
+ * @example
+ * matchUriTemplate('search{?q,limit}', 'search?limit=10&q=mcp%20server');
+ * // → { q: 'mcp server', limit: '10' }
+ *
+ * @param {string} template - URI template
+ * @param {string} uri - URI to match
+ * @returns {Object|null} Extracted variables, or null if the URI does not match
+ */
+export function matchUriTemplate(template, uri) {
+  return getTemplate(template).match(uri);
+}
+
+// -----------------------------------------------------------------------------
+// Parsing
+// -----------------------------------------------------------------------------
+
+/**
+ * Split a template into literal strings and expression descriptors.
+ *
+ * @private
+ * @param {string} template
+ * @returns {Array<string|{operator: string, varspecs: Array<Object>}>}
+ * @throws {Error} On unbalanced braces, unknown operators or invalid varspecs
+ */
+function parseTemplate(template) {
+  const parts = [];
+  let index = 0;
+
+  while (index < template.length) {
+    const open = template.indexOf('{', index);
+    const close = template.indexOf('}', index);
+
+    if (close !== -1 && (open === -1 || close < open)) {
+      throw new Error(`Invalid URI template (unexpected "}"): ${template}`);
+    }
+    if (open === -1) {
+      parts.push(template.slice(index));
+      break;
+    }
+    if (open > index) {
+      parts.push(template.slice(index, open));
+    }
+    if (close === -1) {
+      throw new Error(`Invalid URI template (unclosed expression): ${template}`);
+    }
+
+    parts.push(parseExpression(template.slice(open + 1, close), template));
+    index = close + 1;
+  }
+
+  return parts;
+}
+
+/**
+ * @private
+ * @param {string} body - Expression without braces, e.g. `?q,limit:3`
+ * @param {string} template - Full template (for error messages)
+ * @returns {{operator: string, varspecs: Array<{name: string, explode: boolean, prefix?: number}>}}
+ */
+function parseExpression(body, template) {
+  let operator = '';
+  if (body && '+#./;?&'.includes(body[0])) {
+    operator = body[0];
+    body = body.slice(1);
+  } else if (body && '=,!@|'.includes(body[0])) {
+    throw new Error(`Invalid URI template (reserved operator "${body[0]}"): ${template}`);
+  }
+
+  const varspecs = body.split(',').map((spec) => {
+    let name = spec;
+    let explode = false;
+    let prefix;
+
+    if (name.endsWith('*')) {
+      explode = true;
+      name = name.slice(0, -1);
+    } else if (name.includes(':')) {
+      const [varname, length] = name.split(':');
+      if (!/^[1-9][0-9]{0,3}$/.test(length)) {
+        throw new Error(`Invalid URI template (bad prefix "${spec}"): ${template}`);
+      }
+      name = varname;
+      prefix = Number(length);
+    }
+
+    if (!VARNAME.test(name)) {
+      throw new Error(`Invalid URI template (bad variable "${spec}"): ${template}`);
+    }
+    return { name, explode, prefix };
+  });
+
+  return { operator, varspecs };
+}
+
+// -----------------------------------------------------------------------------
+// Expansion
+// -----------------------------------------------------------------------------
+
+/**
+ * Percent-encode a value. Unreserved characters are always kept; reserved
+ * characters and existing percent-encoded triplets are kept when allowed.
+ *
+ * @private
+ * @param {string} value
+ * @param {boolean} allowReserved
+ * @returns {string}
+ */
+function encode(value, allowReserved) {
+  const chars = Array.from(value);
+  let result = '';
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    if (UNRESERVED.test(char) || (allowReserved && RESERVED.test(char))) {
+      result += char;
+    } else if (allowReserved && char === '%' && PCT_TRIPLET.test(chars.slice(i, i + 3).join(''))) {
+      result += chars.slice(i, i + 3).join('');
+      i += 2;
+    } else {
+      for (const byte of Buffer.from(char, 'utf8')) {
+        result += `%${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Whether a value counts as "defined" for expansion.
+ *
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isDefined(value) {
+  if (value === undefined || value === null) {
+    return false;
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (typeof value === 'object') {
+    return Object.keys(value).length > 0;
+  }
+  return true;
+}
+
+/**
+ * Expand a single expression (RFC 6570, section 3.2.1).
+ *
+ * @private
+ * @param {Object} expression - Parsed expression
+ * @param {Object} variables
+ * @returns {string}
+ */
+function expandExpression({ operator, varspecs }, variables) {
+  const op = OPERATORS[operator];
+  const expanded = [];
+
+  for (const { name, explode, prefix } of varspecs) {
+    const value = variables[name];
+    if (!isDefined(value)) {
+      continue;
+    }
+
+    if (typeof value !== 'object') {
+      let text = String(value);
+      if (prefix !== undefined) {
+        text = Array.from(text).slice(0, prefix).join('');
+      }
+      if (!op.named) {
+        expanded.push(encode(text, op.reserved));
+      } else {
+        expanded.push(text === '' ? `${name}${op.ifemp}` : `${name}=${encode(text, op.reserved)}`);
+      }
+      continue;
+    }
+
+    const entries = Array.isArray(value)
+      ? value.map((item) => [null, String(item)])
+      : Object.entries(value).map(([key, item]) => [key, String(item)]);
+
+    if (!explode) {
+      const joined = entries
+        .flatMap(([key, item]) => (key === null ? [item] : [key, item]))
+        .map((item) => encode(item, op.reserved))
+        .join(',');
+      expanded.push(op.named ? `${name}=${joined}` : joined);
+      continue;
+    }
+
+    for (const [key, item] of entries) {
+      const itemName = key === null ? (op.named ? name : null) : encode(key, op.reserved);
+      if (itemName === null) {
+        expanded.push(encode(item, op.reserved));
+      } else if (item === '' && op.named) {
+        expanded.push(`${itemName}${op.ifemp}`);
+      } else {
+        expanded.push(`${itemName}=${encode(item, op.reserved)}`);
+      }
+    }
+  }
+
+  return expanded.length > 0 ? op.first + expanded.join(op.sep) : '';
+}
+
+// -----------------------------------------------------------------------------
+// Matching
+// -----------------------------------------------------------------------------
+
+/**
+ * @private
+ * @param {string} str
+ * @returns {string} str with RegExp metacharacters escaped
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Build the regex fragment for a template part. Each expression yields exactly
+ * one capture group holding its raw expansion (without the leading operator).
+ *
+ * @private
+ * @param {string|Object} part
+ * @returns {string}
+ */
+function partToPattern(part) {
+  if (typeof part === 'string') {
+    return escapeRegExp(part);
+  }
+
+  const op = OPERATORS[part.operator];
+  const { chars, optional } = MATCH_PATTERNS[part.operator];
+  const [{ prefix }] = part.varspecs;
+  // A lone unnamed prefixed variable spans at most `prefix` characters; decoding checks the rest
+  const capture =
+    part.varspecs.length === 1 && !op.named && prefix !== undefined
+      ? `((?:${PCT_ENCODED_CHAR}|${chars}){${optional ? 0 : 1},${prefix}}?)`
+      : `(${chars}${optional ? '*?' : '+?'})`;
+  // Simple and reserved expansions must be present; prefixed ones may be omitted
+  return op.first ? `(?:${escapeRegExp(op.first)}${capture})?` : capture;
+}
+
+/**
+ * @private
+ * @param {string} value
+ * @returns {string}
+ * @throws {URIError} On malformed percent-encoding
+ */
+function decode(value) {
+  return decodeURIComponent(value);
+}
+
+/**
+ * Turn one raw expansion back into values: comma separated lists become arrays
+ * (commas inside values are always percent-encoded unless reserved expansion
+ * is used).
+ *
+ * @private
+ * @param {string} raw
+ * @param {boolean} reserved - Whether the operator allows reserved characters
+ * @returns {string|Array<string>}
+ */
+function decodeValue(raw, reserved) {
+  if (reserved || !raw.includes(',')) {
+    return decode(raw);
+  }
+  return raw.split(',').map(decode);
+}
+
+/**
+ * Split `key=value` items into an object when every item has that form.
+ *
+ * @private
+ * @param {Array<string>} items
+ * @returns {Object<string, string>|null}
+ */
+function decodePairs(items) {
+  if (items.length === 0 || !items.every((item) => item.includes('='))) {
+    return null;
+  }
+  return Object.fromEntries(
+    items.map((item) => {
+      const eq = item.indexOf('=');
+      return [decode(item.slice(0, eq)), decode(item.slice(eq + 1))];
+    }),
+  );
+}
+
+/**
+ * Decode the raw text captured for an expression into variables.
+ *
+ * @private
+ * @param {Object} expression - Parsed expression
+ * @param {string} raw - Captured text (without the leading operator character)
+ * @returns {Object|null} Variables found in this expression, or null if the text is not an
+ *   expansion of it
+ */
+function decodeExpression({ operator, varspecs }, raw) {
+  const op = OPERATORS[operator];
+  return op.named ? decodeNamed(op, varspecs, raw) : decodeUnnamed(operator, varspecs, raw);
+}
+
+/**
+ * Decode the value of a non-exploded varspec. Prefixes only apply to strings,
+ * so a prefixed value is never read as a list.
+ *
+ * @private
+ * @param {string} raw
+ * @param {{prefix?: number}} varspec
+ * @param {boolean} reserved - Whether the operator allows reserved characters
+ * @returns {string|Array<string>|null} null if the value is longer than its prefix
+ */
+function decodeVarspec(raw, { prefix }, reserved) {
+  if (prefix === undefined) {
+    return decodeValue(raw, reserved);
+  }
+  const value = decode(raw);
+  return Array.from(value).length <= prefix ? value : null;
+}
+
+/**
+ * Decode `;`, `?` and `&` expansions: `name=value` pairs in any order.
+ *
+ * @private
+ * @param {Object} op
+ * @param {Array<Object>} varspecs
+ * @param {string} raw
+ * @returns {Object|null}
+ */
+function decodeNamed(op, varspecs, raw) {
+  const pairs = raw
+    .split(op.sep)
+    .filter(Boolean)
+    .map((item) => {
+      const eq = item.indexOf('=');
+      return eq === -1 ? [decode(item), ''] : [decode(item.slice(0, eq)), item.slice(eq + 1)];
+    });
+
+  const names = new Set(varspecs.map((varspec) => varspec.name));
+  const variables = {};
+
+  for (const varspec of varspecs) {
+    const { name, explode } = varspec;
+    const values = pairs.filter(([key]) => key === name).map(([, value]) => value);
+    if (values.length === 0) {
+      continue;
+    }
+    if (!explode) {
+      variables[name] = decodeVarspec(values[0], varspec, op.reserved);
+      if (variables[name] === null) {
+        return null;
+      }
+    } else {
+      variables[name] = values.length === 1 ? decode(values[0]) : values.map(decode);
+    }
+  }
+
+  // Exploded associative arrays expand to their own keys, e.g. {?keys*} → ?a=1&b=2
+  const exploded = varspecs.find((varspec) => varspec.explode && !(varspec.name in variables));
+  const extra = pairs.filter(([key]) => !names.has(key));
+  if (exploded && extra.length > 0) {
+    variables[exploded.name] = Object.fromEntries(
+      extra.map(([key, value]) => [key, decode(value)]),
+    );
+  }
+
+  return variables;
+}
+
+/**
+ * Decode unnamed expansions (simple, `+`, `#`, `.` and `/`): values appear
+ * positionally, separated by the operator's separator. Items left over after
+ * the last variable mean the text is not an expansion of these varspecs.
+ *
+ * A lone simple variable (`{var}`) always reads as a string, as do prefixed
+ * ones: a comma in it is far more likely part of the value than a list.
+ * Simple values stay within one path segment, so that `file:///{name}` cannot
+ * be handed `../../etc/passwd` through `%2F` and `%2E`.
+ *
+ * @private
+ * @param {string} operator
+ * @param {Array<Object>} varspecs
+ * @param {string} raw
+ * @returns {Object|null}
+ */
+function decodeUnnamed(operator, varspecs, raw) {
+  const op = OPERATORS[operator];
+  if (varspecs.length === 1 && !varspecs[0].explode) {
+    const [varspec] = varspecs;
+    const value =
+      operator === '' && varspec.prefix === undefined
+        ? decode(raw)
+        : decodeVarspec(raw, varspec, op.reserved);
+    return value === null || !isSegmentSafe(operator, value) ? null : { [varspec.name]: value };
+  }
+
+  const items = raw.split(op.sep);
+  const variables = {};
+  let cursor = 0;
+
+  for (const [index, varspec] of varspecs.entries()) {
+    if (cursor >= items.length) {
+      break;
+    }
+    if (!varspec.explode) {
+      variables[varspec.name] = decodeVarspec(items[cursor++], varspec, op.reserved);
+      if (variables[varspec.name] === null) {
+        return null;
+      }
+      continue;
+    }
+
+    // An exploded variable takes every remaining item, except one per variable after it
+    const end = Math.max(cursor + 1, items.length - (varspecs.length - index - 1));
+    const taken = items.slice(cursor, end);
+    cursor = end;
+    variables[varspec.name] =
+      decodePairs(taken) || (taken.length === 1 ? decode(taken[0]) : taken.map(decode));
+  }
+
+  if (
+    cursor < items.length ||
+    !Object.values(variables).every((value) => isSegmentSafe(operator, value))
+  ) {
+    return null;
+  }
+  return variables;
+}
+
+/**
+ * Whether a decoded value may stand for a variable of the given operator:
+ * simple expansion values must not contain `/` or be a dot segment.
+ *
+ * @private
+ * @param {string} operator
+ * @param {string|Array<string>|Object<string, string>} value
+ * @returns {boolean}
+ */
+function isSegmentSafe(operator, value) {
+  if (operator !== '') {
+    return true;
+  }
+  const items = typeof value === 'string' ? [value] : Object.values(value);
+  return items.every((item) => !item.includes('/') && item !== '.' && item !== '..');
+}
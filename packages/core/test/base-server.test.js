@@ -0,0 +1,1527 @@
+/**
+ * @fileoverview Tests for BaseMCPServer, driven through an in-memory MCP client.
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import {
+  ErrorCode,
+  ListRootsRequestSchema,
+  LoggingMessageNotificationSchema,
+  ResourceUpdatedNotificationSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import {
+  BaseMCPServer,
+  ClientCapabilityError,
+  InMemoryEventStore,
+  InMemorySessionStore,
+} from '../src/index.js';
+import { FakeSamplingClient } from '../src/testing/index.js';
+
+/**
+ * Server whose handlers are registered by each test.
+ */
+class TestServer extends BaseMCPServer {
+  /**
+   * @param {Object} [config]
+   */
+  constructor(config) {
+    super({ name: 'test-server', version: '1.0.0', logLevel: 'error', ...config });
+  }
+
+  setupHandlers() {}
+}
+
+/** @type {Array<{close: Function}>} Clients to close after each test */
+const openClients = [];
+
+/** @type {BaseMCPServer[]} HTTP servers to stop after each test, once their clients are closed */
+const openServers = [];
+
+afterEach(async () => {
+  await Promise.all(openClients.splice(0).map((client) => client.close()));
+  await Promise.all(openServers.splice(0).map((server) => server.stop()));
+});
+
+/**
+ * Connect an SDK client to a server's primary instance.
+ *
+ * @param {BaseMCPServer} server
+ * @param {Object} [options] - SDK client options, e.g. `{ capabilities }`
+ * @returns {Promise<Client>}
+ */
+async function connect(server, options) {
+  const client = new Client({ name: 'test-client', version: '1.0.0' }, options);
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.server.connect(serverTransport);
+  await client.connect(clientTransport);
+  openClients.push(client);
+  return client;
+}
+
+/**
+ * Start a server over HTTP on a free port.
+ *
+ * @param {BaseMCPServer} server - Server configured with `transport: 'http', port: 0`
+ * @returns {Promise<URL>} URL of its `/mcp` endpoint
+ */
+async function startHttp(server) {
+  await server.start();
+  openServers.push(server);
+  return new URL(`http://localhost:${server.httpServer.address().port}/mcp`);
+}
+
+/**
+ * Connect an SDK client to a server's `/mcp` endpoint over streamable HTTP.
+ *
+ * @param {URL} url
+ * @param {Object<string, string>} [headers] - Headers sent with every request
+ * @returns {Promise<Client>}
+ */
+async function connectHttp(url, headers) {
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  await client.connect(new StreamableHTTPClientTransport(url, { requestInit: { headers } }));
+  openClients.push(client);
+  return client;
+}
+
+/**
+ * Connect a {@link FakeSamplingClient} to a server's primary instance.
+ *
+ * @param {BaseMCPServer} server
+ * @param {Object} [options] - FakeSamplingClient options
+ * @returns {Promise<FakeSamplingClient>}
+ */
+async function connectFake(server, options) {
+  const client = new FakeSamplingClient(options);
+  await client.connect(server);
+  openClients.push(client);
+  return client;
+}
+
+/**
+ * Register `handler` as the only tool of a fresh server and connect a
+ * {@link FakeSamplingClient} to it; call it with `client.callTool('tool')`.
+ *
+ * @param {Function} handler - Tool handler `(params, context) => CallToolResult`
+ * @param {Object} [options] - FakeSamplingClient options
+ * @returns {Promise<FakeSamplingClient>}
+ */
+async function connectFakeTool(handler, options) {
+  const server = new TestServer();
+  server.registerTool(tool({ handler }));
+  return connectFake(server, options);
+}
+
+/**
+ * Minimal tool definition.
+ *
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+function tool(overrides = {}) {
+  return {
+    name: 'tool',
+    description: 'Test tool',
+    inputSchema: { type: 'object', properties: {} },
+    handler: async () => ({ content: [{ type: 'text', text: 'ok' }] }),
+    ...overrides,
+  };
+}
+
+describe('registerTool', () => {
+  it('lists the same input schema it enforces', async () => {
+    const server = new TestServer();
+    server.registerTool(
+      tool({
+        inputSchema: {
+          type: 'object',
+          properties: { name: { $ref: '#/$defs/name' } },
+          required: ['name'],
+          $defs: { name: { type: 'string', maxLength: 3 } },
+        },
+      }),
+    );
+    const client = await connect(server);
+
+    const { tools } = await client.listTools();
+    assert.deepEqual(tools[0].inputSchema.required, ['name']);
+    assert.equal(tools[0].inputSchema.properties.name.maxLength, 3);
+
+    const invalid = await client.callTool({ name: 'tool', arguments: { name: 'abcd' } });
+    assert.equal(invalid.isError, true);
+    assert.match(invalid.content[0].text, /Input validation error/);
+    const result = await client.callTool({ name: 'tool', arguments: { name: 'abc' } });
+    assert.equal(result.content[0].text, 'ok');
+  });
+
+  for (const [keyword, inputSchema] of [
+    ['allOf', { allOf: [{ type: 'object', required: ['a'] }, { required: ['b'] }] }],
+    ['anyOf', { anyOf: [{ type: 'object' }, { type: 'object', properties: {} }] }],
+    ['oneOf', { oneOf: [{ type: 'object', required: ['a'] }, { type: 'object' }] }],
+    ['not', { type: 'object', properties: {}, not: { required: ['a'] } }],
+    ['default', { type: 'object', properties: {}, default: {} }],
+  ]) {
+    it(`rejects a root-level ${keyword} input schema`, () => {
+      const server = new TestServer();
+      assert.throws(() => server.registerTool(tool({ inputSchema })), /plain object schema/);
+      assert.equal(server.tools.size, 0);
+    });
+  }
+});
+
+describe('client logging', () => {
+  /**
+   * Connect an HTTP client that collects the log notifications it receives.
+   *
+   * @param {URL} url
+   * @returns {Promise<{client: Client, received: Object[], next: Promise<Object>}>}
+   */
+  async function logClient(url) {
+    const client = await connectHttp(url);
+    const received = [];
+    let resolve;
+    const next = new Promise((r) => (resolve = r));
+    client.setNotificationHandler(LoggingMessageNotificationSchema, ({ params }) => {
+      received.push(params);
+      resolve(params);
+    });
+    await client.setLoggingLevel('error');
+    return { client, received, next };
+  }
+
+  it('forwards only entries for the receiving session, without stack traces', async () => {
+    const server = new TestServer({ transport: 'http', port: 0, capabilities: { logging: {} } });
+    const url = await startHttp(server);
+    const alice = await logClient(url);
+    const bob = await logClient(url);
+
+    server.logger.error('For bob', { sessionId: bob.client.transport.sessionId });
+    server.logger.error('For alice', {
+      sessionId: alice.client.transport.sessionId,
+      stack: 'Error: denied\n    at handler',
+    });
+    await Promise.all([alice.next, bob.next]);
+
+    assert.deepEqual(
+      alice.received.map(({ data }) => data.message),
+      ['For alice'],
+    );
+    assert.equal(alice.received[0].data.stack, undefined);
+    assert.deepEqual(
+      bob.received.map(({ data }) => data.message),
+      ['For bob'],
+    );
+  });
+
+  it('stops forwarding below the level the client set', async () => {
+    const server = new TestServer({ transport: 'http', port: 0, capabilities: { logging: {} } });
+    const url = await startHttp(server);
+    const { client, received, next } = await logClient(url);
+    const sessionId = client.transport.sessionId;
+
+    await client.setLoggingLevel('critical');
+    server.logger.error('Too quiet', { sessionId });
+    await client.setLoggingLevel('error');
+    server.logger.error('Loud enough', { sessionId });
+    await next;
+
+    assert.deepEqual(
+      received.map(({ data }) => data.message),
+      ['Loud enough'],
+    );
+  });
+});
+
+describe('access control', () => {
+  const alice = { 'x-api-key': 'alice-key' };
+  const bob = { 'x-api-key': 'bob-key' };
+
+  /**
+   * HTTP server with an admin-only tool and resource next to public ones;
+   * alice is an admin, bob is not.
+   *
+   * @returns {Promise<URL>}
+   */
+  async function accessServer() {
+    const server = new TestServer({
+      transport: 'http',
+      port: 0,
+      capabilities: { tools: {}, resources: {}, prompts: {} },
+      auth: {
+        apiKeys: [
+          { key: 'alice-key', id: 'alice', roles: ['admin'] },
+          { key: 'bob-key', id: 'bob' },
+        ],
+      },
+    });
+    server.registerTool(tool({ name: 'public' }));
+    server.registerTool(tool({ name: 'admin', access: { roles: ['admin'] } }));
+    for (const [uri, access] of [
+      ['test://public', undefined],
+      ['test://admin', { roles: ['admin'] }],
+    ]) {
+      server.registerResource({
+        uri,
+        name: uri,
+        description: uri,
+        access,
+        handler: async () => ({ contents: [{ uri, text: uri }] }),
+      });
+    }
+    server.registerPrompt({
+      name: 'audit',
+      description: 'Audit the admin resource',
+      messages: [
+        { role: 'user', content: { type: 'resource', resource: { uri: 'test://admin' } } },
+      ],
+    });
+    return startHttp(server);
+  }
+
+  it('lists only the items the principal may access', async () => {
+    const url = await accessServer();
+
+    for (const [headers, expected] of [
+      [alice, ['public', 'admin']],
+      [bob, ['public']],
+    ]) {
+      const client = await connectHttp(url, headers);
+      const { tools } = await client.listTools();
+      const { resources } = await client.listResources();
+      assert.deepEqual(
+        tools.map(({ name }) => name),
+        expected,
+      );
+      assert.deepEqual(
+        resources.map(({ uri }) => uri),
+        expected.map((name) => `test://${name}`),
+      );
+    }
+  });
+
+  it('denies calls, reads and prompt resources with -32003', async () => {
+    const url = await accessServer();
+    const client = await connectHttp(url, bob);
+    const forbidden = { code: -32003, message: /Forbidden/ };
+
+    await assert.rejects(client.callTool({ name: 'admin', arguments: {} }), forbidden);
+    await assert.rejects(client.readResource({ uri: 'test://admin' }), forbidden);
+    await assert.rejects(client.getPrompt({ name: 'audit' }), forbidden);
+
+    const admin = await connectHttp(url, alice);
+    const { messages } = await admin.getPrompt({ name: 'audit' });
+    assert.equal(messages[0].content.resource.text, 'test://admin');
+  });
+
+  it('leaves inaccessible items out of /info', async () => {
+    const url = await accessServer();
+    const info = async (headers) => (await fetch(new URL('/info', url), { headers })).json();
+
+    for (const headers of [undefined, bob]) {
+      const { tools, resources } = await info(headers);
+      assert.deepEqual(
+        tools.map(({ name }) => name),
+        ['public'],
+      );
+      assert.deepEqual(
+        resources.map(({ uri }) => uri),
+        ['test://public'],
+      );
+    }
+  });
+});
+
+describe('rate limiting', () => {
+  const slow = { capacity: 1, refillRate: 0.001 };
+
+  it('keeps separate tool quotas per client', async () => {
+    const server = new TestServer({
+      transport: 'http',
+      port: 0,
+      auth: {
+        apiKeys: [
+          { key: 'alice-key', id: 'alice' },
+          { key: 'bob-key', id: 'bob' },
+        ],
+      },
+      rateLimit: { tools: { '*': slow } },
+    });
+    server.registerTool(tool());
+    const url = await startHttp(server);
+    const alice = await connectHttp(url, { 'x-api-key': 'alice-key' });
+    const bob = await connectHttp(url, { 'x-api-key': 'bob-key' });
+
+    assert.equal((await alice.callTool({ name: 'tool', arguments: {} })).isError, undefined);
+    const limited = await alice.callTool({ name: 'tool', arguments: {} });
+    assert.equal(limited.isError, true);
+    assert.match(limited.content[0].text, /Rate limit exceeded for tool tool/);
+    assert.equal((await bob.callTool({ name: 'tool', arguments: {} })).isError, undefined);
+  });
+
+  it('passes limited tool calls through the middleware', async () => {
+    const server = new TestServer({ rateLimit: { tools: { tool: slow } } });
+    server.registerTool(tool());
+    const seen = [];
+    server.use(async (ctx, next) => {
+      try {
+        return await next();
+      } catch (error) {
+        seen.push(error.message);
+        throw error;
+      }
+    });
+    const client = await connect(server);
+
+    await client.callTool({ name: 'tool', arguments: {} });
+    const result = await client.callTool({ name: 'tool', arguments: {} });
+    assert.equal(result.isError, true);
+    assert.equal(seen.length, 1);
+    assert.match(seen[0], /Rate limit exceeded/);
+  });
+
+  it('limits live sessions, but gives unknown session IDs no bucket', async () => {
+    const server = new TestServer({
+      transport: 'http',
+      port: 0,
+      rateLimit: { perSession: { capacity: 2, refillRate: 0.001 } },
+    });
+    const url = await startHttp(server);
+
+    for (const sessionId of ['made-up-1', 'made-up-2']) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          accept: 'application/json, text/event-stream',
+          'mcp-session-id': sessionId,
+        },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' }),
+      });
+      assert.notEqual(response.status, 429);
+    }
+    assert.equal(server.rateLimiter.getStats().buckets.session, 0);
+
+    const client = await connectHttp(url);
+    await assert.rejects(async () => {
+      for (let i = 0; i < 3; i++) {
+        await client.ping();
+      }
+    }, /Too Many Requests: session rate limit exceeded/);
+  });
+
+  it('limits sessions rehydrated from the session store', async () => {
+    const sessionStore = new InMemorySessionStore();
+    const origin = new TestServer({ transport: 'http', port: 0, sessionStore });
+    const limited = new TestServer({
+      transport: 'http',
+      port: 0,
+      sessionStore,
+      rateLimit: { perSession: { capacity: 1, refillRate: 0.001 } },
+    });
+    const [originUrl, limitedUrl] = [await startHttp(origin), await startHttp(limited)];
+
+    /**
+     * @param {URL} url
+     * @param {Object} message - JSON-RPC message
+     * @param {string} [sessionId]
+     * @returns {Promise<Response>} Response, with its body read
+     */
+    async function post(url, message, sessionId) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          accept: 'application/json, text/event-stream',
+          ...(sessionId && { 'mcp-session-id': sessionId }),
+        },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, ...message }),
+      });
+      await response.text();
+      return response;
+    }
+
+    const initialized = await post(originUrl, {
+      method: 'initialize',
+      params: {
+        protocolVersion: '2025-06-18',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' },
+      },
+    });
+    const sessionId = initialized.headers.get('mcp-session-id');
+
+    assert.equal((await post(limitedUrl, { method: 'ping' }, sessionId)).status, 200);
+    assert.equal(limited.getSessionStats().rehydrated, 1);
+    assert.equal((await post(limitedUrl, { method: 'ping' }, sessionId)).status, 429);
+  });
+});
+
+describe('plugins', () => {
+  /**
+   * Plugin whose setup records its name in `order`.
+   *
+   * @param {string} name
+   * @param {string[]} order
+   * @param {Object} [overrides]
+   * @returns {Object}
+   */
+  function plugin(name, order, overrides = {}) {
+    return { name, version: '1.0.0', setup: () => order.push(name), ...overrides };
+  }
+
+  it('qualifies names and URIs with the namespace', async () => {
+    const stats = {
+      name: 'stats',
+      version: '1.0.0',
+      setup(server) {
+        server.registerTool(tool({ name: 'count' }));
+        server.registerResource({
+          uri: 'stats://calls',
+          name: 'calls',
+          description: 'Calls',
+          handler: async (uri) => ({ contents: [{ uri, text: '1' }] }),
+        });
+        server.registerResourceTemplate({
+          uriTemplate: 'stats://tools/{name}',
+          name: 'tool stats',
+          description: 'Per tool',
+          list: async () => [{ uri: 'stats://tools/count' }],
+          handler: async (uri, { name }) => ({ contents: [{ uri, text: name }] }),
+        });
+        server.registerPrompt({ name: 'report', description: 'Report', messages: [] });
+      },
+    };
+    const server = new TestServer({
+      capabilities: { tools: {}, resources: {}, prompts: {} },
+      plugins: [[stats, { namespace: 'metrics' }]],
+    });
+    const client = await connect(server);
+
+    const { tools } = await client.listTools();
+    const { resources } = await client.listResources();
+    const { resourceTemplates } = await client.listResourceTemplates();
+    const { prompts } = await client.listPrompts();
+    assert.deepEqual(
+      tools.map(({ name }) => name),
+      ['metrics_count'],
+    );
+    assert.deepEqual(
+      resources.map(({ uri }) => uri),
+      ['stats://metrics/calls', 'stats://metrics/tools/count'],
+    );
+    assert.equal(resourceTemplates[0].uriTemplate, 'stats://metrics/tools/{name}');
+    assert.equal(prompts[0].name, 'metrics_report');
+    const { contents } = await client.readResource({ uri: 'stats://metrics/tools/count' });
+    assert.equal(contents[0].text, 'count');
+    assert.deepEqual(server.getPlugins(), [
+      { name: 'stats', version: '1.0.0', namespace: 'metrics' },
+    ]);
+  });
+
+  it('sets up plugins after their dependencies', () => {
+    const order = [];
+    new TestServer({
+      plugins: [
+        plugin('app', order, { dependencies: ['auth', 'db'] }),
+        plugin('auth', order, { dependencies: ['db'] }),
+        plugin('db', order),
+      ],
+    });
+
+    assert.deepEqual(order, ['db', 'auth', 'app']);
+  });
+
+  it('rejects dependency cycles and missing dependencies', () => {
+    const order = [];
+    assert.throws(
+      () =>
+        new TestServer({
+          plugins: [
+            plugin('a', order, { dependencies: ['b'] }),
+            plugin('b', order, { dependencies: ['a'] }),
+          ],
+        }),
+      /Plugin dependency cycle: a -> b -> a/,
+    );
+    assert.throws(
+      () => new TestServer({ plugins: [plugin('a', order, { dependencies: ['db'] })] }),
+      /Plugin a depends on db, which is not registered/,
+    );
+
+    const server = new TestServer();
+    assert.throws(
+      () => server.registerPlugin(plugin('late', order, { dependencies: ['db'] })),
+      /Plugin late depends on db, which is not registered/,
+    );
+    assert.deepEqual(order, []);
+    assert.deepEqual(server.getPlugins(), []);
+  });
+
+  it('validates options against optionsSchema and applies its defaults', () => {
+    let received;
+    const configurable = {
+      name: 'configurable',
+      version: '1.0.0',
+      optionsSchema: {
+        type: 'object',
+        properties: {
+          maxLength: { type: 'integer', minimum: 1 },
+          mode: { type: 'string', default: 'strict' },
+        },
+        required: ['maxLength'],
+      },
+      setup: (server, options) => {
+        received = options;
+      },
+    };
+    const server = new TestServer();
+
+    assert.throws(
+      () => server.registerPlugin(configurable, { options: { maxLength: 0 } }),
+      /Invalid options for plugin configurable: maxLength: /,
+    );
+    assert.deepEqual(server.getPlugins(), []);
+
+    server.registerPlugin(configurable, { options: { maxLength: 10 } });
+    assert.deepEqual(received, { maxLength: 10, mode: 'strict' });
+  });
+
+  it('rolls back what a failing setup registered', async () => {
+    const server = new TestServer();
+    server.registerTool(tool({ name: 'shared', description: 'Original' }));
+    const intercepted = [];
+    const broken = {
+      name: 'broken',
+      version: '1.0.0',
+      setup(plugin) {
+        plugin.registerTool(tool({ name: 'added' }));
+        plugin.registerTool(tool({ name: 'shared', description: 'Replaced' }));
+        plugin.use(async (ctx, next) => {
+          intercepted.push(ctx.name);
+          return next();
+        });
+        throw new Error('setup failed');
+      },
+    };
+    const client = await connect(server);
+
+    assert.throws(() => server.registerPlugin(broken), /setup failed/);
+    const { tools } = await client.listTools();
+    assert.deepEqual(
+      tools.map(({ name, description }) => [name, description]),
+      [['shared', 'Original']],
+    );
+    await client.callTool({ name: 'shared', arguments: {} });
+    assert.deepEqual(intercepted, []);
+    assert.deepEqual(server.getPlugins(), []);
+  });
+});
+
+describe('prompts', () => {
+  /**
+   * Server with a `summarize` prompt that embeds a resource and fills an argument.
+   *
+   * @returns {TestServer}
+   */
+  function promptServer() {
+    const server = new TestServer({
+      capabilities: { prompts: {}, resources: {}, completions: {} },
+    });
+    server.registerResource({
+      uri: 'docs://readme',
+      name: 'readme',
+      description: 'Readme',
+      handler: async (uri) => ({ contents: [{ uri, text: 'Read me' }] }),
+    });
+    server.registerPrompt({
+      name: 'summarize',
+      description: 'Summarize a document',
+      arguments: [
+        { name: 'style', description: 'Summary style', required: true, complete: ['brief'] },
+      ],
+      messages: [
+        { role: 'user', content: { type: 'resource', resource: { uri: 'docs://readme' } } },
+        { role: 'user', content: 'Summarize the document above in a {{style}} style.' },
+      ],
+    });
+    return server;
+  }
+
+  it('lists prompts with their arguments', async () => {
+    const client = await connect(promptServer());
+
+    const { prompts } = await client.listPrompts();
+    assert.equal(prompts[0].name, 'summarize');
+    assert.deepEqual(prompts[0].arguments, [
+      { name: 'style', description: 'Summary style', required: true },
+    ]);
+  });
+
+  it('fills message templates and embeds referenced resources', async () => {
+    const client = await connect(promptServer());
+
+    const { messages } = await client.getPrompt({
+      name: 'summarize',
+      arguments: { style: 'brief' },
+    });
+    assert.deepEqual(messages[0].content.resource, { uri: 'docs://readme', text: 'Read me' });
+    assert.deepEqual(messages[1].content, {
+      type: 'text',
+      text: 'Summarize the document above in a brief style.',
+    });
+  });
+
+  it('rejects a missing required argument', async () => {
+    const client = await connect(promptServer());
+
+    await assert.rejects(client.getPrompt({ name: 'summarize', arguments: {} }), {
+      code: ErrorCode.InvalidParams,
+    });
+  });
+
+  it('reports only the public argument fields in /info', () => {
+    const { prompts } = promptServer().getInfo();
+    assert.deepEqual(prompts[0].arguments, [
+      { name: 'style', description: 'Summary style', required: true },
+    ]);
+  });
+});
+
+describe('use', () => {
+  it('runs rpc middleware around handlers the SDK installs after startup', async () => {
+    // Without a declared completions capability, the SDK installs the
+    // completion/complete handler when the prompt is attached
+    class PromptServer extends TestServer {
+      setupHandlers() {
+        this.registerPrompt({
+          name: 'greet',
+          description: 'Greet someone',
+          arguments: [{ name: 'name', complete: ['alice', 'bob'] }],
+          messages: [{ role: 'user', content: 'Hello {{name}}' }],
+        });
+      }
+    }
+    const server = new PromptServer({ capabilities: { prompts: {} } });
+    const methods = [];
+    server.use(
+      async (ctx, next) => {
+        methods.push(ctx.method);
+        return next();
+      },
+      { rpc: true },
+    );
+    const client = await connect(server);
+
+    const { completion } = await client.complete({
+      ref: { type: 'ref/prompt', name: 'greet' },
+      argument: { name: 'name', value: 'a' },
+    });
+    assert.deepEqual(completion.values, ['alice']);
+    assert.ok(methods.includes('completion/complete'));
+  });
+});
+
+describe('runtime registration', () => {
+  it('throws before changing anything when the capability is not declared', async () => {
+    const server = new TestServer({ capabilities: { tools: {} } });
+    const client = await connect(server);
+
+    assert.throws(
+      () => server.registerPrompt({ name: 'greet', description: 'Greet', messages: [] }),
+      /does not declare the prompts capability/,
+    );
+    assert.throws(
+      () =>
+        server.registerResource({
+          uri: 'test://a',
+          name: 'a',
+          description: 'A',
+          handler: async () => ({ contents: [] }),
+        }),
+      /does not declare the resources capability/,
+    );
+    assert.equal(server.prompts.size, 0);
+    assert.equal(server.resources.size, 0);
+
+    server.registerTool(tool());
+    const { tools } = await client.listTools();
+    assert.deepEqual(
+      tools.map(({ name }) => name),
+      ['tool'],
+    );
+  });
+
+  it('requires completions for prompts with completable arguments', async () => {
+    const server = new TestServer({ capabilities: { prompts: {} } });
+    await connect(server);
+
+    assert.throws(
+      () =>
+        server.registerPrompt({
+          name: 'greet',
+          description: 'Greet',
+          arguments: [{ name: 'name', complete: ['alice'] }],
+          messages: [],
+        }),
+      /does not declare the completions capability/,
+    );
+    assert.equal(server.prompts.size, 0);
+  });
+});
+
+describe('resumable streams', () => {
+  const headers = {
+    'content-type': 'application/json',
+    accept: 'application/json, text/event-stream',
+  };
+
+  /**
+   * Initialize a session with plain requests, so no standalone SSE stream is open.
+   *
+   * @param {URL} url
+   * @returns {Promise<string>} Session ID
+   */
+  async function openSession(url) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: {
+          protocolVersion: '2025-06-18',
+          capabilities: {},
+          clientInfo: { name: 'raw-client', version: '1.0.0' },
+        },
+      }),
+    });
+    await response.text();
+    return response.headers.get('mcp-session-id');
+  }
+
+  it("replays a session's own stream but refuses another session's", async () => {
+    const eventStore = new InMemoryEventStore();
+    const url = await startHttp(new TestServer({ transport: 'http', port: 0, eventStore }));
+    const [own, other] = [await openSession(url), await openSession(url)];
+    await eventStore.storeEvent(`${own}/_GET_stream`, {});
+    const lastEventId = await eventStore.storeEvent(`${own}/_GET_stream`, {
+      jsonrpc: '2.0',
+      method: 'notifications/message',
+      params: { level: 'info', data: 'missed' },
+    });
+    const resume = (sessionId, eventId) =>
+      fetch(url, {
+        headers: { ...headers, 'mcp-session-id': sessionId, 'last-event-id': eventId },
+      });
+
+    const refused = await resume(other, lastEventId);
+    assert.equal(refused.status, 400);
+    await refused.text();
+
+    const resumed = await resume(own, `${own}/_GET_stream_1`);
+    assert.equal(resumed.status, 200);
+    const reader = resumed.body.getReader();
+    const { value } = await reader.read();
+    await reader.cancel();
+    assert.match(new TextDecoder().decode(value), new RegExp(`id: ${lastEventId}\\n[^]*"missed"`));
+  });
+});
+
+describe('session rehydration', () => {
+  // Rehydration sets private SDK fields (see _restoreSessionState); this fails
+  // if an SDK upgrade moves them
+  it('resumes a session with its capabilities, subscriptions and log level', async () => {
+    const sessionStore = new InMemorySessionStore();
+    const servers = [0, 1].map(() => {
+      const server = new TestServer({
+        transport: 'http',
+        port: 0,
+        sessionStore,
+        capabilities: { tools: {}, resources: {}, logging: {} },
+      });
+      server.registerResource({
+        uri: 'test://status',
+        name: 'status',
+        description: 'Status',
+        handler: async (uri) => ({ contents: [{ uri, text: 'ok' }] }),
+      });
+      server.registerTool(
+        tool({
+          name: 'roots',
+          handler: async (params, { listRoots }) => ({
+            content: [{ type: 'text', text: (await listRoots()).map(({ uri }) => uri).join() }],
+          }),
+        }),
+      );
+      return server;
+    });
+    await Promise.all(servers.map((server) => server.start()));
+    const urls = servers.map(
+      (server) => new URL(`http://localhost:${server.httpServer.address().port}/mcp`),
+    );
+
+    try {
+      const clients = [];
+      for (const url of urls) {
+        const client = new Client(
+          { name: 'test-client', version: '1.0.0' },
+          { capabilities: { roots: {} } },
+        );
+        client.setRequestHandler(ListRootsRequestSchema, () => ({
+          roots: [{ uri: 'file:///workspace' }],
+        }));
+        const sessionId = clients[0]?.transport.sessionId;
+        await client.connect(new StreamableHTTPClientTransport(url, { sessionId }));
+        openClients.push(client);
+        clients.push(client);
+      }
+
+      await clients[0].subscribeResource({ uri: 'test://status' });
+      await clients[0].setLoggingLevel('error');
+
+      const result = await clients[1].callTool({ name: 'roots', arguments: {} });
+      const { sessionId } = clients[1].transport;
+      assert.equal(sessionId, clients[0].transport.sessionId);
+      assert.equal(result.content[0].text, 'file:///workspace');
+      assert.equal(servers[1].getSessionStats().rehydrated, 1);
+
+      // The resumed client has no standalone stream on the second server; read one directly
+      const stream = await fetch(urls[1], {
+        headers: { accept: 'text/event-stream', 'mcp-session-id': sessionId },
+      });
+      const reader = stream.body.pipeThrough(new TextDecoderStream()).getReader();
+      assert.equal(await servers[1].notifyResourceUpdated('test://status'), 1);
+      servers[1].logger.error('Disk almost full', { sessionId });
+      let received = '';
+      while (!received.includes('Disk almost full')) {
+        received += (await reader.read()).value;
+      }
+      await reader.cancel();
+      assert.match(
+        received,
+        /"method":"notifications\/resources\/updated".*"uri":"test:\/\/status"/,
+      );
+    } finally {
+      await Promise.all(servers.map((server) => server.stop()));
+    }
+  });
+});
+
+describe('context.sample', () => {
+  /**
+   * Handler that samples the client and returns the completion, or a fallback
+   * when the client cannot sample.
+   *
+   * @param {Object} [options] - Options passed to `context.sample()`
+   * @returns {Function}
+   */
+  function ask(options) {
+    return async (params, { sample }) => {
+      try {
+        const result = await sample(
+          { messages: [{ role: 'user', content: 'Summarize this' }], maxTokens: 50 },
+          options,
+        );
+        return { content: [{ type: 'text', text: result.content.text }] };
+      } catch (error) {
+        if (error instanceof ClientCapabilityError) {
+          return { content: [{ type: 'text', text: `Fallback: no ${error.capability}` }] };
+        }
+        throw error;
+      }
+    };
+  }
+
+  it('returns the completion from the client', async () => {
+    const client = await connectFakeTool(ask(), { respond: 'A summary' });
+
+    const result = await client.callTool('tool');
+    assert.equal(result.content[0].text, 'A summary');
+    assert.equal(client.requests.length, 1);
+    assert.equal(client.requests[0].maxTokens, 50);
+    assert.deepEqual(client.requests[0].messages[0].content, {
+      type: 'text',
+      text: 'Summarize this',
+    });
+  });
+
+  it('throws ClientCapabilityError when the client cannot sample', async () => {
+    const client = await connectFakeTool(ask(), { capabilities: {} });
+
+    const result = await client.callTool('tool');
+    assert.equal(result.content[0].text, 'Fallback: no sampling');
+    assert.equal(client.requests.length, 0);
+  });
+
+  it('times out when the client does not answer', async () => {
+    const client = await connectFakeTool(ask({ timeoutMs: 50 }), {
+      respond: () => new Promise(() => {}),
+    });
+
+    const result = await client.callTool('tool');
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /Request timed out/);
+    assert.equal(client.requests.length, 1);
+  });
+});
+
+describe('context.elicit', () => {
+  /**
+   * Handler that elicits a confirmation and returns what `context.elicit()` resolved to.
+   *
+   * @returns {Function}
+   */
+  function confirm() {
+    return async (params, { elicit }) => {
+      const result = await elicit({
+        message: 'Delete the files?',
+        requestedSchema: {
+          type: 'object',
+          properties: {
+            confirm: { type: 'boolean' },
+            reason: { type: 'string', default: 'none given' },
+          },
+          required: ['confirm'],
+        },
+      });
+      return { content: [{ type: 'text', text: JSON.stringify(result) }] };
+    };
+  }
+
+  it('returns accepted content with schema defaults applied', async () => {
+    const client = await connectFakeTool(confirm(), {
+      elicit: { action: 'accept', content: { confirm: true } },
+    });
+
+    const result = await client.callTool('tool');
+    assert.deepEqual(JSON.parse(result.content[0].text), {
+      action: 'accept',
+      content: { confirm: true, reason: 'none given' },
+    });
+    assert.equal(client.elicitations[0].message, 'Delete the files?');
+  });
+
+  it('returns a decline without content', async () => {
+    const client = await connectFakeTool(confirm(), { elicit: { action: 'decline' } });
+
+    const result = await client.callTool('tool');
+    assert.deepEqual(JSON.parse(result.content[0].text), { action: 'decline' });
+  });
+
+  it('rejects accepted content that does not match the schema', async () => {
+    const client = await connectFakeTool(confirm(), {
+      elicit: { action: 'accept', content: { confirm: 'yes' } },
+    });
+
+    const result = await client.callTool('tool');
+    assert.equal(result.isError, true);
+    assert.equal(
+      result.content[0].text,
+      'Error: Elicitation response does not match the requested schema: ' +
+        'confirm: Expected boolean, received string',
+    );
+  });
+});
+
+describe('resources/subscribe', () => {
+  /**
+   * Connect a client to a server with a status resource and a file template;
+   * `updated` collects the URIs of received `notifications/resources/updated`.
+   *
+   * @returns {Promise<{server: TestServer, client: Client, updated: string[]}>}
+   */
+  async function subscribeServer() {
+    const server = new TestServer({ capabilities: { resources: { subscribe: true } } });
+    server.registerResource({
+      uri: 'test://status',
+      name: 'status',
+      description: 'Status',
+      handler: async (uri) => ({ contents: [{ uri, text: 'ok' }] }),
+    });
+    server.registerResourceTemplate({
+      uriTemplate: 'file:///{+path}',
+      name: 'file',
+      description: 'File',
+      handler: async (uri) => ({ contents: [{ uri: uri.href, text: '' }] }),
+    });
+    const client = await connect(server);
+    const updated = [];
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, ({ params }) => {
+      updated.push(params.uri);
+    });
+    return { server, client, updated };
+  }
+
+  it('notifies only subscribed resources until unsubscribed', async () => {
+    const { server, client, updated } = await subscribeServer();
+    await client.subscribeResource({ uri: 'test://status' });
+
+    assert.equal(await server.notifyResourceUpdated('test://status'), 1);
+    assert.equal(await server.notifyResourceUpdated('file:///a.txt'), 0);
+    await client.unsubscribeResource({ uri: 'test://status' });
+    assert.equal(await server.notifyResourceUpdated('test://status'), 0);
+    await client.ping();
+
+    assert.deepEqual(updated, ['test://status']);
+  });
+
+  it('notifies every subscription matching a template', async () => {
+    const { server, client, updated } = await subscribeServer();
+    for (const uri of ['file:///a.txt', 'file:///docs/b.md', 'test://status']) {
+      await client.subscribeResource({ uri });
+    }
+
+    assert.equal(await server.notifyResourceUpdated('file:///{+path}'), 2);
+    await client.ping();
+
+    assert.deepEqual(updated, ['file:///a.txt', 'file:///docs/b.md']);
+  });
+
+  it('rejects unknown URIs with an unprefixed message', async () => {
+    const server = new TestServer({ capabilities: { resources: {} } });
+    const client = await connect(server);
+
+    await assert.rejects(client.subscribeResource({ uri: 'test://missing' }), {
+      code: ErrorCode.InvalidParams,
+      message: 'MCP error -32602: Resource test://missing not found',
+    });
+  });
+});
+
+describe('client roots', () => {
+  /**
+   * Server with a tool that reports whether `params.path` lies within the
+   * client's roots, connected to a client granting `roots`.
+   *
+   * @param {Array<{uri: string}>} roots - Roots the client answers `roots/list` with
+   * @returns {Promise<{server: TestServer, client: Client, requests: Object[]}>}
+   */
+  async function rootsServer(roots) {
+    const server = new TestServer();
+    server.registerTool(
+      tool({
+        inputSchema: { type: 'object', properties: { path: { type: 'string' } } },
+        handler: async ({ path }, { isWithinRoots }) => ({
+          content: [{ type: 'text', text: String(await isWithinRoots(path)) }],
+        }),
+      }),
+    );
+    const client = await connect(server, { capabilities: { roots: { listChanged: true } } });
+    const requests = [];
+    client.setRequestHandler(ListRootsRequestSchema, (request) => {
+      requests.push(request);
+      return { roots };
+    });
+    return { server, client, requests };
+  }
+
+  /**
+   * @param {Client} client
+   * @param {string} path
+   * @returns {Promise<string>} The tool's answer
+   */
+  async function check(client, path) {
+    const result = await client.callTool({ name: 'tool', arguments: { path } });
+    return result.content[0].text;
+  }
+
+  it('checks paths against the client roots', async () => {
+    const { client } = await rootsServer([{ uri: 'file:///workspace/project', name: 'project' }]);
+
+    assert.equal(await check(client, '/workspace/project'), 'true');
+    assert.equal(await check(client, '/workspace/project/src/index.js'), 'true');
+    assert.equal(await check(client, 'file:///workspace/project/README.md'), 'true');
+    assert.equal(await check(client, '/workspace/project/../secrets'), 'false');
+    assert.equal(await check(client, '/workspace/project-old/file'), 'false');
+  });
+
+  it('caches the roots until the client reports a change', async () => {
+    const { server, client, requests } = await rootsServer([{ uri: 'file:///workspace' }]);
+    const changed = new Promise((resolve) => {
+      server.onRootsListChanged = resolve;
+    });
+
+    assert.deepEqual(await server.listRoots(), [{ uri: 'file:///workspace' }]);
+    await check(client, '/workspace/a');
+    assert.equal(requests.length, 1);
+
+    await client.sendRootsListChanged();
+    await changed;
+    await check(client, '/workspace/a');
+    assert.equal(requests.length, 2);
+  });
+
+  it('throws ClientCapabilityError when the client has no roots', async () => {
+    const server = new TestServer();
+    await connect(server);
+
+    await assert.rejects(server.listRoots(), ClientCapabilityError);
+    await assert.rejects(server.listRoots('missing'), /Unknown session: missing/);
+  });
+});
+
+describe('progress notifications', () => {
+  /**
+   * Connect a client to a server whose tool reports progress in quick succession.
+   *
+   * @returns {Promise<Client>}
+   */
+  async function progressClient() {
+    const server = new TestServer();
+    server.registerTool(
+      tool({
+        handler: async (params, { reportProgress }) => {
+          await reportProgress(1, 3, 'Started');
+          await reportProgress(2, 3);
+          await reportProgress(1, 3);
+          await reportProgress(3, 3, 'Done');
+          return { content: [{ type: 'text', text: 'ok' }] };
+        },
+      }),
+    );
+    return connect(server);
+  }
+
+  it('sends increasing progress, throttled but always including completion', async () => {
+    const client = await progressClient();
+    const received = [];
+
+    const result = await client.callTool({ name: 'tool', arguments: {} }, undefined, {
+      onprogress: (progress) => received.push(progress),
+    });
+
+    assert.equal(result.content[0].text, 'ok');
+    assert.deepEqual(received, [
+      { progress: 1, total: 3, message: 'Started' },
+      { progress: 3, total: 3, message: 'Done' },
+    ]);
+  });
+
+  it('sends nothing when the client did not ask for progress', async () => {
+    const client = await progressClient();
+    const methods = [];
+    const { onmessage } = client.transport;
+    client.transport.onmessage = (message, extra) => {
+      methods.push(message.method);
+      onmessage(message, extra);
+    };
+
+    const result = await client.callTool({ name: 'tool', arguments: {} });
+
+    assert.equal(result.content[0].text, 'ok');
+    assert.equal(methods.includes('notifications/progress'), false);
+  });
+});
+
+describe('tool timeouts and cancellation', () => {
+  it("aborts the handler's signal and fails the call when the tool times out", async () => {
+    const server = new TestServer();
+    let reason;
+    server.registerTool(
+      tool({
+        timeoutMs: 20,
+        handler: (params, { signal }) =>
+          new Promise((resolve) => {
+            signal.addEventListener('abort', () => {
+              reason = signal.reason;
+              resolve({ content: [{ type: 'text', text: 'too late' }] });
+            });
+          }),
+      }),
+    );
+    const client = await connect(server);
+
+    const result = await client.callTool({ name: 'tool', arguments: {} });
+    assert.equal(result.isError, true);
+    assert.equal(result.content[0].text, 'Error: Tool tool timed out after 20ms');
+    assert.equal(reason.message, 'Tool tool timed out after 20ms');
+  });
+
+  it('fails the call at the server timeout even if the handler ignores the signal', async () => {
+    const server = new TestServer({ toolTimeoutMs: 20 });
+    server.registerTool(tool({ handler: () => new Promise(() => {}) }));
+    server.registerTool(tool({ name: 'unlimited', timeoutMs: 0 }));
+    const client = await connect(server);
+
+    const result = await client.callTool({ name: 'tool', arguments: {} });
+    assert.equal(result.content[0].text, 'Error: Tool tool timed out after 20ms');
+    const unlimited = await client.callTool({ name: 'unlimited', arguments: {} });
+    assert.equal(unlimited.content[0].text, 'ok');
+  });
+
+  it("aborts the handler's signal when the client cancels the request", async () => {
+    const server = new TestServer();
+    let started;
+    const handlerSignal = new Promise((resolve) => (started = resolve));
+    server.registerTool(
+      tool({
+        handler: (params, { signal }) => {
+          started(signal);
+          return new Promise(() => {});
+        },
+      }),
+    );
+    const client = await connect(server);
+    const controller = new AbortController();
+
+    const call = client.callTool({ name: 'tool', arguments: {} }, undefined, {
+      signal: controller.signal,
+    });
+    const signal = await handlerSignal;
+    const aborted = new Promise((resolve) => signal.addEventListener('abort', resolve));
+    controller.abort('Stop');
+
+    await assert.rejects(call);
+    await aborted;
+    assert.equal(signal.reason.message, 'Tool tool was cancelled');
+  });
+});
+
+describe('completion', () => {
+  /**
+   * Server with a completable resource template and prompt argument.
+   *
+   * @returns {TestServer}
+   */
+  function completionServer() {
+    const server = new TestServer({
+      capabilities: { prompts: {}, resources: {}, completions: {} },
+    });
+    const repos = { acme: ['api', 'app'], other: ['site'] };
+    server.registerResourceTemplate({
+      uriTemplate: 'repo://{owner}/{name}/{branch}',
+      name: 'repo',
+      description: 'Repository',
+      complete: {
+        owner: Object.keys(repos),
+        name: (value, { arguments: args }) =>
+          (repos[args?.owner] || []).filter((name) => name.startsWith(value)),
+        branch: () => {
+          throw new Error('Provider failed');
+        },
+      },
+      handler: async (uri) => ({ contents: [{ uri: uri.href, text: uri.href }] }),
+    });
+    server.registerPrompt({
+      name: 'review',
+      description: 'Review a change',
+      arguments: [{ name: 'tone', description: 'Tone', complete: ['Friendly', 'Formal', 'Blunt'] }],
+      messages: [{ role: 'user', content: 'Review this in a {{tone}} tone.' }],
+    });
+    return server;
+  }
+
+  /**
+   * @param {Client} client
+   * @param {Object} ref
+   * @param {string} name
+   * @param {string} value
+   * @param {Object} [args] - Already resolved arguments
+   * @returns {Promise<string[]>} Suggested values
+   */
+  async function complete(client, ref, name, value, args) {
+    const { completion } = await client.complete({
+      ref,
+      argument: { name, value },
+      ...(args && { context: { arguments: args } }),
+    });
+    return completion.values;
+  }
+
+  it('completes resource template variables, using already resolved ones', async () => {
+    const client = await connect(completionServer());
+    const ref = { type: 'ref/resource', uri: 'repo://{owner}/{name}/{branch}' };
+
+    assert.deepEqual(await complete(client, ref, 'owner', 'ac'), ['acme']);
+    assert.deepEqual(await complete(client, ref, 'name', 'a', { owner: 'acme' }), ['api', 'app']);
+    assert.deepEqual(await complete(client, ref, 'name', '', { owner: 'other' }), ['site']);
+  });
+
+  it('completes prompt arguments by case-insensitive prefix', async () => {
+    const client = await connect(completionServer());
+    const ref = { type: 'ref/prompt', name: 'review' };
+
+    assert.deepEqual(await complete(client, ref, 'tone', 'f'), ['Friendly', 'Formal']);
+    assert.deepEqual(await complete(client, ref, 'tone', 'BL'), ['Blunt']);
+  });
+
+  it('suggests nothing when a provider fails', async () => {
+    const client = await connect(completionServer());
+    const ref = { type: 'ref/resource', uri: 'repo://{owner}/{name}/{branch}' };
+
+    assert.deepEqual(await complete(client, ref, 'branch', 'ma'), []);
+  });
+});
+
+describe('stateless mode', () => {
+  /**
+   * Start a stateless HTTP server with the default test tool.
+   *
+   * @returns {Promise<URL>}
+   */
+  async function statelessServer() {
+    const server = new TestServer({ transport: 'http', port: 0, stateless: true });
+    server.registerTool(tool());
+    return startHttp(server);
+  }
+
+  it('serves clients without issuing a session ID', async () => {
+    const client = await connectHttp(await statelessServer());
+
+    assert.equal(client.transport.sessionId, undefined);
+    const result = await client.callTool({ name: 'tool', arguments: {} });
+    assert.equal(result.content[0].text, 'ok');
+  });
+
+  it('answers a call without initialize as plain JSON', async () => {
+    const url = await statelessServer();
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        accept: 'application/json, text/event-stream',
+      },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'tools/call',
+        params: { name: 'tool', arguments: {} },
+      }),
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('mcp-session-id'), null);
+    assert.match(response.headers.get('content-type'), /application\/json/);
+    const { result } = await response.json();
+    assert.equal(result.content[0].text, 'ok');
+  });
+
+  it('rejects GET and DELETE with 405 and reports itself stateless', async () => {
+    const url = await statelessServer();
+
+    for (const method of ['GET', 'DELETE']) {
+      const response = await fetch(url, { method, headers: { accept: 'text/event-stream' } });
+      assert.equal(response.status, 405);
+      assert.equal(response.headers.get('allow'), 'POST');
+      await response.body?.cancel();
+    }
+    const health = await (await fetch(new URL('/health', url))).json();
+    assert.equal(health.stateless, true);
+    assert.equal(health.sessions, undefined);
+  });
+});
+
+describe('session limits', () => {
+  /**
+   * Start an HTTP server with the given session limits.
+   *
+   * @param {Object} sessions - `config.sessions`
+   * @returns {Promise<{server: TestServer, url: URL}>}
+   */
+  async function limitedServer(sessions) {
+    const server = new TestServer({ transport: 'http', port: 0, sessions });
+    return { server, url: await startHttp(server) };
+  }
+
+  it('answers 503 for new sessions at the cap when set to reject', async () => {
+    const { server, url } = await limitedServer({ maxSessions: 1, onLimit: 'reject' });
+    const client = await connectHttp(url);
+
+    await assert.rejects(connectHttp(url), /session limit reached/);
+    await client.ping();
+    const stats = server.getSessionStats();
+    assert.equal(stats.active, 1);
+    assert.equal(stats.rejected, 1);
+  });
+
+  it('evicts the least recently used session, which can be rehydrated', async () => {
+    const { server, url } = await limitedServer({ maxSessions: 2 });
+    const first = await connectHttp(url);
+    const second = await connectHttp(url);
+    await first.ping();
+
+    await connectHttp(url);
+    assert.equal(server.getSessionStats().closed.evicted, 1);
+    await first.ping();
+    assert.equal(server.getSessionStats().closed.evicted, 1);
+
+    await second.ping();
+    const stats = server.getSessionStats();
+    assert.equal(stats.active, 2);
+    assert.equal(stats.rehydrated, 1);
+    assert.equal(stats.closed.evicted, 2);
+  });
+
+  it('closes and forgets idle sessions', async () => {
+    const { server, url } = await limitedServer({ idleTimeoutMs: 20, sweepIntervalMs: 10 });
+    const client = await connectHttp(url);
+
+    while (server.getSessionStats().active > 0) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.equal(server.getSessionStats().closed.idle, 1);
+    await assert.rejects(client.ping());
+  });
+});
+
+describe('structured output', () => {
+  const outputSchema = {
+    type: 'object',
+    properties: { temperature: { type: 'number' }, unit: { type: 'string' } },
+    required: ['temperature'],
+  };
+
+  /**
+   * Connect a client to a server with a `weather` tool returning `structuredContent`.
+   *
+   * @param {Object} result - What the handler returns
+   * @returns {Promise<Client>}
+   */
+  async function weatherClient(result) {
+    const server = new TestServer();
+    server.registerTool(tool({ name: 'weather', outputSchema, handler: async () => result }));
+    return connect(server);
+  }
+
+  it('lists the output schema and adds a JSON text fallback', async () => {
+    const client = await weatherClient({ structuredContent: { temperature: 21, unit: 'C' } });
+
+    const { tools } = await client.listTools();
+    assert.deepEqual(tools[0].outputSchema.required, ['temperature']);
+    const result = await client.callTool({ name: 'weather', arguments: {} });
+    assert.deepEqual(result.structuredContent, { temperature: 21, unit: 'C' });
+    assert.deepEqual(JSON.parse(result.content[0].text), { temperature: 21, unit: 'C' });
+  });
+
+  it('keeps content the handler returned', async () => {
+    const client = await weatherClient({
+      content: [{ type: 'text', text: '21 °C' }],
+      structuredContent: { temperature: 21 },
+    });
+
+    const result = await client.callTool({ name: 'weather', arguments: {} });
+    assert.deepEqual(result.content, [{ type: 'text', text: '21 °C' }]);
+  });
+
+  it('fails calls whose structured content does not match the schema', async () => {
+    const client = await weatherClient({ structuredContent: { temperature: 'warm' } });
+
+    const result = await client.callTool({ name: 'weather', arguments: {} });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /Output validation error/);
+  });
+
+  it('rejects output schemas that are not object schemas', () => {
+    const server = new TestServer();
+    assert.throws(
+      () => server.registerTool(tool({ outputSchema: { type: 'array' } })),
+      /Tool tool: outputSchema must be an object schema/,
+    );
+  });
+});
@@ -0,0 +1,377 @@
+/**
+ * @fileoverview Tests for JWT verification and the HTTP authenticator.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { BaseMCPServer } from '../../src/base-server.js';
+import { Authenticator, signJwt, verifyJwt } from '../../src/middleware/auth.js';
+
+const { privateKey: rsaKey, publicKey: rsaPublicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+});
+const { privateKey: ecKey, publicKey: ecPublicKey } = crypto.generateKeyPairSync('ec', {
+  namedCurve: 'P-256',
+});
+const keys = [
+  { ...rsaPublicKey.export({ format: 'jwk' }), kid: 'rsa' },
+  { ...ecPublicKey.export({ format: 'jwk' }), kid: 'ec' },
+];
+const hmacSecret = crypto.randomBytes(32);
+
+/**
+ * @param {Object} [claims] - Claims added to a valid, unexpired payload
+ * @returns {Object}
+ */
+function payload(claims) {
+  return { sub: 'alice', exp: Math.floor(Date.now() / 1000) + 60, ...claims };
+}
+
+/**
+ * Build a compact JWT with an arbitrary header, signed with HMAC (or unsigned).
+ *
+ * @param {Object} header
+ * @param {Object} claims
+ * @param {Buffer} [secret] - HMAC key; the signature is empty without one
+ * @returns {string}
+ */
+function rawJwt(header, claims, secret) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode(header)}.${encode(claims)}`;
+  const signature = secret
+    ? crypto.createHmac('sha256', secret).update(signingInput).digest('base64url')
+    : '';
+  return `${signingInput}.${signature}`;
+}
+
+/**
+ * @param {Object<string, string>} headers
+ * @returns {Object} Enough of an IncomingMessage for {@link Authenticator#authenticate}
+ */
+function request(headers) {
+  return { headers };
+}
+
+describe('verifyJwt', () => {
+  it('accepts RS256 and ES256 tokens signed with a JWKS key', () => {
+    const rs = signJwt(payload(), rsaKey, { kid: 'rsa' });
+    const es = signJwt(payload(), ecKey, { alg: 'ES256', kid: 'ec' });
+
+    assert.equal(verifyJwt(rs, { keys }).sub, 'alice');
+    assert.equal(verifyJwt(es, { keys }).sub, 'alice');
+  });
+
+  describe('algorithms', () => {
+    it('rejects alg none', () => {
+      const token = rawJwt({ alg: 'none', typ: 'JWT' }, payload());
+
+      assert.throws(() => verifyJwt(token, { keys }), {
+        code: 'invalid_token',
+        message: 'Unsupported token algorithm: none',
+      });
+      assert.throws(() => verifyJwt(token, { keys, algorithms: ['none'] }), /algorithm: none/);
+    });
+
+    it('rejects HS256 unless explicitly allowed', () => {
+      const hmacKeys = [{ kty: 'oct', k: hmacSecret.toString('base64url') }];
+      const token = rawJwt({ alg: 'HS256' }, payload(), hmacSecret);
+
+      assert.throws(() => verifyJwt(token, { keys: hmacKeys }), /algorithm: HS256/);
+      assert.equal(verifyJwt(token, { keys: hmacKeys, algorithms: ['HS256'] }).sub, 'alice');
+    });
+
+    it('rejects a token not in the allowed algorithms', () => {
+      const token = signJwt(payload(), ecKey, { alg: 'ES256', kid: 'ec' });
+
+      assert.throws(() => verifyJwt(token, { keys, algorithms: ['RS256'] }), /algorithm: ES256/);
+    });
+
+    it('ignores keys whose kty does not match the algorithm', () => {
+      // An HMAC over the RSA public key, as in an algorithm confusion attack
+      const publicPem = rsaPublicKey.export({ type: 'spki', format: 'pem' });
+      const confused = rawJwt({ alg: 'HS256', kid: 'rsa' }, payload(), Buffer.from(publicPem));
+      assert.throws(
+        () => verifyJwt(confused, { keys, algorithms: ['HS256', 'RS256'] }),
+        /Invalid token signature/,
+      );
+
+      const octKeys = [{ kty: 'oct', kid: 'rsa', k: hmacSecret.toString('base64url') }];
+      const token = signJwt(payload(), rsaKey, { kid: 'rsa' });
+      assert.throws(() => verifyJwt(token, { keys: octKeys }), /Invalid token signature/);
+    });
+  });
+
+  it('rejects a kid missing from the JWKS', () => {
+    const token = signJwt(payload(), rsaKey, { kid: 'rotated-out' });
+
+    assert.throws(() => verifyJwt(token, { keys }), {
+      code: 'invalid_token',
+      message: 'Invalid token signature',
+    });
+  });
+
+  it('rejects malformed tokens', () => {
+    assert.throws(() => verifyJwt('not-a-jwt', { keys }), /Malformed token/);
+    assert.throws(() => verifyJwt('e30.bm90IGpzb24.', { keys }), /Malformed token/);
+  });
+
+  describe('time claims', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const verify = (claims, clockToleranceSec) =>
+      verifyJwt(signJwt(payload(claims), rsaKey, { kid: 'rsa' }), { keys, clockToleranceSec });
+
+    it('accepts exp and nbf within the clock tolerance', () => {
+      assert.equal(verify({ exp: now - 10 }).sub, 'alice');
+      assert.equal(verify({ nbf: now + 10 }).sub, 'alice');
+    });
+
+    it('rejects exp and nbf beyond the clock tolerance', () => {
+      assert.throws(() => verify({ exp: now - 60 }), /Token expired/);
+      assert.throws(() => verify({ exp: now - 10 }, 0), /Token expired/);
+      assert.throws(() => verify({ nbf: now + 60 }), /Token not yet valid/);
+      assert.throws(() => verify({ nbf: now + 10 }, 0), /Token not yet valid/);
+    });
+  });
+
+  describe('registered claims', () => {
+    const token = signJwt(
+      payload({ iss: 'https://auth.example.com', aud: ['mcp', 'other'] }),
+      rsaKey,
+      { kid: 'rsa' },
+    );
+
+    it('accepts a matching issuer and any matching audience', () => {
+      const claims = verifyJwt(token, {
+        keys,
+        issuer: 'https://auth.example.com',
+        audience: ['api', 'mcp'],
+      });
+      assert.equal(claims.sub, 'alice');
+    });
+
+    it('rejects an issuer mismatch', () => {
+      assert.throws(
+        () => verifyJwt(token, { keys, issuer: 'https://evil.example.com' }),
+        /Token issuer mismatch/,
+      );
+    });
+
+    it('rejects an audience mismatch', () => {
+      assert.throws(() => verifyJwt(token, { keys, audience: 'api' }), /Token audience mismatch/);
+    });
+  });
+});
+
+describe('Authenticator', () => {
+  /** @type {Authenticator} */
+  let auth;
+
+  before(() => {
+    auth = new Authenticator({
+      apiKeys: [{ key: 'admin-key', id: 'admin', roles: ['admin'] }],
+      bearerTokens: [{ token: 'static-token', id: 'ci', scopes: ['read'] }],
+      jwt: { keys },
+    });
+  });
+
+  describe('authenticate', () => {
+    it('authenticates an API key from its header', async () => {
+      const principal = await auth.authenticate(request({ 'x-api-key': 'admin-key' }));
+
+      assert.deepEqual(principal, {
+        id: 'admin',
+        type: 'apiKey',
+        scopes: [],
+        roles: ['admin'],
+        claims: {},
+      });
+    });
+
+    it('does not accept an API key as a bearer token', async () => {
+      await assert.rejects(auth.authenticate(request({ authorization: 'Bearer admin-key' })), {
+        code: 'invalid_token',
+      });
+    });
+
+    it('authenticates static bearer tokens and JWTs', async () => {
+      const bearer = await auth.authenticate(request({ authorization: 'Bearer static-token' }));
+      assert.equal(bearer.type, 'bearer');
+      assert.deepEqual(bearer.scopes, ['read']);
+
+      const jwt = signJwt(payload({ scope: 'read write', roles: ['editor'] }), rsaKey, {
+        kid: 'rsa',
+      });
+      const principal = await auth.authenticate(request({ authorization: `Bearer ${jwt}` }));
+      assert.equal(principal.type, 'jwt');
+      assert.equal(principal.id, 'alice');
+      assert.deepEqual(principal.scopes, ['read', 'write']);
+      assert.deepEqual(principal.roles, ['editor']);
+    });
+
+    it('rejects an unknown API key even with a valid bearer token', async () => {
+      await assert.rejects(
+        auth.authenticate(request({ 'x-api-key': 'wrong', authorization: 'Bearer static-token' })),
+        { code: 'invalid_token', message: 'Invalid API key' },
+      );
+    });
+
+    it('requires credentials on /mcp only by default', async () => {
+      await assert.rejects(auth.authenticate(request({})), { code: 'invalid_request' });
+      assert.equal(await auth.authenticate(request({}), 'info'), null);
+      assert.equal(await auth.authenticate(request({}), 'health'), null);
+    });
+
+    it('only accepts the methods configured for an endpoint', async () => {
+      const apiKeyOnly = new Authenticator({
+        apiKeys: ['admin-key'],
+        bearerTokens: ['static-token'],
+        endpoints: { mcp: ['apiKey'] },
+      });
+
+      assert.equal(
+        (await apiKeyOnly.authenticate(request({ 'x-api-key': 'admin-key' }))).id,
+        'apiKey-0',
+      );
+      await assert.rejects(
+        apiKeyOnly.authenticate(request({ authorization: 'Bearer static-token' })),
+        { code: 'invalid_token' },
+      );
+    });
+  });
+
+  describe('challenge', () => {
+    const oauthAuth = new Authenticator({
+      jwt: { keys },
+      oauth: {
+        resource: 'http://localhost:3000/mcp',
+        authorizationServers: ['http://localhost:9000'],
+        requiredScopes: ['mcp:tools'],
+      },
+    });
+
+    it('challenges missing credentials without an error code', async () => {
+      const error = await oauthAuth.authenticate(request({})).catch((e) => e);
+
+      assert.equal(error.code, 'invalid_request');
+      assert.equal(
+        oauthAuth.challenge(error),
+        'Bearer realm="mcp", resource_metadata="http://localhost:3000/.well-known/oauth-protected-resource/mcp"',
+      );
+    });
+
+    it('answers a rejected token with invalid_token', async () => {
+      const token = signJwt(payload({ aud: 'http://localhost:3000/mcp' }), rsaKey, {
+        kid: 'retired',
+      });
+      const error = await oauthAuth
+        .authenticate(request({ authorization: `Bearer ${token}` }))
+        .catch((e) => e);
+
+      assert.equal(error.code, 'invalid_token');
+      const challenge = oauthAuth.challenge(error);
+      assert.match(
+        challenge,
+        /^Bearer realm="mcp", error="invalid_token", error_description="[^"]+"/,
+      );
+      assert.doesNotMatch(challenge, /scope=/);
+    });
+
+    it('answers missing required scopes with insufficient_scope and the scopes', async () => {
+      const token = signJwt(payload({ aud: 'http://localhost:3000/mcp', scope: 'other' }), rsaKey, {
+        kid: 'rsa',
+      });
+      const error = await oauthAuth
+        .authenticate(request({ authorization: `Bearer ${token}` }))
+        .catch((e) => e);
+
+      assert.equal(error.code, 'insufficient_scope');
+      assert.match(
+        oauthAuth.challenge(error),
+        /^Bearer realm="mcp", error="insufficient_scope", error_description="[^"]+", scope="mcp:tools", resource_metadata="[^"]+"$/,
+      );
+    });
+
+    it('adds an ApiKey challenge when API keys are accepted', () => {
+      assert.equal(
+        auth.challenge(new Error('Authentication required')),
+        'Bearer realm="mcp", ApiKey realm="mcp", header="x-api-key"',
+      );
+    });
+  });
+});
+
+/**
+ * Server without handlers; authentication runs before any MCP handling.
+ */
+class AuthServer extends BaseMCPServer {
+  setupHandlers() {}
+}
+
+describe('HTTP authentication', () => {
+  const resource = 'http://localhost:3000/mcp';
+  /** @type {BaseMCPServer} */
+  let server;
+  /** @type {URL} */
+  let url;
+
+  before(async () => {
+    server = new AuthServer({
+      name: 'auth-server',
+      version: '1.0.0',
+      logLevel: 'error',
+      transport: 'http',
+      port: 0,
+      auth: {
+        jwt: { keys },
+        oauth: {
+          resource,
+          authorizationServers: ['http://localhost:9000'],
+          requiredScopes: ['mcp'],
+        },
+      },
+    });
+    await server.start();
+    url = new URL(`http://localhost:${server.httpServer.address().port}/mcp`);
+  });
+
+  after(() => server.stop());
+
+  /**
+   * POST a ping with a token.
+   *
+   * @param {Object} claims - JWT claims
+   * @returns {Promise<Response>}
+   */
+  function post(claims) {
+    const token = signJwt(payload({ aud: resource, ...claims }), rsaKey, { kid: 'rsa' });
+    return fetch(url, {
+      method: 'POST',
+      headers: {
+        authorization: `Bearer ${token}`,
+        'content-type': 'application/json',
+        accept: 'application/json, text/event-stream',
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' }),
+    });
+  }
+
+  it('answers a rejected token with 401 and an invalid_token challenge', async () => {
+    const response = await post({ exp: 0 });
+
+    assert.equal(response.status, 401);
+    assert.match(response.headers.get('www-authenticate'), /error="invalid_token"/);
+    assert.equal((await response.json()).error.code, -32001);
+  });
+
+  it('answers a token without the required scope with 403 and insufficient_scope', async () => {
+    const response = await post({ scope: 'other' });
+
+    assert.equal(response.status, 403);
+    assert.match(
+      response.headers.get('www-authenticate'),
+      /error="insufficient_scope", .*scope="mcp"/,
+    );
+    assert.match((await response.json()).error.message, /^Forbidden: /);
+  });
+});
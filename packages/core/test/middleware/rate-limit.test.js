@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Tests for the token-bucket rate limiter.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, TokenBucket } from '../../src/middleware/rate-limit.js';
+
+/** Limit that does not noticeably refill during a test */
+const ONE = { capacity: 1, refillRate: 0.001 };
+
+describe('TokenBucket', () => {
+  it('allows a burst of capacity, then refills at refillRate', () => {
+    const bucket = new TokenBucket({ capacity: 2, refillRate: 4 }, 0);
+
+    assert.equal(bucket.take(0), true);
+    assert.equal(bucket.take(0), true);
+    assert.equal(bucket.take(0), false);
+    assert.equal(bucket.retryAfterMs(0), 250);
+    assert.equal(bucket.take(250), true);
+  });
+
+  it('never refills past capacity', () => {
+    const bucket = new TokenBucket({ capacity: 2, refillRate: 4 }, 0);
+
+    assert.equal(bucket.refill(60_000), 2);
+  });
+});
+
+describe('RateLimiter', () => {
+  it('rejects limits without a positive capacity and refillRate', () => {
+    assert.throws(() => new RateLimiter({ global: { capacity: 0, refillRate: 1 } }), /global/);
+    assert.throws(() => new RateLimiter({ tools: { report: { capacity: 1 } } }), /tools\.report/);
+  });
+
+  describe('checkRequest', () => {
+    it('reports the exhausted scope with a retry delay', () => {
+      const limiter = new RateLimiter({ perClient: ONE });
+
+      assert.deepEqual(limiter.checkRequest({ clientKey: 'alice' }), { allowed: true });
+      const limited = limiter.checkRequest({ clientKey: 'alice' });
+      assert.equal(limited.allowed, false);
+      assert.equal(limited.scope, 'client');
+      assert.ok(limited.retryAfterMs > 0);
+      assert.equal(limiter.checkRequest({ clientKey: 'bob' }).allowed, true);
+    });
+
+    it('takes no tokens when any bucket is exhausted', () => {
+      const limiter = new RateLimiter({
+        global: { capacity: 2, refillRate: 0.001 },
+        perSession: ONE,
+      });
+
+      assert.equal(limiter.checkRequest({ sessionId: 's1' }).allowed, true);
+      assert.equal(limiter.checkRequest({ sessionId: 's1' }).scope, 'session');
+      assert.equal(limiter.checkRequest({ sessionId: 's2' }).allowed, true);
+      assert.equal(limiter.checkRequest({ sessionId: 's3' }).scope, 'global');
+    });
+
+    it('skips the session bucket for requests without a session', () => {
+      const limiter = new RateLimiter({ perSession: ONE });
+
+      assert.equal(limiter.checkRequest({}).allowed, true);
+      assert.equal(limiter.checkRequest({}).allowed, true);
+      assert.equal(limiter.getStats().buckets.session, 0);
+    });
+
+    it('starts a forgotten session with a full bucket', () => {
+      const limiter = new RateLimiter({ perSession: ONE });
+
+      limiter.checkRequest({ sessionId: 's1' });
+      limiter.forgetSession('s1');
+      assert.equal(limiter.checkRequest({ sessionId: 's1' }).allowed, true);
+    });
+  });
+
+  describe('checkTool', () => {
+    it('keeps a bucket per client and tool', () => {
+      const limiter = new RateLimiter({ tools: { '*': ONE } });
+
+      assert.equal(limiter.checkTool('report', 'alice').allowed, true);
+      const limited = limiter.checkTool('report', 'alice');
+      assert.equal(limited.allowed, false);
+      assert.equal(limited.scope, 'tool');
+      assert.equal(limiter.checkTool('report', 'bob').allowed, true);
+      assert.equal(limiter.checkTool('search', 'alice').allowed, true);
+    });
+
+    it('prefers a tool entry over the wildcard', () => {
+      const limiter = new RateLimiter({
+        tools: { '*': { capacity: 5, refillRate: 1 }, report: ONE },
+      });
+
+      limiter.checkTool('report', 'alice');
+      assert.equal(limiter.checkTool('report', 'alice').allowed, false);
+      limiter.checkTool('search', 'alice');
+      assert.equal(limiter.checkTool('search', 'alice').allowed, true);
+    });
+
+    it('does not limit tools without a limit', () => {
+      const limiter = new RateLimiter({ tools: { report: ONE } });
+
+      limiter.checkTool('search', 'alice');
+      assert.equal(limiter.checkTool('search', 'alice').allowed, true);
+    });
+  });
+
+  it('counts allowed and limited calls per scope', () => {
+    const limiter = new RateLimiter({ perClient: ONE, tools: { '*': ONE } });
+
+    limiter.checkRequest({ clientKey: 'alice' });
+    limiter.checkRequest({ clientKey: 'alice' });
+    limiter.checkTool('report', 'alice');
+    limiter.checkTool('report', 'alice');
+
+    assert.deepEqual(limiter.getStats(), {
+      requests: { allowed: 1, limited: 1 },
+      toolCalls: { allowed: 1, limited: 1 },
+      limitedBy: { global: 0, session: 0, client: 1, tool: 1 },
+      buckets: { global: 0, session: 0, client: 1, tool: 1 },
+    });
+  });
+});
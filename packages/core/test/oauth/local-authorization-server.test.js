@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Tests for the development authorization server.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { LocalAuthorizationServer } from '../../src/oauth/local-authorization-server.js';
+
+describe('LocalAuthorizationServer', () => {
+  const resource = 'http://localhost:3000/mcp';
+  /** @type {LocalAuthorizationServer} */
+  let authServer;
+
+  before(async () => {
+    authServer = new LocalAuthorizationServer({
+      port: 0,
+      logLevel: 'error',
+      clients: [{ clientId: 'app', redirectUris: ['http://localhost/callback'] }],
+    });
+    await authServer.start();
+  });
+
+  after(() => authServer.stop());
+
+  /**
+   * Exchange a refresh token at the token endpoint.
+   *
+   * @param {Object} params - Extra form parameters
+   * @returns {Promise<{status: number, body: Object}>}
+   */
+  async function refresh(params) {
+    const { refresh_token } = authServer.issueToken({ clientId: 'app', resource, refresh: true });
+    const response = await fetch(`${authServer.issuer}/token`, {
+      method: 'POST',
+      body: new URLSearchParams({
+        grant_type: 'refresh_token',
+        client_id: 'app',
+        refresh_token,
+        ...params,
+      }),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  describe('refresh_token grant', () => {
+    it('keeps the audience of the original grant', async () => {
+      for (const params of [{}, { resource }]) {
+        const { status, body } = await refresh(params);
+        assert.equal(status, 200);
+        assert.equal(authServer.introspect(body.access_token).aud, resource);
+      }
+    });
+
+    it('rejects a resource the refresh token was not granted for', async () => {
+      const { status, body } = await refresh({ resource: 'http://localhost:4000/mcp' });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'invalid_target');
+    });
+  });
+
+  describe('client authentication', () => {
+    it('rejects malformed Basic credentials as invalid_client', async () => {
+      const credentials = Buffer.from('%E0%A4%A:secret').toString('base64');
+      const response = await fetch(`${authServer.issuer}/token`, {
+        method: 'POST',
+        headers: { authorization: `Basic ${credentials}` },
+        body: new URLSearchParams({ grant_type: 'client_credentials' }),
+      });
+      assert.equal(response.status, 401);
+      assert.equal((await response.json()).error, 'invalid_client');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Tests for the file-backed event store.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { FileEventStore } from '../../src/stores/file-event-store.js';
+
+/**
+ * @param {number} id
+ * @returns {Object} JSON-RPC notification
+ */
+function message(id) {
+  return { jsonrpc: '2.0', method: 'notifications/message', params: { id } };
+}
+
+/**
+ * Replay after an event ID and collect what is sent.
+ *
+ * @param {FileEventStore} store
+ * @param {string} lastEventId
+ * @returns {Promise<{streamId: string, events: Array<[string, number]>}>}
+ */
+async function replay(store, lastEventId) {
+  const events = [];
+  const streamId = await store.replayEventsAfter(lastEventId, {
+    send: async (eventId, sent) => events.push([eventId, sent.params.id]),
+  });
+  return { streamId, events };
+}
+
+describe('FileEventStore', () => {
+  /** @type {string} */
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-events-'));
+  });
+
+  afterEach(() => fs.rm(directory, { recursive: true, force: true }));
+
+  it('requires a directory', () => {
+    assert.throws(() => new FileEventStore(), /requires a directory/);
+  });
+
+  it('replays the events after an event ID on the same stream', async () => {
+    const store = new FileEventStore({ directory });
+    const first = await store.storeEvent('s1/a', message(1));
+    await store.storeEvent('s1/b', message(2));
+    await store.storeEvent('s1/a', message(3));
+
+    assert.equal(first, 's1/a_1');
+    assert.deepEqual(await replay(store, first), { streamId: 's1/a', events: [['s1/a_2', 3]] });
+    assert.deepEqual(await replay(store, 's2/a_1'), { streamId: '', events: [] });
+  });
+
+  it('continues a stream after a restart', async () => {
+    await new FileEventStore({ directory }).storeEvent('s1/a', message(1));
+
+    const store = new FileEventStore({ directory });
+    assert.equal(await store.storeEvent('s1/a', message(2)), 's1/a_2');
+    assert.deepEqual((await replay(store, 's1/a_0')).events, [
+      ['s1/a_1', 1],
+      ['s1/a_2', 2],
+    ]);
+  });
+
+  it('serializes concurrent writes to a stream', async () => {
+    const store = new FileEventStore({ directory });
+    const ids = await Promise.all([1, 2, 3].map((id) => store.storeEvent('s1/a', message(id))));
+
+    assert.deepEqual(ids, ['s1/a_1', 's1/a_2', 's1/a_3']);
+  });
+
+  it('compacts a stream file to the newest maxEventsPerStream events', async () => {
+    const store = new FileEventStore({ directory, maxEventsPerStream: 2 });
+    for (const id of [1, 2, 3, 4]) {
+      await store.storeEvent('s1/a', message(id));
+    }
+
+    const lines = (await fs.readFile(path.join(directory, 's1%2Fa.jsonl'), 'utf8'))
+      .trim()
+      .split('\n');
+    assert.deepEqual(
+      lines.map((line) => JSON.parse(line).sequence),
+      [3, 4],
+    );
+    assert.deepEqual((await replay(store, 's1/a_1')).events, [
+      ['s1/a_3', 3],
+      ['s1/a_4', 4],
+    ]);
+    assert.equal(await store.storeEvent('s1/a', message(5)), 's1/a_5');
+  });
+
+  it('skips a partly written last line', async () => {
+    await new FileEventStore({ directory }).storeEvent('s1/a', message(1));
+    await fs.appendFile(path.join(directory, 's1%2Fa.jsonl'), '{"sequence":2,"mess');
+
+    const store = new FileEventStore({ directory });
+    assert.deepEqual((await replay(store, 's1/a_0')).events, [['s1/a_1', 1]]);
+    assert.equal(await store.storeEvent('s1/a', message(2)), 's1/a_2');
+    assert.deepEqual((await replay(store, 's1/a_0')).events, [
+      ['s1/a_1', 1],
+      ['s1/a_2', 2],
+    ]);
+  });
+
+  it('deletes the stream files with a prefix', async () => {
+    const store = new FileEventStore({ directory });
+    await store.storeEvent('s1/a', message(1));
+    await store.storeEvent('s10/a', message(2));
+
+    await store.deleteStreams('s1/');
+    assert.deepEqual(await fs.readdir(directory), ['s10%2Fa.jsonl']);
+    assert.equal((await replay(store, 's1/a_0')).streamId, '');
+    assert.equal(await store.storeEvent('s1/a', message(3)), 's1/a_1');
+  });
+
+  it('ignores deleteStreams before anything was stored', async () => {
+    const store = new FileEventStore({ directory: path.join(directory, 'missing') });
+    await store.deleteStreams('s1/');
+  });
+});
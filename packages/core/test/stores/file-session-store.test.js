@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Tests for the file-backed session store.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { FileSessionStore } from '../../src/stores/file-session-store.js';
+
+/**
+ * @param {string} sessionId
+ * @returns {import('../../src/stores/session-store.js').SessionRecord}
+ */
+function record(sessionId) {
+  return { sessionId, createdAt: 1, lastActivityAt: 2, protocolVersion: '2025-06-18' };
+}
+
+describe('FileSessionStore', () => {
+  /** @type {string} */
+  let directory;
+  /** @type {FileSessionStore} */
+  let store;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-sessions-'));
+    store = new FileSessionStore({ directory: path.join(directory, 'sessions') });
+  });
+
+  afterEach(() => fs.rm(directory, { recursive: true, force: true }));
+
+  it('requires a directory', () => {
+    assert.throws(() => new FileSessionStore(), /requires a directory/);
+  });
+
+  it('stores, lists and deletes records', async () => {
+    assert.equal(await store.get('a'), undefined);
+    assert.deepEqual(await store.list(), []);
+
+    await store.set(record('a'));
+    await store.set({ ...record('b'), principalId: 'alice' });
+    assert.deepEqual(await store.get('a'), record('a'));
+    assert.deepEqual((await store.list()).map(({ sessionId }) => sessionId).sort(), ['a', 'b']);
+
+    await store.delete('a');
+    await store.delete('a');
+    assert.equal(await store.get('a'), undefined);
+  });
+
+  it('encodes session IDs into file names inside its directory', async () => {
+    for (const sessionId of ['../escape', 'a/b', 'x%2Fy']) {
+      await store.set(record(sessionId));
+      assert.deepEqual(await store.get(sessionId), record(sessionId));
+    }
+
+    assert.deepEqual((await fs.readdir(path.join(directory, 'sessions'))).sort(), [
+      '..%2Fescape.json',
+      'a%2Fb.json',
+      'x%252Fy.json',
+    ]);
+    assert.deepEqual((await fs.readdir(directory)).sort(), ['sessions']);
+    assert.equal(await store.get('a%2Fb'), undefined);
+  });
+
+  it('treats unreadable files as missing records', async () => {
+    await store.set(record('a'));
+    await fs.writeFile(path.join(directory, 'sessions', 'broken.json'), '{"sessionId":');
+    await fs.writeFile(path.join(directory, 'sessions', 'b.json.123.tmp'), '{}');
+
+    assert.equal(await store.get('broken'), undefined);
+    assert.deepEqual(await store.list(), [record('a')]);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Tests for the in-memory event store.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { InMemoryEventStore } from '../../src/stores/memory-event-store.js';
+
+/**
+ * @param {number} id
+ * @returns {Object} JSON-RPC notification
+ */
+function message(id) {
+  return { jsonrpc: '2.0', method: 'notifications/message', params: { id } };
+}
+
+/**
+ * Replay after an event ID and collect what is sent.
+ *
+ * @param {InMemoryEventStore} store
+ * @param {string} lastEventId
+ * @returns {Promise<{streamId: string, events: Array<[string, Object]>}>}
+ */
+async function replay(store, lastEventId) {
+  const events = [];
+  const streamId = await store.replayEventsAfter(lastEventId, {
+    send: async (eventId, sent) => events.push([eventId, sent.params.id]),
+  });
+  return { streamId, events };
+}
+
+describe('InMemoryEventStore', () => {
+  it('replays the events after an event ID on the same stream', async () => {
+    const store = new InMemoryEventStore();
+    const first = await store.storeEvent('s1/a', message(1));
+    await store.storeEvent('s1/b', message(2));
+    await store.storeEvent('s1/a', message(3));
+    await store.storeEvent('s1/a', message(4));
+
+    assert.equal(first, 's1/a_1');
+    assert.deepEqual(await replay(store, first), {
+      streamId: 's1/a',
+      events: [
+        ['s1/a_2', 3],
+        ['s1/a_3', 4],
+      ],
+    });
+    assert.equal(await store.getStreamIdForEventId(first), 's1/a');
+  });
+
+  it('skips priming events without a message', async () => {
+    const store = new InMemoryEventStore();
+    const priming = await store.storeEvent('s1/a', {});
+    await store.storeEvent('s1/a', message(1));
+    await store.storeEvent('s1/a', {});
+
+    assert.deepEqual((await replay(store, priming)).events, [['s1/a_2', 1]]);
+  });
+
+  it('returns no stream for unknown or malformed event IDs', async () => {
+    const store = new InMemoryEventStore();
+    await store.storeEvent('s1/a', message(1));
+
+    assert.deepEqual(await replay(store, 's2/a_1'), { streamId: '', events: [] });
+    assert.deepEqual(await replay(store, 'garbage'), { streamId: '', events: [] });
+    assert.equal(await store.getStreamIdForEventId('garbage'), undefined);
+  });
+
+  it('keeps the newest maxEventsPerStream events', async () => {
+    const store = new InMemoryEventStore({ maxEventsPerStream: 2 });
+    for (const id of [1, 2, 3]) {
+      await store.storeEvent('s1/a', message(id));
+    }
+
+    assert.deepEqual((await replay(store, 's1/a_0')).events, [
+      ['s1/a_2', 2],
+      ['s1/a_3', 3],
+    ]);
+  });
+
+  it('drops the least recently written stream beyond maxStreams', async () => {
+    const store = new InMemoryEventStore({ maxStreams: 2 });
+    await store.storeEvent('a', message(1));
+    await store.storeEvent('b', message(2));
+    await store.storeEvent('a', message(3));
+    await store.storeEvent('c', message(4));
+
+    assert.equal((await replay(store, 'b_0')).streamId, '');
+    assert.equal((await replay(store, 'a_0')).events.length, 2);
+  });
+
+  it('deletes the streams with a prefix', async () => {
+    const store = new InMemoryEventStore();
+    await store.storeEvent('s1/a', message(1));
+    await store.storeEvent('s10/a', message(2));
+
+    await store.deleteStreams('s1/');
+    assert.equal((await replay(store, 's1/a_0')).streamId, '');
+    assert.equal((await replay(store, 's10/a_0')).streamId, 's10/a');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Tests for the retrying HTTP client, against a local HTTP server.
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { HttpClient } from '../../src/utils/http-client.js';
+
+describe('HttpClient', () => {
+  /** @type {http.Server|null} */
+  let server = null;
+
+  afterEach(async () => {
+    server?.closeAllConnections();
+    await new Promise((resolve) => server?.close(resolve) ?? resolve());
+    server = null;
+  });
+
+  /**
+   * Start a server that answers the n-th request (from 0) with `respond(n, res)`.
+   *
+   * @param {(n: number, res: http.ServerResponse) => void} respond
+   * @param {Object} [config] - HttpClient config
+   * @returns {Promise<{client: HttpClient, requests: () => number}>}
+   */
+  async function serve(respond, config) {
+    let count = 0;
+    server = http.createServer((req, res) => respond(count++, res));
+    await new Promise((resolve) => server.listen(0, 'localhost', resolve));
+    const client = new HttpClient({
+      baseURL: `http://localhost:${server.address().port}`,
+      ...config,
+    });
+    return { client, requests: () => count };
+  }
+
+  it('times out each attempt on its own', async () => {
+    const { client, requests } = await serve(
+      (n, res) => {
+        // The first attempt hangs until it times out; the retry answers
+        if (n > 0) {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: true }));
+        }
+      },
+      { timeout: 500, retries: 1 },
+    );
+
+    assert.deepEqual(await client.get('/'), { ok: true });
+    assert.equal(requests(), 2);
+  });
+
+  it('stops retrying when the caller aborts during backoff', async () => {
+    let failed;
+    const firstFailure = new Promise((resolve) => (failed = resolve));
+    const { client, requests } = await serve((n, res) => {
+      res.writeHead(503);
+      res.end();
+      failed();
+    });
+    const controller = new AbortController();
+    const reason = new Error('Tool call cancelled');
+
+    const request = client.get('/', { signal: controller.signal });
+    await firstFailure;
+    controller.abort(reason);
+
+    await assert.rejects(request, (error) => error === reason);
+    assert.equal(requests(), 1);
+  });
+});
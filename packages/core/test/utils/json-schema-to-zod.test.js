@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Tests for the JSON Schema → Zod converter.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { jsonSchemaToZod } from '../../src/utils/json-schema-to-zod.js';
+
+/**
+ * Assert which values a JSON Schema accepts and rejects.
+ *
+ * @param {Object} schema - JSON Schema
+ * @param {Array<*>} valid - Values that must pass
+ * @param {Array<*>} invalid - Values that must fail
+ */
+function assertAccepts(schema, valid, invalid) {
+  const zodSchema = jsonSchemaToZod(schema);
+  for (const value of valid) {
+    assert.ok(zodSchema.safeParse(value).success, `expected ${JSON.stringify(value)} to pass`);
+  }
+  for (const value of invalid) {
+    assert.ok(!zodSchema.safeParse(value).success, `expected ${JSON.stringify(value)} to fail`);
+  }
+}
+
+describe('jsonSchemaToZod', () => {
+  describe('primitive types', () => {
+    it('converts strings with length, pattern and format constraints', () => {
+      assertAccepts(
+        { type: 'string', minLength: 2, maxLength: 4 },
+        ['ab', 'abcd'],
+        ['a', 'abcde', 1],
+      );
+      assertAccepts({ type: 'string', pattern: '^\\d+$' }, ['123'], ['12a']);
+      assertAccepts({ type: 'string', format: 'email' }, ['a@b.co'], ['not-an-email']);
+      assertAccepts(
+        { type: 'string', format: 'uuid' },
+        ['0b8a5e3c-4f7a-4d5b-9c1e-2f3a4b5c6d7e'],
+        ['x'],
+      );
+      assertAccepts({ type: 'string', format: 'hostname' }, ['example.com'], ['-bad-.com']);
+      assertAccepts({ type: 'string', format: 'made-up' }, ['anything'], []);
+    });
+
+    it('converts numbers and integers with bounds', () => {
+      assertAccepts({ type: 'integer', minimum: 1, maximum: 3 }, [1, 3], [0, 4, 1.5, '2']);
+      assertAccepts({ type: 'number', exclusiveMinimum: 0, multipleOf: 0.5 }, [0.5, 2], [0, 0.3]);
+      assertAccepts({ type: 'number', minimum: 0, exclusiveMinimum: true }, [1], [0]);
+    });
+
+    it('converts booleans, null, enums and constants', () => {
+      assertAccepts({ type: 'boolean' }, [true, false], ['true']);
+      assertAccepts({ type: 'null' }, [null], [0]);
+      assertAccepts({ enum: ['a', 'b'] }, ['a'], ['c']);
+      assertAccepts({ enum: [1, 'one', null] }, [1, 'one', null], [2]);
+      assertAccepts({ const: { a: 1 } }, [{ a: 1 }], [{ a: 2 }]);
+    });
+
+    it('supports type arrays and nullable', () => {
+      assertAccepts({ type: ['string', 'number'] }, ['a', 1], [true]);
+      assertAccepts({ type: 'string', nullable: true }, ['a', null], [1]);
+    });
+  });
+
+  describe('objects and arrays', () => {
+    it('requires required properties and keeps unknown keys', () => {
+      const schema = jsonSchemaToZod({
+        type: 'object',
+        properties: { name: { type: 'string' }, age: { type: 'integer' } },
+        required: ['name'],
+      });
+      assert.deepEqual(schema.parse({ name: 'a', extra: true }), { name: 'a', extra: true });
+      assert.ok(!schema.safeParse({ age: 1 }).success);
+    });
+
+    it('applies defaults and descriptions', () => {
+      const schema = jsonSchemaToZod({
+        type: 'object',
+        properties: { limit: { type: 'integer', default: 10, description: 'Page size' } },
+      });
+      assert.deepEqual(schema.parse({}), { limit: 10 });
+      assert.equal(schema.shape.limit.description, 'Page size');
+    });
+
+    it('honours additionalProperties', () => {
+      assertAccepts(
+        { type: 'object', properties: {}, additionalProperties: false },
+        [{}],
+        [{ a: 1 }],
+      );
+      assertAccepts(
+        { type: 'object', additionalProperties: { type: 'number' } },
+        [{ a: 1 }],
+        [{ a: 'x' }],
+      );
+    });
+
+    it('converts arrays and tuples', () => {
+      assertAccepts(
+        { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 2 },
+        [['a'], ['a', 'b']],
+        [[], ['a', 'b', 'c'], [1]],
+      );
+      assertAccepts({ type: 'array', uniqueItems: true }, [[1, 2]], [[1, 1]]);
+      assertAccepts(
+        { type: 'array', prefixItems: [{ type: 'string' }, { type: 'number' }], items: false },
+        [['a', 1]],
+        [[1, 'a'], ['a', 1, 2]],
+      );
+    });
+
+    it('requires required keys that have no property schema', () => {
+      assertAccepts({ type: 'object', required: ['a'] }, [{ a: 1 }, { a: null }], [{}, { b: 1 }]);
+      assertAccepts(
+        { type: 'object', properties: { b: { type: 'string' } }, required: ['a', 'b'] },
+        [{ a: 'x', b: 'y' }],
+        [{ b: 'y' }, { a: 'x' }],
+      );
+    });
+
+    it('infers object and array types from their keywords', () => {
+      assertAccepts({ properties: { a: { type: 'string' } }, required: ['a'] }, [{ a: 'x' }], [{}]);
+      assertAccepts({ items: { type: 'number' } }, [[1]], [['x']]);
+    });
+  });
+
+  describe('composition', () => {
+    it('converts anyOf and oneOf', () => {
+      assertAccepts({ anyOf: [{ type: 'string' }, { type: 'number' }] }, ['a', 1], [true]);
+      assertAccepts(
+        { oneOf: [{ type: 'number', minimum: 0 }, { type: 'number', maximum: 10 }] },
+        [-1, 11],
+        [5],
+      );
+    });
+
+    it('converts anyOf together with its sibling keywords', () => {
+      assertAccepts(
+        {
+          type: 'object',
+          properties: { x: { type: 'string' } },
+          anyOf: [{ required: ['x'] }, { required: ['y'] }],
+        },
+        [{ x: 'a' }, { y: 1 }, { x: 'a', y: 1 }],
+        [{ x: 5 }, { x: 5, y: 1 }, {}],
+      );
+    });
+
+    it('converts oneOf together with its sibling keywords', () => {
+      assertAccepts(
+        {
+          type: 'object',
+          properties: { x: { type: 'string' } },
+          oneOf: [{ required: ['x'] }, { required: ['y'] }],
+        },
+        [{ x: 'a' }, { y: 1 }],
+        [{ x: 5 }, { x: 'a', y: 1 }, {}],
+      );
+    });
+
+    it('converts allOf together with its sibling keywords', () => {
+      assertAccepts(
+        {
+          allOf: [{ type: 'object', properties: { a: { type: 'string' } }, required: ['a'] }],
+          properties: { b: { type: 'number' } },
+          required: ['b'],
+        },
+        [{ a: 'x', b: 1 }],
+        [{ a: 'x' }, { b: 1 }],
+      );
+    });
+
+    it('converts not', () => {
+      assertAccepts({ type: 'string', not: { const: 'forbidden' } }, ['ok'], ['forbidden']);
+    });
+  });
+
+  describe('$ref', () => {
+    it('resolves local references into $defs and definitions', () => {
+      assertAccepts(
+        {
+          type: 'object',
+          properties: { a: { $ref: '#/$defs/id' }, b: { $ref: '#/definitions/id' } },
+          $defs: { id: { type: 'integer' } },
+          definitions: { id: { type: 'integer' } },
+        },
+        [{ a: 1, b: 2 }],
+        [{ a: 'x' }, { b: 'x' }],
+      );
+    });
+
+    it('supports recursive references', () => {
+      const schema = {
+        $ref: '#/$defs/node',
+        $defs: {
+          node: {
+            type: 'object',
+            properties: {
+              value: { type: 'number' },
+              children: { type: 'array', items: { $ref: '#/$defs/node' } },
+            },
+            required: ['value'],
+          },
+        },
+      };
+      assertAccepts(
+        schema,
+        [{ value: 1, children: [{ value: 2, children: [] }] }],
+        [{ value: 1, children: [{ children: [] }] }],
+      );
+    });
+
+    it('merges keywords next to $ref into the referenced schema', () => {
+      const schema = jsonSchemaToZod({
+        type: 'object',
+        properties: {
+          name: { $ref: '#/$defs/name', maxLength: 3, description: 'Short name', default: 'abc' },
+        },
+        $defs: { name: { type: 'string', minLength: 2 } },
+      });
+      assert.equal(schema.shape.name.description, 'Short name');
+      assert.deepEqual(schema.parse({}), { name: 'abc' });
+      assert.ok(schema.safeParse({ name: 'ab' }).success);
+      assert.ok(!schema.safeParse({ name: 'a' }).success);
+      assert.ok(!schema.safeParse({ name: 'abcd' }).success);
+    });
+
+    it('rejects remote and unresolvable references', () => {
+      assert.throws(() => jsonSchemaToZod({ $ref: 'https://example.com/schema.json' }), /local/);
+      assert.throws(() => jsonSchemaToZod({ $ref: '#/$defs/missing' }), /Unresolvable/);
+    });
+  });
+
+  it('treats true, false and missing schemas as any / never', () => {
+    assert.ok(jsonSchemaToZod(true).safeParse('x').success);
+    assert.ok(jsonSchemaToZod(undefined).safeParse(1).success);
+    assert.ok(!jsonSchemaToZod(false).safeParse('x').success);
+  });
+});
@@ -0,0 +1,391 @@
+/**
+ * @fileoverview RFC 6570 conformance tests for the URI template utilities.
+ * Expansion cases are the examples of RFC 6570 §1.2 (by level) and §3.2 (by operator).
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { UriTemplate, expandUriTemplate, matchUriTemplate } from '../../src/utils/uri-template.js';
+
+/**
+ * Variables of RFC 6570 §3.2
+ * @type {Object}
+ */
+const VARIABLES = {
+  count: ['one', 'two', 'three'],
+  dom: ['example', 'com'],
+  dub: 'me/too',
+  hello: 'Hello World!',
+  half: '50%',
+  var: 'value',
+  who: 'fred',
+  base: 'http://example.com/home/',
+  path: '/foo/bar',
+  list: ['red', 'green', 'blue'],
+  keys: { semi: ';', dot: '.', comma: ',' },
+  v: '6',
+  x: '1024',
+  y: '768',
+  empty: '',
+  empty_keys: {},
+  undef: null,
+};
+
+/**
+ * RFC 6570 §1.2 examples, by level
+ * @type {Object<string, Array<[string, string]>>}
+ */
+const LEVEL_EXAMPLES = {
+  'Level 1': [
+    ['{var}', 'value'],
+    ['{hello}', 'Hello%20World%21'],
+  ],
+  'Level 2': [
+    ['{+var}', 'value'],
+    ['{+hello}', 'Hello%20World!'],
+    ['{+path}/here', '/foo/bar/here'],
+    ['here?ref={+path}', 'here?ref=/foo/bar'],
+    ['X{#var}', 'X#value'],
+    ['X{#hello}', 'X#Hello%20World!'],
+  ],
+  'Level 3': [
+    ['map?{x,y}', 'map?1024,768'],
+    ['{x,hello,y}', '1024,Hello%20World%21,768'],
+    ['{+x,hello,y}', '1024,Hello%20World!,768'],
+    ['{+path,x}/here', '/foo/bar,1024/here'],
+    ['{#x,hello,y}', '#1024,Hello%20World!,768'],
+    ['{#path,x}/here', '#/foo/bar,1024/here'],
+    ['X{.var}', 'X.value'],
+    ['X{.x,y}', 'X.1024.768'],
+    ['{/var}', '/value'],
+    ['{/var,x}/here', '/value/1024/here'],
+    ['{;x,y}', ';x=1024;y=768'],
+    ['{;x,y,empty}', ';x=1024;y=768;empty'],
+    ['{?x,y}', '?x=1024&y=768'],
+    ['{?x,y,empty}', '?x=1024&y=768&empty='],
+    ['?fixed=yes{&x}', '?fixed=yes&x=1024'],
+    ['{&x,y,empty}', '&x=1024&y=768&empty='],
+  ],
+  'Level 4': [
+    ['{var:3}', 'val'],
+    ['{var:30}', 'value'],
+    ['{list}', 'red,green,blue'],
+    ['{list*}', 'red,green,blue'],
+    ['{keys}', 'semi,%3B,dot,.,comma,%2C'],
+    ['{keys*}', 'semi=%3B,dot=.,comma=%2C'],
+    ['{+path:6}/here', '/foo/b/here'],
+    ['{+list}', 'red,green,blue'],
+    ['{+list*}', 'red,green,blue'],
+    ['{+keys}', 'semi,;,dot,.,comma,,'],
+    ['{+keys*}', 'semi=;,dot=.,comma=,'],
+    ['{#path:6}/here', '#/foo/b/here'],
+    ['{#list}', '#red,green,blue'],
+    ['{#list*}', '#red,green,blue'],
+    ['{#keys}', '#semi,;,dot,.,comma,,'],
+    ['{#keys*}', '#semi=;,dot=.,comma=,'],
+    ['X{.var:3}', 'X.val'],
+    ['X{.list}', 'X.red,green,blue'],
+    ['X{.list*}', 'X.red.green.blue'],
+    ['X{.keys}', 'X.semi,%3B,dot,.,comma,%2C'],
+    ['X{.keys*}', 'X.semi=%3B.dot=..comma=%2C'],
+    ['{/var:1,var}', '/v/value'],
+    ['{/list}', '/red,green,blue'],
+    ['{/list*}', '/red/green/blue'],
+    ['{/list*,path:4}', '/red/green/blue/%2Ffoo'],
+    ['{/keys}', '/semi,%3B,dot,.,comma,%2C'],
+    ['{/keys*}', '/semi=%3B/dot=./comma=%2C'],
+    ['{;hello:5}', ';hello=Hello'],
+    ['{;list}', ';list=red,green,blue'],
+    ['{;list*}', ';list=red;list=green;list=blue'],
+    ['{;keys}', ';keys=semi,%3B,dot,.,comma,%2C'],
+    ['{;keys*}', ';semi=%3B;dot=.;comma=%2C'],
+    ['{?var:3}', '?var=val'],
+    ['{?list}', '?list=red,green,blue'],
+    ['{?list*}', '?list=red&list=green&list=blue'],
+    ['{?keys}', '?keys=semi,%3B,dot,.,comma,%2C'],
+    ['{?keys*}', '?semi=%3B&dot=.&comma=%2C'],
+    ['{&var:3}', '&var=val'],
+    ['{&list}', '&list=red,green,blue'],
+    ['{&list*}', '&list=red&list=green&list=blue'],
+    ['{&keys}', '&keys=semi,%3B,dot,.,comma,%2C'],
+    ['{&keys*}', '&semi=%3B&dot=.&comma=%2C'],
+  ],
+};
+
+/**
+ * RFC 6570 §3.2 examples, by operator
+ * @type {Object<string, Array<[string, string]>>}
+ */
+const OPERATOR_EXAMPLES = {
+  '§3.2.1 Variable expansion': [
+    ['{count}', 'one,two,three'],
+    ['{count*}', 'one,two,three'],
+    ['{/count}', '/one,two,three'],
+    ['{/count*}', '/one/two/three'],
+    ['{;count}', ';count=one,two,three'],
+    ['{;count*}', ';count=one;count=two;count=three'],
+    ['{?count}', '?count=one,two,three'],
+    ['{?count*}', '?count=one&count=two&count=three'],
+    ['{&count*}', '&count=one&count=two&count=three'],
+  ],
+  '§3.2.2 Simple string expansion {var}': [
+    ['{var}', 'value'],
+    ['{hello}', 'Hello%20World%21'],
+    ['{half}', '50%25'],
+    ['O{empty}X', 'OX'],
+    ['O{undef}X', 'OX'],
+    ['{x,y}', '1024,768'],
+    ['{x,hello,y}', '1024,Hello%20World%21,768'],
+    ['?{x,empty}', '?1024,'],
+    ['?{x,undef}', '?1024'],
+    ['?{undef,y}', '?768'],
+    ['{var:3}', 'val'],
+    ['{var:30}', 'value'],
+    ['{list}', 'red,green,blue'],
+    ['{list*}', 'red,green,blue'],
+    ['{keys}', 'semi,%3B,dot,.,comma,%2C'],
+    ['{keys*}', 'semi=%3B,dot=.,comma=%2C'],
+  ],
+  '§3.2.3 Reserved expansion {+var}': [
+    ['{+var}', 'value'],
+    ['{+hello}', 'Hello%20World!'],
+    ['{+half}', '50%25'],
+    ['{base}index', 'http%3A%2F%2Fexample.com%2Fhome%2Findex'],
+    ['{+base}index', 'http://example.com/home/index'],
+    ['O{+empty}X', 'OX'],
+    ['O{+undef}X', 'OX'],
+    ['{+path}/here', '/foo/bar/here'],
+    ['here?ref={+path}', 'here?ref=/foo/bar'],
+    ['up{+path}{var}/here', 'up/foo/barvalue/here'],
+    ['{+x,hello,y}', '1024,Hello%20World!,768'],
+    ['{+path,x}/here', '/foo/bar,1024/here'],
+    ['{+path:6}/here', '/foo/b/here'],
+    ['{+list}', 'red,green,blue'],
+    ['{+list*}', 'red,green,blue'],
+    ['{+keys}', 'semi,;,dot,.,comma,,'],
+    ['{+keys*}', 'semi=;,dot=.,comma=,'],
+  ],
+  '§3.2.4 Fragment expansion {#var}': [
+    ['{#var}', '#value'],
+    ['{#hello}', '#Hello%20World!'],
+    ['{#half}', '#50%25'],
+    ['foo{#empty}', 'foo#'],
+    ['foo{#undef}', 'foo'],
+    ['{#x,hello,y}', '#1024,Hello%20World!,768'],
+    ['{#path,x}/here', '#/foo/bar,1024/here'],
+    ['{#path:6}/here', '#/foo/b/here'],
+    ['{#list}', '#red,green,blue'],
+    ['{#list*}', '#red,green,blue'],
+    ['{#keys}', '#semi,;,dot,.,comma,,'],
+    ['{#keys*}', '#semi=;,dot=.,comma=,'],
+  ],
+  '§3.2.5 Label expansion {.var}': [
+    ['{.who}', '.fred'],
+    ['{.who,who}', '.fred.fred'],
+    ['{.half,who}', '.50%25.fred'],
+    ['www{.dom*}', 'www.example.com'],
+    ['X{.var}', 'X.value'],
+    ['X{.empty}', 'X.'],
+    ['X{.undef}', 'X'],
+    ['X{.var:3}', 'X.val'],
+    ['X{.list}', 'X.red,green,blue'],
+    ['X{.list*}', 'X.red.green.blue'],
+    ['X{.keys}', 'X.semi,%3B,dot,.,comma,%2C'],
+    ['X{.keys*}', 'X.semi=%3B.dot=..comma=%2C'],
+    ['X{.empty_keys}', 'X'],
+    ['X{.empty_keys*}', 'X'],
+  ],
+  '§3.2.6 Path segment expansion {/var}': [
+    ['{/who}', '/fred'],
+    ['{/who,who}', '/fred/fred'],
+    ['{/half,who}', '/50%25/fred'],
+    ['{/who,dub}', '/fred/me%2Ftoo'],
+    ['{/var}', '/value'],
+    ['{/var,empty}', '/value/'],
+    ['{/var,undef}', '/value'],
+    ['{/var,x}/here', '/value/1024/here'],
+    ['{/var:1,var}', '/v/value'],
+    ['{/list}', '/red,green,blue'],
+    ['{/list*}', '/red/green/blue'],
+    ['{/list*,path:4}', '/red/green/blue/%2Ffoo'],
+    ['{/keys}', '/semi,%3B,dot,.,comma,%2C'],
+    ['{/keys*}', '/semi=%3B/dot=./comma=%2C'],
+  ],
+  '§3.2.7 Path-style parameter expansion {;var}': [
+    ['{;who}', ';who=fred'],
+    ['{;half}', ';half=50%25'],
+    ['{;empty}', ';empty'],
+    ['{;v,empty,who}', ';v=6;empty;who=fred'],
+    ['{;v,bar,who}', ';v=6;who=fred'],
+    ['{;x,y}', ';x=1024;y=768'],
+    ['{;x,y,empty}', ';x=1024;y=768;empty'],
+    ['{;x,y,undef}', ';x=1024;y=768'],
+    ['{;hello:5}', ';hello=Hello'],
+    ['{;list}', ';list=red,green,blue'],
+    ['{;list*}', ';list=red;list=green;list=blue'],
+    ['{;keys}', ';keys=semi,%3B,dot,.,comma,%2C'],
+    ['{;keys*}', ';semi=%3B;dot=.;comma=%2C'],
+  ],
+  '§3.2.8 Form-style query expansion {?var}': [
+    ['{?who}', '?who=fred'],
+    ['{?half}', '?half=50%25'],
+    ['{?x,y}', '?x=1024&y=768'],
+    ['{?x,y,empty}', '?x=1024&y=768&empty='],
+    ['{?x,y,undef}', '?x=1024&y=768'],
+    ['{?var:3}', '?var=val'],
+    ['{?list}', '?list=red,green,blue'],
+    ['{?list*}', '?list=red&list=green&list=blue'],
+    ['{?keys}', '?keys=semi,%3B,dot,.,comma,%2C'],
+    ['{?keys*}', '?semi=%3B&dot=.&comma=%2C'],
+  ],
+  '§3.2.9 Form-style query continuation {&var}': [
+    ['{&who}', '&who=fred'],
+    ['{&half}', '&half=50%25'],
+    ['?fixed=yes{&x}', '?fixed=yes&x=1024'],
+    ['{&x,y,empty}', '&x=1024&y=768&empty='],
+    ['{&var:3}', '&var=val'],
+    ['{&list}', '&list=red,green,blue'],
+    ['{&list*}', '&list=red&list=green&list=blue'],
+    ['{&keys}', '&keys=semi,%3B,dot,.,comma,%2C'],
+    ['{&keys*}', '&semi=%3B&dot=.&comma=%2C'],
+  ],
+};
+
+describe('expandUriTemplate', () => {
+  for (const [group, examples] of Object.entries({ ...LEVEL_EXAMPLES, ...OPERATOR_EXAMPLES })) {
+    describe(group, () => {
+      for (const [template, expected] of examples) {
+        it(`${template} → ${expected}`, () => {
+          assert.equal(expandUriTemplate(template, VARIABLES), expected);
+        });
+      }
+    });
+  }
+
+  it('rejects malformed templates', () => {
+    assert.throws(() => new UriTemplate('{var'));
+    assert.throws(() => new UriTemplate('var}'));
+    assert.throws(() => new UriTemplate('{!var}'));
+    assert.throws(() => new UriTemplate('{var:0}'));
+  });
+});
+
+describe('matchUriTemplate', () => {
+  it('extracts simple, reserved and path variables', () => {
+    assert.deepEqual(matchUriTemplate('users://{id}', 'users://42'), { id: '42' });
+    assert.deepEqual(matchUriTemplate('{+path}/here', '/foo/bar/here'), { path: '/foo/bar' });
+    assert.deepEqual(matchUriTemplate('{/who,dub}', '/fred/me%2Ftoo'), {
+      who: 'fred',
+      dub: 'me/too',
+    });
+    assert.deepEqual(matchUriTemplate('X{.x,y}', 'X.1024.768'), { x: '1024', y: '768' });
+  });
+
+  it('decodes lists and associative arrays', () => {
+    assert.deepEqual(matchUriTemplate('{/list}', '/red,green,blue'), {
+      list: ['red', 'green', 'blue'],
+    });
+    assert.deepEqual(matchUriTemplate('{/list*}', '/red/green/blue'), {
+      list: ['red', 'green', 'blue'],
+    });
+    assert.deepEqual(matchUriTemplate('{?list*}', '?list=red&list=green&list=blue'), {
+      list: ['red', 'green', 'blue'],
+    });
+    assert.deepEqual(matchUriTemplate('{?keys*}', '?semi=%3B&dot=.&comma=%2C'), {
+      keys: VARIABLES.keys,
+    });
+    assert.deepEqual(matchUriTemplate('{;keys*}', ';semi=%3B;dot=.;comma=%2C'), {
+      keys: VARIABLES.keys,
+    });
+  });
+
+  it('reads a lone simple variable as a string, commas included', () => {
+    assert.deepEqual(matchUriTemplate('{x}', 'a,b'), { x: 'a,b' });
+    assert.deepEqual(matchUriTemplate('users://{id}/posts', 'users://4,2/posts'), { id: '4,2' });
+    assert.deepEqual(matchUriTemplate('{x,y}', '1024,768'), { x: '1024', y: '768' });
+  });
+
+  it('enforces prefix lengths', () => {
+    assert.deepEqual(matchUriTemplate('{var:3}', 'val'), { var: 'val' });
+    assert.deepEqual(matchUriTemplate('{var:2}', '%C3%A9t'), { var: 'ét' });
+    assert.deepEqual(matchUriTemplate('{var:3}/{rest}', 'val/ue'), { var: 'val', rest: 'ue' });
+    assert.deepEqual(matchUriTemplate('{/var:1,var}', '/v/value'), { var: 'value' });
+    assert.equal(matchUriTemplate('{var:3}', 'value'), null);
+    assert.equal(matchUriTemplate('{var:3}', 'v,al'), null);
+    assert.equal(matchUriTemplate('X{.var:3}', 'X.value'), null);
+    assert.equal(matchUriTemplate('{/var:1,x}', '/va/1024'), null);
+    assert.equal(matchUriTemplate('{?var:3}', '?var=value'), null);
+  });
+
+  it('keeps simple variables within one path segment', () => {
+    assert.equal(matchUriTemplate('file:///{path}', 'file:///..%2F..%2Fetc%2Fpasswd'), null);
+    assert.equal(matchUriTemplate('file:///{path}', 'file:///%2E%2E'), null);
+    assert.equal(matchUriTemplate('file:///{path}', 'file:///.'), null);
+    assert.equal(matchUriTemplate('{x,y}', 'a,b%2Fc'), null);
+    assert.equal(matchUriTemplate('{list*}', 'a,..'), null);
+    assert.equal(
+      matchUriTemplate('{base}index', expandUriTemplate('{base}index', VARIABLES)),
+      null,
+    );
+    assert.deepEqual(matchUriTemplate('file:///{path}', 'file:///..notes'), { path: '..notes' });
+    assert.deepEqual(matchUriTemplate('file:///{+path}', 'file:///docs%2Fa.md'), {
+      path: 'docs/a.md',
+    });
+    assert.deepEqual(matchUriTemplate('{/who,dub}', '/fred/me%2Ftoo'), {
+      who: 'fred',
+      dub: 'me/too',
+    });
+  });
+
+  it('accepts query parameters in any order and omitted', () => {
+    const template = 'file:///{+path}{?lines,encoding}';
+    assert.deepEqual(matchUriTemplate(template, 'file:///src/index.js?encoding=utf8&lines=1,20'), {
+      path: 'src/index.js',
+      lines: ['1', '20'],
+      encoding: 'utf8',
+    });
+    assert.deepEqual(matchUriTemplate(template, 'file:///src/index.js'), {
+      path: 'src/index.js',
+    });
+  });
+
+  it('returns null for URIs that do not match', () => {
+    assert.equal(matchUriTemplate('users://{id}', 'groups://42'), null);
+    assert.equal(matchUriTemplate('users://{id}', 'users://'), null);
+    assert.equal(matchUriTemplate('users://{id}/posts', 'users://42/comments'), null);
+    assert.equal(matchUriTemplate('users://{id}', 'users://%E0%A4%A'), null);
+    assert.equal(matchUriTemplate('x{/a,b}', 'x/1/2/3'), null);
+    assert.equal(matchUriTemplate('X{.x,y}', 'X.1024.768.32'), null);
+  });
+
+  describe('round-trips its own expansions', () => {
+    const cases = [
+      ['users://{id}', { id: '42' }],
+      ['{hello}', { hello: 'Hello World!' }],
+      ['{half}', { half: '50%' }],
+      ['{+base}index', { base: 'http://example.com/home/' }],
+      ['{x,hello,y}', { x: '1024', hello: 'Hello World!', y: '768' }],
+      ['{#hello}', { hello: 'Hello World!' }],
+      ['www{.dom*}', { dom: ['example', 'com'] }],
+      ['{/who,dub}', { who: 'fred', dub: 'me/too' }],
+      ['{/list*}', { list: ['red', 'green', 'blue'] }],
+      ['{;x,y}', { x: '1024', y: '768' }],
+      ['{;list*}', { list: ['red', 'green', 'blue'] }],
+      ['{?x,y}', { x: '1024', y: '768' }],
+      ['{?list}', { list: ['red', 'green', 'blue'] }],
+      ['{?keys*}', { keys: { semi: ';', dot: '.', comma: ',' } }],
+      ['?fixed=yes{&x}', { x: '1024' }],
+      ['echo://data/{format}/{name}', { format: 'json', name: 'sample data' }],
+    ];
+    for (const [template, variables] of cases) {
+      it(template, () => {
+        const uri = expandUriTemplate(template, variables);
+        assert.deepEqual(matchUriTemplate(template, uri), variables);
+      });
+    }
+  });
+
+  it('lists variable names in order', () => {
+    assert.deepEqual(new UriTemplate('{/a,b}{?c*}{&d:3}').variableNames, ['a', 'b', 'c', 'd']);
+  });
+});
@@ -1,16 +1,111 @@
 import React, { useState } from 'react';
 
+/**
+ * Call a tool over a short-lived MCP session, reporting `notifications/progress`
+ * for the call through `onProgress`. The SDK client is loaded on first use to
+ * keep it out of the main bundle.
+ */
+async function callTool(serverUrl, name, args, onProgress) {
+  const [{ Client }, { StreamableHTTPClientTransport }] = await Promise.all([
+    import('@modelcontextprotocol/sdk/client/index.js'),
+    import('@modelcontextprotocol/sdk/client/streamableHttp.js'),
+  ]);
+  const client = new Client({ name: 'mcp-dashboard', version: '1.0.0' });
+  const transport = new StreamableHTTPClientTransport(new URL(`${serverUrl}/mcp`));
+  await client.connect(transport);
+  try {
+    return await client.callTool({ name, arguments: args }, undefined, {
+      onprogress: onProgress,
+      resetTimeoutOnProgress: true,
+    });
+  } finally {
+    // Best effort: stateless servers have no session to terminate
+    await transport.terminateSession().catch(() => {});
+    await client.close();
+  }
+}
+
+function ProgressBar({ progress }) {
+  const percent = progress.total ? Math.min(100, (progress.progress / progress.total) * 100) : null;
+  return (
+    <div className="progress">
+      <div className="progress-track">
+        <div
+          className={percent === null ? 'progress-fill progress-indeterminate' : 'progress-fill'}
+          style={percent === null ? undefined : { width: `${percent}%` }}
+        />
+      </div>
+      <div className="progress-label">
+        {progress.message ||
+          (progress.total ? `${progress.progress} / ${progress.total}` : `${progress.progress}`)}
+        {percent !== null && <span className="progress-percent">{Math.round(percent)}%</span>}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Badges derived from MCP tool annotations, with the spec's defaults for missing hints:
+ * a tool is destructive unless read-only or marked otherwise, and open-world unless marked
+ * otherwise. A tool without annotations is therefore destructive and open-world.
+ */
+function getToolBadges(annotations) {
+  const badges = [];
+  if (annotations?.readOnlyHint) {
+    badges.push({ key: 'readonly', label: 'read-only' });
+  }
+  if (isDestructive(annotations)) {
+    badges.push({ key: 'destructive', label: 'destructive' });
+  }
+  if (annotations?.idempotentHint) {
+    badges.push({ key: 'idempotent', label: 'idempotent' });
+  }
+  if (isOpenWorld(annotations)) {
+    badges.push({ key: 'openworld', label: 'open-world' });
+  }
+  return badges;
+}
+
+function isDestructive(annotations) {
+  return !annotations?.readOnlyHint && annotations?.destructiveHint !== false;
+}
+
+function isOpenWorld(annotations) {
+  return annotations?.openWorldHint !== false;
+}
+
+function ToolBadges({ annotations }) {
+  const badges = getToolBadges(annotations);
+  if (badges.length === 0) {
+    return null;
+  }
+  return (
+    <div className="tool-badges">
+      {badges.map((badge) => (
+        <span key={badge.key} className={`tool-badge tool-badge-${badge.key}`}>
+          {badge.label}
+        </span>
+      ))}
+    </div>
+  );
+}
+
 function ToolInspector({ tools, serverUrl }) {
   const [selectedTool, setSelectedTool] = useState(null);
   const [params, setParams] = useState({});
   const [result, setResult] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [destructiveConfirmed, setDestructiveConfirmed] = useState(false);
+
+  const requiresConfirmation = isDestructive(selectedTool?.annotations);
 
   const handleToolSelect = (tool) => {
     setSelectedTool(tool);
     setResult(null);
     setError(null);
+    setDestructiveConfirmed(false);
     // Initialize params with empty values
     const initialParams = {};
     if (tool.inputSchema?.properties) {
@@ -26,39 +121,24 @@ function ToolInspector({ tools, serverUrl }) {
   };
 
   const executeTool = async () => {
+    if (requiresConfirmation && !destructiveConfirmed) {
+      return;
+    }
     setLoading(true);
     setError(null);
     setResult(null);
+    setProgress(null);
 
     try {
-      // Call tool via MCP protocol
-      const response = await fetch(`${serverUrl}/mcp`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          id: Date.now(),
-          method: 'tools/call',
-          params: {
-            name: selectedTool.name,
-            arguments: params,
-          },
-        }),
-      });
-
-      const data = await response.json();
-
-      if (data.error) {
-        throw new Error(data.error.message);
-      }
-
-      setResult(data.result);
+      // Call tool via MCP protocol, with live progress updates
+      setResult(await callTool(serverUrl, selectedTool.name, params, setProgress));
     } catch (err) {
       setError(err.message);
     } finally {
       setLoading(false);
+      setProgress(null);
+      // Every destructive run needs a fresh confirmation
+      setDestructiveConfirmed(false);
     }
   };
 
@@ -87,8 +167,9 @@ function ToolInspector({ tools, serverUrl }) {
                 background: selectedTool?.name === tool.name ? '#eff6ff' : undefined,
               }}
             >
-              <div className="tool-name">{tool.name}</div>
+              <div className="tool-name">{tool.title || tool.name}</div>
               <div className="tool-description">{tool.description}</div>
+              <ToolBadges annotations={tool.annotations} />
             </div>
           ))}
         </div>
@@ -98,11 +179,12 @@ function ToolInspector({ tools, serverUrl }) {
         {selectedTool ? (
           <>
             <h3 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '16px' }}>
-              {selectedTool.name}
+              {selectedTool.title || selectedTool.name}
             </h3>
             <p style={{ color: '#6b7280', marginBottom: '16px' }}>
               {selectedTool.description}
             </p>
+            <ToolBadges annotations={selectedTool.annotations} />
 
             {selectedTool.inputSchema?.properties &&
               Object.keys(selectedTool.inputSchema.properties).length > 0 && (
@@ -153,10 +235,44 @@ function ToolInspector({ tools, serverUrl }) {
                 </div>
               )}
 
+            {selectedTool.outputSchema?.properties && (
+              <div style={{ marginBottom: '16px' }}>
+                <h4 style={{ fontSize: '14px', fontWeight: '600', marginBottom: '12px' }}>
+                  Output:
+                </h4>
+                {Object.entries(selectedTool.outputSchema.properties).map(
+                  ([fieldName, fieldSchema]) => (
+                    <div key={fieldName} style={{ fontSize: '12px', marginBottom: '4px' }}>
+                      <code>{fieldName}</code>
+                      <span style={{ color: '#6b7280' }}>
+                        {' '}
+                        ({fieldSchema.type || 'any'})
+                        {fieldSchema.description && ` — ${fieldSchema.description}`}
+                      </span>
+                    </div>
+                  ),
+                )}
+              </div>
+            )}
+
+            {requiresConfirmation && (
+              <div className="destructive-warning">
+                <strong>Warning:</strong> this tool may perform destructive updates.
+                <label className="destructive-confirm">
+                  <input
+                    type="checkbox"
+                    checked={destructiveConfirmed}
+                    onChange={(e) => setDestructiveConfirmed(e.target.checked)}
+                  />
+                  I understand and want to run {selectedTool.name}
+                </label>
+              </div>
+            )}
+
             <button
-              className="btn btn-primary"
+              className={requiresConfirmation ? 'btn btn-danger' : 'btn btn-primary'}
               onClick={executeTool}
-              disabled={loading}
+              disabled={loading || (requiresConfirmation && !destructiveConfirmed)}
               style={{ width: '100%' }}
             >
               {loading ? (
@@ -169,6 +285,8 @@ function ToolInspector({ tools, serverUrl }) {
               )}
             </button>
 
+            {loading && progress && <ProgressBar progress={progress} />}
+
             {error && (
               <div
                 style={{
@@ -187,7 +305,9 @@ function ToolInspector({ tools, serverUrl }) {
               <div className="result-container">
                 <div className="result-label">Result:</div>
                 <div className="result-content">
-                  {result.content?.[0]?.text || JSON.stringify(result, null, 2)}
+                  {result.structuredContent
+                    ? JSON.stringify(result.structuredContent, null, 2)
+                    : result.content?.[0]?.text || JSON.stringify(result, null, 2)}
                 </div>
               </div>
             )}
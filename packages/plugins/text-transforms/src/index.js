@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Text transforms plugin - echo, reverse, uppercase and text statistics
+ * tools for any server built on @mcp/core
+ * @module @mcp/plugin-text-transforms
+ */
+
+import { validateRequired } from '@mcp/core';
+
+/**
+ * Annotations shared by the text tools: they only compute on their input
+ * @type {Object}
+ */
+const TEXT_TOOL_HINTS = {
+  readOnlyHint: true,
+  idempotentHint: true,
+  openWorldHint: false,
+};
+
+/**
+ * Plugin registering the text transform tools:
+ * - echo: Echoes back text (prefixed with `echoPrefix`)
+ * - reverse: Reverses text
+ * - uppercase: Converts text to uppercase
+ * - text-stats: Counts characters, words and lines (structured output)
+ *
+ * @example
+ * server.registerPlugin(textTransforms, { namespace: 'text', options: { maxLength: 10000 } });
+ *
+ * @type {import('@mcp/core/base-server').Plugin}
+ */
+export const textTransforms = {
+  name: 'text-transforms',
+  version: '1.0.0',
+  optionsSchema: {
+    type: 'object',
+    properties: {
+      echoPrefix: {
+        type: 'string',
+        default: 'Echo: ',
+        description: 'Prefix of the echo tool output',
+      },
+      maxLength: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Longest text the tools accept',
+      },
+    },
+  },
+
+  /**
+   * @param {import('@mcp/core/base-server').PluginServer} server
+   * @param {{echoPrefix: string, maxLength?: number}} options
+   */
+  setup(server, { echoPrefix, maxLength }) {
+    /**
+     * Input schema with a single `text` argument
+     * @param {string} description - Description of the argument
+     * @returns {Object} JSON Schema
+     */
+    const textInput = (description) => ({
+      type: 'object',
+      properties: {
+        text: {
+          type: 'string',
+          description,
+          ...(maxLength && { maxLength }),
+        },
+      },
+      required: ['text'],
+    });
+
+    // Register echo tool
+    server.registerTool({
+      name: 'echo',
+      description: 'Echoes back the provided text',
+      annotations: { title: 'Echo', ...TEXT_TOOL_HINTS },
+      inputSchema: textInput('Text to echo back'),
+      handler: async (params, { logger }) => {
+        logger.info('Echo tool called', { text: params.text });
+        validateRequired(params, ['text']);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `${echoPrefix}${params.text}`,
+            },
+          ],
+        };
+      },
+    });
+
+    // Register reverse tool
+    server.registerTool({
+      name: 'reverse',
+      description: 'Reverses the provided text',
+      annotations: { title: 'Reverse Text', ...TEXT_TOOL_HINTS },
+      inputSchema: textInput('Text to reverse'),
+      handler: async (params, { logger }) => {
+        logger.info('Reverse tool called', { text: params.text });
+        validateRequired(params, ['text']);
+
+        const reversed = params.text.split('').reverse().join('');
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: reversed,
+            },
+          ],
+        };
+      },
+    });
+
+    // Register uppercase tool
+    server.registerTool({
+      name: 'uppercase',
+      description: 'Converts text to uppercase',
+      annotations: { title: 'Uppercase Text', ...TEXT_TOOL_HINTS },
+      inputSchema: textInput('Text to convert to uppercase'),
+      handler: async (params, { logger }) => {
+        logger.info('Uppercase tool called', { text: params.text });
+        validateRequired(params, ['text']);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: params.text.toUpperCase(),
+            },
+          ],
+        };
+      },
+    });
+
+    // Register a tool with structured output
+    server.registerTool({
+      name: 'text-stats',
+      description: 'Returns character, word and line counts for the provided text',
+      annotations: { title: 'Text Statistics', ...TEXT_TOOL_HINTS },
+      inputSchema: textInput('Text to analyze'),
+      outputSchema: {
+        type: 'object',
+        properties: {
+          characters: { type: 'integer', description: 'Number of characters' },
+          words: { type: 'integer', description: 'Number of whitespace-separated words' },
+          lines: { type: 'integer', description: 'Number of lines' },
+        },
+        required: ['characters', 'words', 'lines'],
+      },
+      handler: async (params, { logger }) => {
+        logger.info('Text stats tool called', { length: params.text.length });
+
+        const trimmed = params.text.trim();
+
+        return {
+          structuredContent: {
+            characters: params.text.length,
+            words: trimmed ? trimmed.split(/\s+/).length : 0,
+            lines: params.text.split('\n').length,
+          },
+        };
+      },
+    });
+  },
+};
@@ -7,7 +7,26 @@
  */
 
 import { parseArgs } from 'node:util';
-import { BaseMCPServer, validateRequired } from '@mcp/core';
+import { BaseMCPServer, expandUriTemplate } from '@mcp/core';
+import { textTransforms } from '@mcp/plugin-text-transforms';
+
+/**
+ * Content types served by the `echo://content/{type}` template
+ * @type {string[]}
+ */
+const CONTENT_TYPES = ['text', 'json', 'html', 'markdown'];
+
+/**
+ * Formats served by the `echo://data/{format}/{name}` template
+ * @type {string[]}
+ */
+const DATA_FORMATS = ['json', 'yaml', 'csv'];
+
+/**
+ * Longest text accepted by the text transform tools
+ * @type {number}
+ */
+const MAX_TEXT_LENGTH = 100000;
 
 /**
  * Echo server that demonstrates MCP framework usage
@@ -24,20 +43,52 @@ class EchoServer extends BaseMCPServer {
       capabilities: {
         tools: {},
         resources: {},
+        prompts: {},
+        completions: {},
+        logging: {},
       },
       ...config,
     });
   }
 
+  /**
+   * Count a tool call and notify `echo://stats` subscribers
+   * @param {string} toolName - Name of the tool that was called
+   */
+  recordCall(toolName) {
+    // Initialized lazily: setupHandlers runs before subclass fields exist
+    this.callCounts = this.callCounts || {};
+    this.callCounts[toolName] = (this.callCounts[toolName] || 0) + 1;
+    this.notifyResourceUpdated('echo://stats');
+  }
+
   /**
    * Setup server handlers - register tools and resources
    * @protected
    */
   setupHandlers() {
-    // Register echo tool
+    // Tool calls are counted by middleware, so plugin tools are included
+    this.use(async (ctx, next) => {
+      if (ctx.type === 'tool') {
+        this.recordCall(ctx.name);
+      }
+      return next();
+    });
+
+    // echo, reverse, uppercase and text-stats come from the shared plugin,
+    // registered without a namespace to keep their names
+    this.registerPlugin(textTransforms, { options: { maxLength: MAX_TEXT_LENGTH } });
+
+    // Register a slow tool that reports progress
     this.registerTool({
-      name: 'echo',
-      description: 'Echoes back the provided text',
+      name: 'slow-echo',
+      description: 'Echoes back the provided text after a few seconds, reporting progress',
+      annotations: {
+        title: 'Slow Echo',
+        readOnlyHint: true,
+        idempotentHint: true,
+        openWorldHint: false,
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -48,9 +99,15 @@ class EchoServer extends BaseMCPServer {
         },
         required: ['text'],
       },
-      handler: async (params) => {
-        this.logger?.info('Echo tool called', { text: params.text });
-        validateRequired(params, ['text']);
+      handler: async (params, { signal, reportProgress, logger }) => {
+        logger.info('Slow echo tool called', { text: params.text });
+
+        const steps = 10;
+        for (let step = 1; step <= steps; step++) {
+          await new Promise((resolve) => setTimeout(resolve, 300));
+          signal.throwIfAborted();
+          await reportProgress(step, steps, `Step ${step} of ${steps}`);
+        }
 
         return {
           content: [
@@ -63,60 +120,138 @@ class EchoServer extends BaseMCPServer {
       },
     });
 
-    // Register reverse tool
+    // Register a tool that asks the user for a missing argument
     this.registerTool({
-      name: 'reverse',
-      description: 'Reverses the provided text',
+      name: 'repeat',
+      description: 'Repeats text a number of times, asking the user for the count if omitted',
+      annotations: {
+        title: 'Repeat Text',
+        readOnlyHint: true,
+        openWorldHint: false,
+      },
       inputSchema: {
         type: 'object',
         properties: {
           text: {
             type: 'string',
-            description: 'Text to reverse',
+            description: 'Text to repeat',
+          },
+          times: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 20,
+            description: 'How many times to repeat the text',
           },
         },
         required: ['text'],
       },
-      handler: async (params) => {
-        this.logger?.info('Reverse tool called', { text: params.text });
-        validateRequired(params, ['text']);
-
-        const reversed = params.text.split('').reverse().join('');
+      handler: async (params, { elicit, logger }) => {
+        logger.info('Repeat tool called', { text: params.text, times: params.times });
+
+        let times = params.times;
+        if (times === undefined) {
+          const { action, content } = await elicit({
+            message: `How many times should "${params.text}" be repeated?`,
+            requestedSchema: {
+              type: 'object',
+              properties: {
+                times: { type: 'integer', title: 'Times', minimum: 1, maximum: 20, default: 3 },
+              },
+              required: ['times'],
+            },
+          });
+          if (action !== 'accept') {
+            const outcome = action === 'decline' ? 'declined' : 'cancelled';
+            return { content: [{ type: 'text', text: `Repeat ${outcome}` }] };
+          }
+          times = content.times;
+        }
 
         return {
           content: [
             {
               type: 'text',
-              text: reversed,
+              text: Array(times).fill(params.text).join(' '),
             },
           ],
         };
       },
     });
 
-    // Register uppercase tool
+    // Register a tool that asks the client's model for a completion
     this.registerTool({
-      name: 'uppercase',
-      description: 'Converts text to uppercase',
+      name: 'summarize',
+      description: "Summarizes text in one sentence using the client's model (sampling)",
+      annotations: {
+        title: 'Summarize',
+        readOnlyHint: true,
+        openWorldHint: true,
+      },
       inputSchema: {
         type: 'object',
         properties: {
           text: {
             type: 'string',
-            description: 'Text to convert to uppercase',
+            description: 'Text to summarize',
           },
         },
         required: ['text'],
       },
-      handler: async (params) => {
-        this.logger?.info('Uppercase tool called', { text: params.text });
-        validateRequired(params, ['text']);
+      handler: async (params, { sample, logger }) => {
+        logger.info('Summarize tool called', { length: params.text.length });
+
+        const result = await sample({
+          messages: [{ role: 'user', content: `Summarize in one sentence:\n\n${params.text}` }],
+          systemPrompt: 'You write concise, one-sentence summaries.',
+          maxTokens: 200,
+          modelPreferences: { speedPriority: 0.8, intelligencePriority: 0.3 },
+        });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: result.content.type === 'text' ? result.content.text : '(no text summary)',
+            },
+          ],
+        };
+      },
+    });
+
+    // Register a tool that shows the directories the client granted
+    this.registerTool({
+      name: 'list-roots',
+      description: 'Lists the roots (directories) the client shared with the server',
+      annotations: {
+        title: 'List Roots',
+        readOnlyHint: true,
+        idempotentHint: true,
+        openWorldHint: false,
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          path: {
+            type: 'string',
+            description: 'Optional path to check against the roots',
+          },
+        },
+      },
+      handler: async (params, { listRoots, isWithinRoots }) => {
+        const roots = await listRoots();
+        const lines = roots.length
+          ? roots.map((root) => `- ${root.name ? `${root.name}: ` : ''}${root.uri}`)
+          : ['(no roots)'];
+        if (params.path) {
+          const within = await isWithinRoots(params.path);
+          lines.push('', `${params.path} is ${within ? 'inside' : 'outside'} the roots`);
+        }
 
         return {
           content: [
             {
               type: 'text',
-              text: params.text.toUpperCase(),
+              text: lines.join('\n'),
             },
           ],
         };
@@ -143,12 +278,22 @@ Available Tools:
 - echo: Echoes back text
 - reverse: Reverses text
 - uppercase: Converts text to uppercase
+- text-stats: Counts characters, words and lines (structured output)
+- slow-echo: Echoes back text after a few seconds (progress notifications)
+- repeat: Repeats text, asking for the count if omitted (elicitation)
+- summarize: Summarizes text with the client's model (sampling)
+- list-roots: Lists the client's roots (roots/list)
 
 Available Resources:
 - echo://info: Server information (static)
+- echo://stats: Live tool call counts (subscribable)
 - echo://content/{type}: Dynamic content by type (template)
 - echo://data/{format}/{name}: Sample data in different formats (template)
 
+Available Prompts:
+- transform-text: Rewrite text in a given style
+- explain-server: Explain this server (embeds echo://info)
+
 Transport: ${this.config.transport}
 ${this.config.transport === 'http' ? `Port: ${this.config.port}` : ''}`,
             },
@@ -157,12 +302,37 @@ ${this.config.transport === 'http' ? `Port: ${this.config.port}` : ''}`,
       },
     });
 
+    // Register a live resource — subscribers are notified after every tool call
+    this.registerResource({
+      uri: 'echo://stats',
+      name: 'Tool Call Statistics',
+      description: 'Live tool call counts (supports resources/subscribe)',
+      mimeType: 'application/json',
+      handler: async (uri) => ({
+        contents: [
+          {
+            uri,
+            mimeType: 'application/json',
+            text: JSON.stringify({ calls: this.callCounts || {} }, null, 2),
+          },
+        ],
+      }),
+    });
+
     // Register resource template for dynamic content
     this.registerResourceTemplate({
       uriTemplate: 'echo://content/{type}',
       name: 'Dynamic Content',
       description: 'Get content by type (text, json, html)',
       mimeType: 'text/plain',
+      complete: {
+        type: CONTENT_TYPES,
+      },
+      list: async () =>
+        CONTENT_TYPES.map((type) => ({
+          uri: expandUriTemplate('echo://content/{type}', { type }),
+          name: `Dynamic Content (${type})`,
+        })),
       handler: async (uri, params) => {
         const { type } = params;
 
@@ -214,6 +384,14 @@ ${this.config.transport === 'http' ? `Port: ${this.config.port}` : ''}`,
       name: 'Sample Data',
       description: 'Get sample data by format and name',
       mimeType: 'application/json',
+      complete: {
+        format: DATA_FORMATS,
+        // Suggest a name derived from the already-chosen format
+        name: (value, context) =>
+          [`sample-${context?.arguments?.format || 'data'}`, 'example'].filter((name) =>
+            name.startsWith(value),
+          ),
+      },
       handler: async (uri, params) => {
         const { format, name } = params;
 
@@ -266,10 +444,59 @@ ${this.config.transport === 'http' ? `Port: ${this.config.port}` : ''}`,
       },
     });
 
+    // Register a prompt template with argument placeholders
+    this.registerPrompt({
+      name: 'transform-text',
+      description: 'Ask the model to transform text in a given style',
+      arguments: [
+        { name: 'text', description: 'Text to transform', required: true },
+        {
+          name: 'style',
+          description: 'Target style (e.g. formal, pirate)',
+          required: false,
+          complete: ['formal', 'casual', 'pirate', 'shakespearean'],
+        },
+      ],
+      messages: [
+        {
+          role: 'user',
+          content: 'Rewrite the following text in a {{style}} style:\n\n{{text}}',
+        },
+      ],
+    });
+
+    // Register a multi-message prompt that embeds a resource
+    this.registerPrompt({
+      name: 'explain-server',
+      description: 'Explain what this server can do, based on its info resource',
+      arguments: [
+        { name: 'audience', description: 'Who the explanation is for', required: false },
+      ],
+      handler: async ({ audience }) => ({
+        description: 'Explain the echo server',
+        messages: [
+          {
+            role: 'user',
+            content: { type: 'resource', resource: { uri: 'echo://info' } },
+          },
+          {
+            role: 'user',
+            content: {
+              type: 'text',
+              text: `Explain the server described above to ${audience || 'a developer'}.`,
+            },
+          },
+        ],
+      }),
+    });
+
+    // Plugins are set up once this method returns, so their tools are not counted yet
     this.logger?.info('Echo server handlers registered', {
       tools: this.tools.size,
+      plugins: this.getPlugins().map((plugin) => plugin.name),
       resources: this.resources.size,
       resourceTemplates: this.resourceTemplates.size,
+      prompts: this.prompts.size,
     });
   }
 }
@@ -293,6 +520,10 @@ const { values } = parseArgs({
       type: 'string',
       default: 'info',
     },
+    stateless: {
+      type: 'boolean',
+      default: false,
+    },
   },
 });
 
@@ -302,6 +533,7 @@ const server = new EchoServer({
   port: parseInt(values.port),
   host: values.host,
   logLevel: values['log-level'],
+  stateless: values.stateless,
 });
 
 // Start the server